@@ -4,252 +4,111 @@
  * Interface de prédiction avec évolution de l'efficacité au fil des années
  */
 
-import React, { useState, useEffect, useCallback } from 'react';
+import React, { useState, useEffect, useLayoutEffect, useCallback, useRef, useMemo } from 'react';
 import { motion, AnimatePresence } from 'framer-motion';
 import { 
   Sun, Zap, Wind, Thermometer, Droplets, Cloud, Gauge, Activity, 
   Leaf, ChevronRight, BarChart3, Info, RefreshCw, AlertCircle,
   CheckCircle, Sparkles, TrendingUp, Settings, History, TrendingDown,
-  Calendar, LineChart as LineChartIcon, ArrowRight
+  Calendar, LineChart as LineChartIcon, ArrowRight, FileSpreadsheet, Layers, Link2, X, SlidersHorizontal, Grid3x3, Compass, Globe, AlertTriangle, RotateCcw, Cpu, Stethoscope
 } from 'lucide-react';
 import { 
   BarChart, Bar, XAxis, YAxis, Tooltip, ResponsiveContainer, Cell,
   LineChart, Line, Area, AreaChart, CartesianGrid, Legend,
   ComposedChart, ReferenceLine
 } from 'recharts';
-import { solarApi, simulateLocally } from './services/api';
+import { solarApi, predictOffline, getEngine, setLocalModel, applyBackendProfile } from './services/api';
+import { generateYearlyEvolution, generateMaintenanceComparison } from './services/evolution';
+import { loadSystemConfig, saveSystemConfig, describeSystem } from './services/system';
+import { loadMaintenanceSettings, saveMaintenanceSettings } from './services/maintenance';
+import { loadLocation, saveLocation } from './services/solarPosition';
+import { loadGeometry, saveGeometry, toPlaneOfArray } from './services/transposition';
+import { buildHourlyInputs, computeAnnualInsolation } from './services/weather';
+import { loadThermalSettings, saveThermalSettings, deriveModuleTemperature, THERMAL_MODELS } from './services/thermal';
+import {
+  checkConsistency, getIssuesForKey, getConsistencyStatus, getElectricalPower, getExpectedModulePower
+} from './services/consistency';
+import { loadUncertainty, saveUncertainty, getUncertainKeys } from './services/uncertainty';
+import { runMonteCarloInWorker } from './services/monteCarlo';
+import {
+  createConnectionManager, INITIAL_CONNECTION, WAKE_ATTEMPTS, getWakeProgress
+} from './services/connection';
+import { isApiError, API_ERROR_KINDS } from './services/apiErrors';
+import {
+  loadCustomProfiles, saveCustomProfiles, loadActiveProfileId, saveActiveProfileId, getProfiles, resolveProfile
+} from './services/backends';
+import {
+  loadTreeModel, saveTreeModel, loadEngineMode, saveEngineMode, resolveEngineStatus
+} from './services/treeModel';
+import { getCachedModelMetadata, loadModelMetadata } from './services/modelInfo';
+import {
+  FEATURES_CONFIG, ADDITIONAL_FEATURES, getDefaultInputs, getModifiedAdditionalFeatures
+} from './config/features';
+import { buildHash, parseHash, urlWithHash } from './services/urlState';
+import { addHistoryRecord } from './services/history';
+import EngineBadge, { ENGINE_LABELS } from './components/EngineBadge';
+import BatchPrediction from './components/BatchPrediction';
+import ScenarioManager from './components/ScenarioManager';
+import PredictionHistory from './components/PredictionHistory';
+import SensitivityAnalysis from './components/SensitivityAnalysis';
+import EfficiencyHeatmap from './components/EfficiencyHeatmap';
+import FinancialAnalysis from './components/FinancialAnalysis';
+import SystemConfigPanel from './components/SystemConfigPanel';
+import MaintenancePlanner from './components/MaintenancePlanner';
+import LocationPanel from './components/LocationPanel';
+import PanelGeometryPanel from './components/PanelGeometryPanel';
+import WeatherSimulation from './components/WeatherSimulation';
+import ClimateProfiles from './components/ClimateProfiles';
+import ThermalModelPanel from './components/ThermalModelPanel';
+import PredictionExplanation from './components/PredictionExplanation';
+import UncertaintyPanel from './components/UncertaintyPanel';
+import EnginePanel from './components/EnginePanel';
+import EngineComparison from './components/EngineComparison';
+import BackendSettings from './components/BackendSettings';
 
 // ============================================
-// Configuration des Features
+// Métadonnées du modèle
 // ============================================
 
-const FEATURES_CONFIG = [
-  {
-    key: 'irradiance',
-    label: 'Irradiance solaire',
-    unit: 'W/m²',
-    min: 0,
-    max: 1200,
-    step: 10,
-    default: 500,
-    icon: Sun,
-    gradient: 'from-amber-400 to-orange-500',
-    description: 'Puissance du rayonnement solaire',
-    color: '#f59e0b'
-  },
-  {
-    key: 'soiling_ratio',
-    label: 'Ratio de propreté',
-    unit: '',
-    min: 0.3,
-    max: 1,
-    step: 0.01,
-    default: 0.7,
-    icon: Sparkles,
-    gradient: 'from-emerald-400 to-green-500',
-    description: '1 = parfaitement propre',
-    color: '#22c55e'
-  },
-  {
-    key: 'panel_age',
-    label: 'Âge du panneau',
-    unit: 'ans',
-    min: 0,
-    max: 35,
-    step: 1,
-    default: 10,
-    icon: Gauge,
-    gradient: 'from-blue-400 to-indigo-500',
-    description: 'Années depuis l\'installation',
-    color: '#3b82f6'
-  },
-  {
-    key: 'temperature',
-    label: 'Température ambiante',
-    unit: '°C',
-    min: -10,
-    max: 50,
-    step: 1,
-    default: 25,
-    icon: Thermometer,
-    gradient: 'from-red-400 to-rose-500',
-    description: 'Température de l\'air extérieur',
-    color: '#ef4444'
-  },
-  {
-    key: 'humidity',
-    label: 'Humidité',
-    unit: '%',
-    min: 0,
-    max: 100,
-    step: 1,
-    default: 50,
-    icon: Droplets,
-    gradient: 'from-cyan-400 to-blue-500',
-    description: 'Humidité relative de l\'air',
-    color: '#06b6d4'
-  },
-  {
-    key: 'cloud_coverage',
-    label: 'Couverture nuageuse',
-    unit: '%',
-    min: 0,
-    max: 100,
-    step: 1,
-    default: 30,
-    icon: Cloud,
-    gradient: 'from-gray-400 to-slate-500',
-    description: 'Pourcentage du ciel couvert',
-    color: '#64748b'
-  },
-  {
-    key: 'module_temperature',
-    label: 'Température module',
-    unit: '°C',
-    min: 0,
-    max: 65,
-    step: 1,
-    default: 35,
-    icon: Zap,
-    gradient: 'from-purple-400 to-violet-500',
-    description: 'Température du panneau',
-    color: '#8b5cf6'
-  },
-  {
-    key: 'wind_speed',
-    label: 'Vitesse du vent',
-    unit: 'm/s',
-    min: 0,
-    max: 15,
-    step: 0.5,
-    default: 7,
-    icon: Wind,
-    gradient: 'from-teal-400 to-cyan-500',
-    description: 'Refroidissement du panneau',
-    color: '#14b8a6'
-  },
-];
-
-const ADDITIONAL_FEATURES = [
-  { key: 'voltage', default: 30 },
-  { key: 'current', default: 2 },
-  { key: 'pressure', default: 1013 },
-  { key: 'maintenance_count', default: 3 },
-];
-
-const FEATURE_IMPORTANCE = [
-  { name: 'Irradiance', value: 0.669, color: '#f59e0b' },
-  { name: 'Propreté', value: 0.229, color: '#22c55e' },
-  { name: 'Âge panneau', value: 0.078, color: '#3b82f6' },
-  { name: 'Humidité', value: 0.011, color: '#06b6d4' },
-  { name: 'Temp. module', value: 0.005, color: '#8b5cf6' },
-  { name: 'Température', value: 0.003, color: '#ef4444' },
-];
-
-// ============================================
-// Génération de l'évolution sur les années
-// ============================================
-
-const generateYearlyEvolution = (baseInputs, maxYears = 35) => {
-  const data = [];
-  
-  for (let year = 0; year <= maxYears; year++) {
-    const inputs = {
-      ...baseInputs,
-      panel_age: year
-    };
-    
-    const result = simulateLocally.predict(inputs);
-    const efficiency = result.efficiency * 100;
-    
-    // Calcul de la production annuelle estimée (kWh pour un panneau de 400W)
-    const panelPower = 400; // Watts
-    const sunHoursPerYear = 1500; // Heures d'ensoleillement moyen/an
-    const annualProduction = (panelPower * sunHoursPerYear * result.efficiency) / 1000;
-    
-    // Perte par rapport à l'année 0
-    const initialEfficiency = year === 0 ? efficiency : data[0].efficiency;
-    const degradation = ((initialEfficiency - efficiency) / initialEfficiency) * 100;
-    
-    data.push({
-      year,
-      yearLabel: `Année ${year}`,
-      efficiency: Math.round(efficiency * 10) / 10,
-      production: Math.round(annualProduction),
-      degradation: Math.round(degradation * 10) / 10,
-      // Pour le tooltip
-      status: efficiency >= 60 ? 'Bon' : efficiency >= 45 ? 'Acceptable' : 'À remplacer'
-    });
-  }
-  
-  return data;
+const METADATA_SOURCE_LABELS = {
+  cached: 'en cache',
+  offline: 'hors ligne',
 };
 
-// Générer les prédictions pour différents scénarios de maintenance
-const generateMaintenanceComparison = (baseInputs) => {
-  const scenarios = [
-    { name: 'Sans entretien', soilingDecay: 0.015, maintenanceBonus: 0 },      // Perd 1.5% propreté/an
-    { name: 'Entretien minimal', soilingDecay: 0.008, maintenanceBonus: 0.002 }, // Perd 0.8% propreté/an
-    { name: 'Entretien régulier', soilingDecay: 0.003, maintenanceBonus: 0.005 }, // Perd 0.3% propreté/an
-    { name: 'Entretien optimal', soilingDecay: 0, maintenanceBonus: 0.008 },    // Maintient la propreté
-  ];
-  
-  const years = [0, 5, 10, 15, 20, 25, 30];
-  
-  // Calculer l'efficacité initiale (année 0) - même pour tous
-  const initialInputs = {
-    ...baseInputs,
-    panel_age: 0,
-    soiling_ratio: 0.85, // Tous partent avec la même propreté
-    maintenance_count: 0
-  };
-  const initialResult = simulateLocally.predict(initialInputs);
-  const initialEfficiency = Math.round(initialResult.efficiency * 1000) / 10;
-  
-  return years.map(year => {
-    const dataPoint = { year: `${year} ans` };
-    
-    if (year === 0) {
-      // Année 0 : tout le monde part de la même valeur
-      scenarios.forEach(scenario => {
-        dataPoint[scenario.name] = initialEfficiency;
-      });
-    } else {
-      scenarios.forEach(scenario => {
-        // Calculer la propreté qui se dégrade avec le temps (mais pas en dessous de 0.4)
-        const soilingAfterYears = Math.max(0.4, 0.85 - (scenario.soilingDecay * year));
-        
-        // Bonus de maintenance qui compense légèrement le vieillissement
-        const inputs = {
-          ...baseInputs,
-          panel_age: year,
-          soiling_ratio: soilingAfterYears,
-          maintenance_count: Math.min(year, 10) // Max 10 maintenances
-        };
-        
-        let result = simulateLocally.predict(inputs);
-        // Appliquer un petit bonus pour l'entretien régulier
-        let efficiency = result.efficiency + (scenario.maintenanceBonus * year);
-        efficiency = Math.min(efficiency, initialResult.efficiency); // Ne pas dépasser l'initial
-        
-        dataPoint[scenario.name] = Math.round(efficiency * 1000) / 10;
-      });
-    }
-    
-    return dataPoint;
+// Libellés et couleurs de FEATURES_CONFIG pour l'importance renvoyée par le modèle
+const toImportanceChartData = (featureImportance) =>
+  featureImportance.map(({ key, value }) => {
+    const config = FEATURES_CONFIG.find(c => c.key === key);
+    return {
+      name: config?.shortLabel || key,
+      value,
+      color: config?.color || '#94a3b8',
+    };
   });
-};
+
+const formatR2 = (r2) => (r2 === null ? '—' : r2.toFixed(3));
+const formatR2Percent = (r2) => (r2 === null ? '—' : `${(r2 * 100).toFixed(1)}%`);
+const formatMse = (mse) => (mse === null ? '—' : String(Number(mse.toPrecision(2))));
 
 // ============================================
 // Composants UI
 // ============================================
 
-const InputSlider = ({ config, value, onChange }) => {
+// auto (optionnel) : valeur déduite d'autres entrées ; déplacer le curseur repasse en saisie manuelle
+// issues : incohérences physiques impliquant ce curseur, expliquées sous la piste
+// onReset (optionnel) : signale une valeur différente du défaut et permet d'y revenir
+const InputSlider = ({ config, value, onChange, auto = null, issues = [], onReset = null }) => {
   const Icon = config.icon;
+  const status = getConsistencyStatus(issues);
+  const borderClass = {
+    ok: 'border-gray-100 hover:border-emerald-200',
+    warning: 'border-amber-300',
+    error: 'border-red-300',
+  }[status];
   
   return (
     <motion.div 
-      className="group bg-white/60 backdrop-blur-sm rounded-2xl p-4 border border-gray-100 hover:border-emerald-200 hover:shadow-lg transition-all duration-300"
+      className={`group bg-white/60 backdrop-blur-sm rounded-2xl p-4 border ${borderClass} hover:shadow-lg transition-all duration-300`}
       whileHover={{ y: -2 }}
     >
       <div className="flex items-center justify-between mb-3">
@@ -257,7 +116,31 @@ const InputSlider = ({ config, value, onChange }) => {
           <div className={`p-2 rounded-xl bg-gradient-to-br ${config.gradient} text-white shadow-lg`}>
             <Icon size={16} />
           </div>
-          <span className="text-sm font-semibold text-gray-800">{config.label}</span>
+          <span className="text-sm font-semibold text-gray-800" title={config.description}>{config.label}</span>
+          {onReset && value !== config.default && (
+            <button
+              onClick={onReset}
+              title={`Revenir à la valeur par défaut (${config.default}${config.unit ? ` ${config.unit}` : ''})`}
+              className="flex items-center gap-1 px-1.5 py-0.5 rounded-md text-[10px] font-semibold bg-blue-100 text-blue-700 hover:bg-blue-200"
+            >
+              <RotateCcw size={10} />
+              Modifié
+            </button>
+          )}
+          {auto && (
+            <button
+              onClick={auto.enabled ? undefined : auto.onEnable}
+              title={auto.enabled ? auto.hint : 'Calculer automatiquement'}
+              className={`flex items-center gap-1 px-1.5 py-0.5 rounded-md text-[10px] font-semibold ${
+                auto.enabled
+                  ? 'bg-emerald-100 text-emerald-700 cursor-default'
+                  : 'bg-gray-100 text-gray-400 hover:text-emerald-600'
+              }`}
+            >
+              <Link2 size={10} />
+              Auto
+            </button>
+          )}
         </div>
         <div className="text-right">
           <span className="text-base font-bold text-gray-900">
@@ -279,16 +162,116 @@ const InputSlider = ({ config, value, onChange }) => {
       
       <div className="flex justify-between text-xs text-gray-400 mt-1">
         <span>{config.min}</span>
+        {auto?.enabled && <span className="text-emerald-600">{auto.hint}</span>}
         <span>{config.max}</span>
       </div>
+
+      {issues.map(issue => (
+        <div
+          key={issue.id}
+          className={`flex items-start gap-1.5 mt-2 text-xs ${issue.severity === 'error' ? 'text-red-600' : 'text-amber-600'}`}
+        >
+          <AlertTriangle size={12} className="mt-0.5 shrink-0" />
+          <span>{issue.message}</span>
+        </div>
+      ))}
     </motion.div>
   );
 };
 
-const EfficiencyGauge = ({ value, isLoading }) => {
+// Variables additionnelles envoyées à /predict : repliées tant qu'elles gardent leur valeur par défaut
+const AdvancedParameters = ({ inputs, onChange, issues, system }) => {
+  const modified = getModifiedAdditionalFeatures(inputs);
+  const [isOpen, setIsOpen] = useState(() => modified.length > 0);
+  const power = getElectricalPower(inputs);
+  const expectedPower = getExpectedModulePower(inputs.irradiance, system);
+
+  const resetAll = () => {
+    ADDITIONAL_FEATURES.forEach(feature => onChange(feature.key, feature.default));
+  };
+
+  return (
+    <div className="bg-white/60 backdrop-blur-sm rounded-2xl border border-gray-100 overflow-hidden">
+      <button
+        onClick={() => setIsOpen(!isOpen)}
+        className="w-full flex items-center justify-between p-4 hover:bg-gray-50/50 transition-colors"
+      >
+        <div className="flex items-center gap-3">
+          <div className="p-2 rounded-xl bg-gradient-to-br from-yellow-400 to-amber-500 text-white">
+            <SlidersHorizontal size={16} />
+          </div>
+          <div className="text-left">
+            <div className="font-semibold text-gray-800">Paramètres avancés</div>
+            <div className="text-xs text-gray-500">
+              {modified.length > 0
+                ? `${modified.length} valeur${modified.length > 1 ? 's' : ''} modifiée${modified.length > 1 ? 's' : ''} : ${modified.map(f => f.shortLabel).join(', ')}`
+                : 'Tension, courant, pression et maintenances aux valeurs par défaut'}
+            </div>
+          </div>
+        </div>
+        <motion.div animate={{ rotate: isOpen ? 90 : 0 }} transition={{ duration: 0.2 }}>
+          <ChevronRight size={20} className="text-gray-400" />
+        </motion.div>
+      </button>
+
+      <AnimatePresence>
+        {isOpen && (
+          <motion.div
+            initial={{ height: 0, opacity: 0 }}
+            animate={{ height: 'auto', opacity: 1 }}
+            exit={{ height: 0, opacity: 0 }}
+            transition={{ duration: 0.3 }}
+            className="px-4 pb-4"
+          >
+            <div className="grid md:grid-cols-2 gap-3">
+              {ADDITIONAL_FEATURES.map(feature => (
+                <InputSlider
+                  key={feature.key}
+                  config={feature}
+                  value={inputs[feature.key]}
+                  onChange={(v) => onChange(feature.key, v)}
+                  onReset={() => onChange(feature.key, feature.default)}
+                  issues={getIssuesForKey(issues, feature.key)}
+                />
+              ))}
+            </div>
+
+            <div className="flex flex-wrap items-center justify-between gap-3 mt-3 p-3 bg-amber-50/70 rounded-xl text-sm text-amber-800">
+              <div className="flex items-center gap-2">
+                <Zap size={16} />
+                <span>
+                  Puissance V×I : <strong>{Math.round(power)} W</strong>
+                  {inputs.irradiance > 0 && (
+                    <span className="text-amber-700">
+                      {' '}· {Math.round((power / expectedPower) * 100)} % des ~{Math.round(expectedPower)} W
+                      d'un module de {system.modulePower} Wc sous {inputs.irradiance} W/m²
+                    </span>
+                  )}
+                </span>
+              </div>
+              {modified.length > 0 && (
+                <button
+                  onClick={resetAll}
+                  className="flex items-center gap-1.5 text-xs text-gray-500 hover:text-gray-700"
+                >
+                  <RotateCcw size={12} />
+                  Valeurs par défaut
+                </button>
+              )}
+            </div>
+          </motion.div>
+        )}
+      </AnimatePresence>
+    </div>
+  );
+};
+
+// range (optionnel) : { p10, p50, p90 } en %, issu de la propagation Monte Carlo
+const EfficiencyGauge = ({ value, isLoading, range = null }) => {
   const percentage = value * 100;
   const circumference = 2 * Math.PI * 80;
   const offset = circumference - (percentage / 100) * circumference * 0.75;
+  const toArcLength = (percent) => (percent / 100) * circumference * 0.75;
   
   const getColor = () => {
     if (percentage < 30) return { main: '#ef4444', glow: 'rgba(239, 68, 68, 0.3)' };
@@ -351,6 +334,19 @@ const EfficiencyGauge = ({ value, isLoading }) => {
           transition={{ duration: 1, ease: "easeOut" }}
           filter="url(#glow)"
         />
+
+        {range && !isLoading && (
+          <path
+            d="M 20 100 A 80 80 0 0 1 180 100"
+            fill="none"
+            stroke="#1f2937"
+            strokeOpacity={0.35}
+            strokeWidth="5"
+            strokeLinecap="round"
+            strokeDasharray={`${Math.max(1, toArcLength(range.p90) - toArcLength(range.p10))} ${circumference}`}
+            strokeDashoffset={-toArcLength(range.p10)}
+          />
+        )}
         
         <circle cx="100" cy="100" r="10" fill={color.main} />
         <circle cx="100" cy="100" r="5" fill="white" />
@@ -373,6 +369,11 @@ const EfficiencyGauge = ({ value, isLoading }) => {
           <span>{label.emoji}</span>
           <span>{label.text}</span>
         </div>
+        {range && !isLoading && (
+          <div className="text-xs text-gray-500 mt-2">
+            P10–P90 : <strong>{range.p10.toFixed(1)} – {range.p90.toFixed(1)} %</strong> · médiane {range.p50.toFixed(1)} %
+          </div>
+        )}
       </motion.div>
     </div>
   );
@@ -382,10 +383,18 @@ const EfficiencyGauge = ({ value, isLoading }) => {
 // Graphiques d'évolution
 // ============================================
 
-const EfficiencyEvolutionChart = ({ data, currentAge }) => {
+// bands (optionnel) : [{ year, p10, p50, p90 }] de la propagation Monte Carlo
+const EfficiencyEvolutionChart = ({ data, currentAge, bands = null }) => {
+  const chartData = bands
+    ? data.map((point, i) => ({
+      ...point,
+      band: [Math.round(bands[i].p10 * 10) / 10, Math.round(bands[i].p90 * 10) / 10],
+    }))
+    : data;
+
   return (
     <ResponsiveContainer width="100%" height={350}>
-      <AreaChart data={data} margin={{ top: 20, right: 30, left: 10, bottom: 10 }}>
+      <ComposedChart data={chartData} margin={{ top: 20, right: 30, left: 10, bottom: 10 }}>
         <defs>
           <linearGradient id="efficiencyGradient" x1="0" y1="0" x2="0" y2="1">
             <stop offset="5%" stopColor="#10b981" stopOpacity={0.8}/>
@@ -406,6 +415,14 @@ const EfficiencyEvolutionChart = ({ data, currentAge }) => {
           axisLine={false}
           label={{ value: 'Efficacité (%)', angle: -90, position: 'insideLeft', fontSize: 11, fill: '#6b7280' }}
         />
+        <YAxis 
+          yAxisId="production"
+          orientation="right"
+          tick={{ fontSize: 11, fill: '#6b7280' }}
+          tickLine={false}
+          axisLine={false}
+          label={{ value: 'Production (kWh/an)', angle: 90, position: 'insideRight', fontSize: 11, fill: '#6b7280' }}
+        />
         <Tooltip 
           contentStyle={{ 
             borderRadius: '12px', 
@@ -413,8 +430,10 @@ const EfficiencyEvolutionChart = ({ data, currentAge }) => {
             boxShadow: '0 10px 40px rgba(0,0,0,0.15)',
             padding: '12px'
           }}
-          formatter={(value, name) => {
-            if (name === 'efficiency') return [`${value}%`, 'Efficacité'];
+          formatter={(value, name, item) => {
+            if (item.dataKey === 'efficiency') return [`${value}%`, 'Efficacité'];
+            if (item.dataKey === 'production') return [`${value} kWh`, 'Production'];
+            if (item.dataKey === 'band') return [`${value[0]} – ${value[1]}%`, 'P10–P90'];
             return [value, name];
           }}
           labelFormatter={(label) => `Année ${label}`}
@@ -437,6 +456,18 @@ const EfficiencyEvolutionChart = ({ data, currentAge }) => {
           label={{ value: 'Seuil minimal', position: 'right', fill: '#f59e0b', fontSize: 10 }}
         />
         
+        {bands && (
+          <Area
+            type="monotone"
+            dataKey="band"
+            stroke="none"
+            fill="#10b981"
+            fillOpacity={0.2}
+            name="P10–P90"
+            activeDot={false}
+          />
+        )}
+
         <Area
           type="monotone"
           dataKey="efficiency"
@@ -447,19 +478,23 @@ const EfficiencyEvolutionChart = ({ data, currentAge }) => {
           dot={{ fill: '#10b981', strokeWidth: 2, r: 3 }}
           activeDot={{ r: 6, fill: '#10b981' }}
         />
-      </AreaChart>
+        
+        <Line
+          yAxisId="production"
+          type="monotone"
+          dataKey="production"
+          stroke="#f59e0b"
+          strokeWidth={2}
+          strokeDasharray="4 4"
+          name="Production"
+          dot={false}
+        />
+      </ComposedChart>
     </ResponsiveContainer>
   );
 };
 
-const MaintenanceComparisonChart = ({ data }) => {
-  const colors = {
-    'Sans entretien': '#ef4444',
-    'Entretien minimal': '#f59e0b',
-    'Entretien régulier': '#22c55e',
-    'Entretien optimal': '#10b981',
-  };
-
+const MaintenanceComparisonChart = ({ data, plans, engines = {} }) => {
   return (
     <ResponsiveContainer width="100%" height={300}>
       <LineChart data={data} margin={{ top: 20, right: 30, left: 10, bottom: 10 }}>
@@ -468,9 +503,11 @@ const MaintenanceComparisonChart = ({ data }) => {
           dataKey="year" 
           tick={{ fontSize: 11, fill: '#6b7280' }}
           tickLine={false}
+          interval={4}
+          tickFormatter={(value) => `${value} ans`}
         />
         <YAxis 
-          domain={[20, 80]}
+          domain={['auto', 'auto']}
           tick={{ fontSize: 11, fill: '#6b7280' }}
           tickLine={false}
           axisLine={false}
@@ -483,18 +520,27 @@ const MaintenanceComparisonChart = ({ data }) => {
             boxShadow: '0 10px 40px rgba(0,0,0,0.15)',
             padding: '12px'
           }}
-          formatter={(value) => [`${value}%`, '']}
+          labelFormatter={(label) => `Année ${label}`}
+          formatter={(value, name) => [`${value}%`, name]}
+        />
+        <Legend
+          verticalAlign="top"
+          height={36}
+          formatter={(value, entry) => {
+            const engine = engines[entry.dataKey];
+            return engine ? `${value} · ${ENGINE_LABELS[engine].text}` : value;
+          }}
         />
-        <Legend verticalAlign="top" height={36} />
         
-        {Object.keys(colors).map(scenario => (
+        {plans.map(plan => (
           <Line
-            key={scenario}
+            key={plan.id}
             type="monotone"
-            dataKey={scenario}
-            stroke={colors[scenario]}
+            dataKey={plan.id}
+            name={plan.name}
+            stroke={plan.color}
             strokeWidth={2}
-            dot={{ fill: colors[scenario], r: 4 }}
+            dot={false}
             activeDot={{ r: 6 }}
           />
         ))}
@@ -503,7 +549,10 @@ const MaintenanceComparisonChart = ({ data }) => {
   );
 };
 
-const DegradationStats = ({ data, currentAge }) => {
+const formatLifetime = (years) => (years > 35 ? '35+' : Math.round(years));
+
+// monteCarlo (optionnel) : durée de vie et production affichées en plage P10–P90
+const DegradationStats = ({ data, currentAge, system, monteCarlo = null }) => {
   const currentData = data.find(d => d.year === currentAge) || data[0];
   const initialData = data[0];
   const year10Data = data.find(d => d.year === 10) || data[10];
@@ -543,7 +592,11 @@ const DegradationStats = ({ data, currentAge }) => {
           <span className="text-xs text-gray-500">Durée de vie estimée</span>
         </div>
         <div className="text-2xl font-bold text-blue-600">{lifeExpectancy > 0 ? lifeExpectancy : '35+'} ans</div>
-        <div className="text-xs text-gray-400 mt-1">{yearsRemaining > 0 ? `${yearsRemaining} ans restants` : 'À remplacer'}</div>
+        <div className="text-xs text-gray-400 mt-1">
+          {monteCarlo
+            ? `P10–P90 : ${formatLifetime(monteCarlo.lifetime.p10)} – ${formatLifetime(monteCarlo.lifetime.p90)} ans`
+            : yearsRemaining > 0 ? `${yearsRemaining} ans restants` : 'À remplacer'}
+        </div>
       </div>
       
       <div className="bg-gradient-to-br from-amber-50 to-yellow-50 rounded-xl p-4">
@@ -552,13 +605,38 @@ const DegradationStats = ({ data, currentAge }) => {
           <span className="text-xs text-gray-500">Production annuelle</span>
         </div>
         <div className="text-2xl font-bold text-amber-600">{currentData.production}</div>
-        <div className="text-xs text-gray-400 mt-1">kWh/an (panneau 400W)</div>
+        <div className="text-xs text-gray-400 mt-1">kWh/an ({describeSystem(system)})</div>
+        {monteCarlo && (
+          <div className="text-xs text-gray-400">
+            P10–P90 : {Math.round(monteCarlo.production.p10).toLocaleString('fr-FR')} – {Math.round(monteCarlo.production.p90).toLocaleString('fr-FR')}
+          </div>
+        )}
       </div>
     </div>
   );
 };
 
-const FeatureImportanceChart = ({ isOpen, onToggle }) => {
+const MetadataSourceBadge = ({ metadata }) => {
+  if (metadata.source === 'live') return null;
+  
+  const title = metadata.fetchedAt
+    ? `Dernière synchronisation : ${new Date(metadata.fetchedAt).toLocaleString('fr-FR')}`
+    : 'Valeurs du dernier entraînement connu';
+  
+  return (
+    <span
+      title={title}
+      className="inline-flex items-center text-[10px] font-medium uppercase tracking-wide px-1.5 py-0.5 rounded bg-amber-100 text-amber-700"
+    >
+      {METADATA_SOURCE_LABELS[metadata.source]}
+    </span>
+  );
+};
+
+const FeatureImportanceChart = ({ isOpen, onToggle, metadata }) => {
+  const data = toImportanceChartData(metadata.featureImportance);
+  
+
   return (
     <motion.div 
       className="bg-white/60 backdrop-blur-sm rounded-2xl border border-gray-100 overflow-hidden"
@@ -573,6 +651,7 @@ const FeatureImportanceChart = ({ isOpen, onToggle }) => {
             <BarChart3 size={16} />
           </div>
           <span className="font-semibold text-gray-800">Importance des variables</span>
+          <MetadataSourceBadge metadata={metadata} />
         </div>
         <motion.div animate={{ rotate: isOpen ? 90 : 0 }} transition={{ duration: 0.2 }}>
           <ChevronRight size={20} className="text-gray-400" />
@@ -590,10 +669,10 @@ const FeatureImportanceChart = ({ isOpen, onToggle }) => {
           >
             <div className="h-48">
               <ResponsiveContainer width="100%" height="100%">
-                <BarChart data={FEATURE_IMPORTANCE} layout="vertical" margin={{ left: 10 }}>
+                <BarChart data={data} layout="vertical" margin={{ left: 10 }}>
                   <XAxis 
                     type="number" 
-                    domain={[0, 0.7]} 
+                    domain={[0, (dataMax) => Math.ceil(dataMax * 10) / 10]} 
                     tickFormatter={(v) => `${(v*100).toFixed(0)}%`}
                     tick={{ fontSize: 10, fill: '#9ca3af' }}
                   />
@@ -608,7 +687,7 @@ const FeatureImportanceChart = ({ isOpen, onToggle }) => {
                     contentStyle={{ borderRadius: '12px', border: 'none', boxShadow: '0 10px 40px rgba(0,0,0,0.1)' }}
                   />
                   <Bar dataKey="value" radius={[0, 6, 6, 0]}>
-                    {FEATURE_IMPORTANCE.map((entry, index) => (
+                    {data.map((entry, index) => (
                       <Cell key={index} fill={entry.color} />
                     ))}
                   </Bar>
@@ -622,9 +701,63 @@ const FeatureImportanceChart = ({ isOpen, onToggle }) => {
   );
 };
 
-const StatusBadge = ({ apiStatus }) => {
-  const isConnected = apiStatus === 'connected';
+const WakingBadge = ({ connection }) => {
+  const [now, setNow] = useState(Date.now);
+
+  useEffect(() => {
+    const timer = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(timer);
+  }, []);
+
+  const progress = getWakeProgress(connection, now);
+
+  return (
+    <div
+      className="flex items-center gap-2 text-xs font-medium px-3 py-1.5 rounded-full bg-blue-50 text-blue-600"
+      title={`Tentative ${Math.max(1, connection.attempt)}/${WAKE_ATTEMPTS} : prédictions hors ligne en attendant`}
+    >
+      <RefreshCw size={14} className="animate-spin" />
+      <span>Réveil du serveur… {Math.round(progress * 100)} %</span>
+      <div className="w-12 h-1.5 bg-blue-100 rounded-full overflow-hidden">
+        <div className="h-full bg-blue-500 transition-all duration-1000" style={{ width: `${progress * 100}%` }} />
+      </div>
+    </div>
+  );
+};
+
+// connection : état du gestionnaire de connexion, null si le moteur choisi n'est pas l'API
+const StatusBadge = ({ engineStatus, connection, onRetry }) => {
+  const isConnected = engineStatus === 'connected';
   
+  if (connection?.status === 'waking') {
+    return <WakingBadge connection={connection} />;
+  }
+
+  if (engineStatus === 'model') {
+    return (
+      <div className="flex items-center gap-2 text-xs font-medium px-3 py-1.5 rounded-full bg-sky-50 text-sky-600">
+        <Cpu size={14} />
+        <span>Modèle local</span>
+      </div>
+    );
+  }
+
+  if (connection?.status === 'disconnected') {
+    return (
+      <button
+        onClick={onRetry}
+        title={connection.error
+          ? `${connection.error} : vérifier le profil de backend puis cliquer pour réessayer`
+          : 'Serveur injoignable : cliquer pour relancer la connexion'}
+        className="flex items-center gap-2 text-xs font-medium px-3 py-1.5 rounded-full bg-amber-50 text-amber-600 hover:bg-amber-100"
+      >
+        <AlertCircle size={14} />
+        <span>Mode simulation</span>
+        <RotateCcw size={12} />
+      </button>
+    );
+  }
+
   return (
     <div className={`flex items-center gap-2 text-xs font-medium px-3 py-1.5 rounded-full ${
       isConnected ? 'bg-emerald-50 text-emerald-600' : 'bg-amber-50 text-amber-600'
@@ -639,45 +772,337 @@ const StatusBadge = ({ apiStatus }) => {
 // Application Principale
 // ============================================
 
+const TABS = [
+  { key: 'predict', label: 'Prédiction', icon: Zap },
+  { key: 'evolution', label: 'Évolution dans le temps', icon: TrendingDown },
+  { key: 'batch', label: 'Lot (CSV)', icon: FileSpreadsheet },
+  { key: 'scenarios', label: 'Scénarios', icon: Layers },
+  { key: 'history', label: 'Historique', icon: History },
+  { key: 'sensitivity', label: 'Sensibilité', icon: SlidersHorizontal },
+  { key: 'heatmap', label: 'Carte 2D', icon: Grid3x3 },
+  { key: 'climate', label: 'Climat', icon: Globe },
+  { key: 'diagnostics', label: 'Diagnostic', icon: Stethoscope },
+];
+
+// Délai avant d'ajouter une entrée d'historique pour un changement de slider
+const URL_HISTORY_DELAY = 600;
+
+const readUrlState = () => parseHash(window.location.hash, {
+  tabs: TABS.map(tab => tab.key),
+  defaultTab: 'predict',
+});
+
+// L'historique ne doit jamais faire échouer une prédiction
+const recordPrediction = ({ inputs, result, issues, error = null }) => {
+  addHistoryRecord({ inputs, result, engine: getEngine(result), error, issues })
+    .catch(err => console.error('History Error:', err));
+};
+
+const ShareButton = () => {
+  const [copied, setCopied] = useState(false);
+  
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(window.location.href);
+      setCopied(true);
+      setTimeout(() => setCopied(false), 2000);
+    } catch {
+      window.prompt('Copiez ce lien :', window.location.href);
+    }
+  };
+  
+  return (
+    <button
+      onClick={handleCopy}
+      title="Copier le lien vers cette configuration"
+      className="flex items-center gap-2 text-xs font-medium px-3 py-1.5 rounded-full bg-gray-50 text-gray-600 hover:bg-gray-100 transition-colors"
+    >
+      {copied ? <CheckCircle size={14} className="text-emerald-500" /> : <Link2 size={14} />}
+      <span className="hidden sm:inline">{copied ? 'Lien copié' : 'Partager'}</span>
+    </button>
+  );
+};
+
 export default function App() {
-  const [inputs, setInputs] = useState(() => {
-    const initial = {};
-    FEATURES_CONFIG.forEach(f => initial[f.key] = f.default);
-    ADDITIONAL_FEATURES.forEach(f => initial[f.key] = f.default);
-    return initial;
-  });
+  const [initialUrlState] = useState(readUrlState);
+  const [inputs, setInputs] = useState(initialUrlState.inputs);
+  const [urlWarnings, setUrlWarnings] = useState(initialUrlState.warnings);
   
   const [prediction, setPrediction] = useState(null);
+  const [predictionIssues, setPredictionIssues] = useState([]);
   const [isLoading, setIsLoading] = useState(false);
-  const [apiStatus, setApiStatus] = useState('checking');
+  const [connection, setConnection] = useState(INITIAL_CONNECTION);
+  const [customProfiles, setCustomProfiles] = useState(loadCustomProfiles);
+  const [activeProfileId, setActiveProfileId] = useState(loadActiveProfileId);
+  const [engineMode, setEngineMode] = useState(loadEngineMode);
+  const [treeModel, setTreeModel] = useState(loadTreeModel);
+  const [modelMetadata, setModelMetadata] = useState(getCachedModelMetadata);
   const [showImportance, setShowImportance] = useState(false);
   const [error, setError] = useState(null);
+  // Erreurs 422 de la dernière prédiction, avec les entrées envoyées
+  const [fieldErrors, setFieldErrors] = useState({ inputs: null, fields: {} });
   
   // Données d'évolution
   const [evolutionData, setEvolutionData] = useState([]);
-  const [maintenanceData, setMaintenanceData] = useState([]);
-  const [activeTab, setActiveTab] = useState('predict');
+  const [evolutionEngine, setEvolutionEngine] = useState('simulated');
+  const [maintenance, setMaintenance] = useState({ data: [], engines: {}, summaries: {} });
+  const [maintenanceSettings, setMaintenanceSettings] = useState(loadMaintenanceSettings);
+  // Un lien partagé avec panneau incliné impose sa géométrie et son moment
+  const [location, setLocation] = useState(() => ({ ...loadLocation(), ...initialUrlState.location }));
+  const [geometry, setGeometry] = useState(() => ({ ...loadGeometry(), ...initialUrlState.geometry }));
+  const [weather, setWeather] = useState(null);
+  const [thermal, setThermal] = useState(loadThermalSettings);
+  const [uncertainty, setUncertainty] = useState(loadUncertainty);
+  const [monteCarlo, setMonteCarlo] = useState(null);
+  const [isSampling, setIsSampling] = useState(false);
+  const [system, setSystem] = useState(loadSystemConfig);
+  const [activeTab, setActiveTab] = useState(initialUrlState.activeTab);
+  
+  // Entrées envoyées au modèle : irradiance horizontale ramenée dans le plan des modules
+  const modelInputs = useMemo(
+    () => toPlaneOfArray(inputs, geometry, location),
+    [inputs, geometry, location]
+  );
+  // Même conversion pour les vues qui conservent des entrées saisies (scénarios, lot)
+  const toModelInputs = useCallback(
+    (values) => toPlaneOfArray(values, geometry, location),
+    [geometry, location]
+  );
+  
+  // Fichier météo chargé : une entrée par heure, et son irradiation annuelle
+  // remplace l'ensoleillement saisi dans la configuration du système
+  const weatherHours = useMemo(
+    () => (weather ? buildHourlyInputs(weather, inputs, geometry, thermal) : null),
+    [weather, inputs, geometry, thermal]
+  );
+  // Combinaisons physiquement douteuses, signalées à côté des curseurs concernés
+  const consistencyIssues = useMemo(
+    () => checkConsistency(inputs, { thermal, system }),
+    [inputs, thermal, system]
+  );
+  // Refus du serveur affichés sous le curseur concerné, tant que sa valeur n'a pas changé
+  const sliderIssues = useMemo(() => [
+    ...consistencyIssues,
+    ...Object.entries(fieldErrors.fields)
+      .filter(([key]) => fieldErrors.inputs && key in fieldErrors.inputs && inputs[key] === fieldErrors.inputs[key])
+      .map(([key, messages]) => ({
+        id: `api-${key}`,
+        keys: [key],
+        severity: 'error',
+        message: `Refusé par le serveur : ${messages.join(' ; ')}`,
+      })),
+  ], [consistencyIssues, fieldErrors, inputs]);
+  const weatherSunHours = weatherHours ? Math.round(computeAnnualInsolation(weatherHours)) : null;
+  const effectiveSystem = useMemo(
+    () => (weatherSunHours !== null ? { ...system, sunHoursPerYear: weatherSunHours } : system),
+    [system, weatherSunHours]
+  );
+  // Plages Monte Carlo affichées seulement autour d'une valeur centrale du même moteur
+  const gaugeRange = monteCarlo && prediction && monteCarlo.engine === getEngine(prediction)
+    ? monteCarlo.efficiency
+    : null;
+  const evolutionMonteCarlo = monteCarlo && monteCarlo.engine === evolutionEngine ? monteCarlo : null;
+  
+  // Statut du moteur effectif, transmis aux vues à la place du statut de l'API
+  const profiles = useMemo(() => getProfiles(customProfiles), [customProfiles]);
+  const backend = resolveProfile(profiles, activeProfileId);
+  const apiStatus = connection.status;
+  const engineStatus = resolveEngineStatus(engineMode, apiStatus, Boolean(treeModel));
+  
+  // État déjà inscrit dans l'historique, et restauration en cours (précédent/suivant)
+  const historyTabRef = useRef(null);
+  const isRestoringRef = useRef(false);
+  const connectionRef = useRef(null);
+
+  // Changement de backend appliqué avant les effets qui interrogent l'API
+  useLayoutEffect(() => {
+    applyBackendProfile(backend);
+  }, [backend]);
 
   useEffect(() => {
-    const checkApi = async () => {
-      try {
-        await solarApi.healthCheck();
-        setApiStatus('connected');
-      } catch {
-        setApiStatus('disconnected');
-      }
+    saveCustomProfiles(customProfiles);
+  }, [customProfiles]);
+
+  useEffect(() => {
+    saveActiveProfileId(activeProfileId);
+  }, [activeProfileId]);
+
+  // Santé de l'API surveillée en continu : réveil du serveur, reprises et retour automatique.
+  // Nouveau backend : on repart d'une vérification initiale.
+  useEffect(() => {
+    setConnection(INITIAL_CONNECTION);
+    const manager = createConnectionManager({ onChange: setConnection });
+    connectionRef.current = manager;
+    manager.start();
+    return () => manager.stop();
+  }, [backend]);
+
+  // Métadonnées du modèle : rechargées dès que l'API répond (le modèle est réentraîné régulièrement)
+  useEffect(() => {
+    if (apiStatus !== 'connected') return;
+    
+    let cancelled = false;
+    loadModelMetadata().then(metadata => {
+      if (!cancelled) setModelMetadata(metadata);
+    });
+    return () => {
+      cancelled = true;
     };
-    checkApi();
-  }, []);
+  }, [apiStatus]);
+
+  // Avant les effets des composants enfants, qui prédisent dès leur montage
+  useLayoutEffect(() => {
+    setLocalModel(engineMode !== 'simulated' ? treeModel : null);
+  }, [engineMode, treeModel]);
+
+  useEffect(() => {
+    saveEngineMode(engineMode);
+  }, [engineMode]);
+
+  useEffect(() => {
+    saveTreeModel(treeModel);
+  }, [treeModel]);
 
   // Générer les données d'évolution quand les inputs changent
+  // (délai pour ne pas interroger l'API à chaque cran de slider)
   useEffect(() => {
-    const evolution = generateYearlyEvolution(inputs);
-    setEvolutionData(evolution);
+    if (engineStatus === 'checking') return;
+    
+    let cancelled = false;
+    const engineOptions = { useApi: engineStatus === 'connected' };
     
-    const maintenance = generateMaintenanceComparison(inputs);
-    setMaintenanceData(maintenance);
-  }, [inputs]);
+    const timer = setTimeout(async () => {
+      const [evolution, comparison] = await Promise.all([
+        generateYearlyEvolution(modelInputs, { ...engineOptions, system: effectiveSystem }),
+        generateMaintenanceComparison(modelInputs, maintenanceSettings.plans, {
+          ...engineOptions,
+          system: effectiveSystem,
+          energyValue: maintenanceSettings.energyValue,
+        }),
+      ]);
+      if (cancelled) return;
+      
+      setEvolutionData(evolution.data);
+      setEvolutionEngine(evolution.engine);
+      setMaintenance(comparison);
+    }, engineOptions.useApi ? 400 : 0);
+    
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [modelInputs, engineStatus, treeModel, effectiveSystem, maintenanceSettings]);
+
+  useEffect(() => {
+    saveSystemConfig(system);
+  }, [system]);
+
+  useEffect(() => {
+    saveMaintenanceSettings(maintenanceSettings);
+  }, [maintenanceSettings]);
+
+  useEffect(() => {
+    saveLocation(location);
+  }, [location]);
+
+  useEffect(() => {
+    saveGeometry(geometry);
+  }, [geometry]);
+
+  useEffect(() => {
+    saveThermalSettings(thermal);
+  }, [thermal]);
+
+  useEffect(() => {
+    saveUncertainty(uncertainty);
+  }, [uncertainty]);
+
+  // Propagation Monte Carlo avec le moteur actif, relancée quand les entrées ou les distributions changent
+  // (API : budget de tirages plafonné et une seule série par pause des sliders)
+  useEffect(() => {
+    if (engineStatus === 'checking') return;
+    if (getUncertainKeys(uncertainty).length === 0) {
+      setMonteCarlo(null);
+      setIsSampling(false);
+      return;
+    }
+
+    let cancelled = false;
+    let run = null;
+    const useApi = engineStatus === 'connected';
+    setIsSampling(true);
+
+    const timer = setTimeout(() => {
+      run = runMonteCarloInWorker(modelInputs, uncertainty, { useApi, system: effectiveSystem });
+      run.promise
+        .then(result => {
+          if (!cancelled) setMonteCarlo(result);
+        })
+        .catch(err => {
+          console.error('Monte Carlo Error:', err);
+          if (!cancelled) setMonteCarlo(null);
+        })
+        .finally(() => {
+          if (!cancelled) setIsSampling(false);
+        });
+    }, useApi ? 400 : 150);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+      run?.cancel();
+    };
+  }, [modelInputs, uncertainty, engineStatus, engineMode, treeModel, effectiveSystem]);
+
+  // Mode auto : la température du module suit l'air, l'irradiance dans le plan et le vent
+  useEffect(() => {
+    if (!thermal.auto) return;
+    const moduleTemperature = deriveModuleTemperature({ ...inputs, irradiance: modelInputs.irradiance }, thermal);
+    if (moduleTemperature !== inputs.module_temperature) {
+      setInputs(prev => ({ ...prev, module_temperature: moduleTemperature }));
+    }
+  }, [thermal, inputs, modelInputs.irradiance]);
+
+  // Synchroniser l'URL avec l'onglet, les entrées et la transposition
+  useEffect(() => {
+    const hash = buildHash({ activeTab, inputs, geometry, location });
+    if (hash === window.location.hash) {
+      historyTabRef.current = activeTab;
+      isRestoringRef.current = false;
+      return;
+    }
+    
+    // Premier rendu ou état restauré depuis l'historique : on normalise l'entrée courante
+    if (historyTabRef.current === null || isRestoringRef.current) {
+      window.history.replaceState(null, '', urlWithHash(hash));
+      historyTabRef.current = activeTab;
+      isRestoringRef.current = false;
+      return;
+    }
+    
+    // Changement d'onglet : entrée immédiate ; sliders : une entrée par pause
+    const delay = activeTab !== historyTabRef.current ? 0 : URL_HISTORY_DELAY;
+    const timer = setTimeout(() => {
+      window.history.pushState(null, '', urlWithHash(hash));
+      historyTabRef.current = activeTab;
+    }, delay);
+    return () => clearTimeout(timer);
+  }, [activeTab, inputs, geometry, location]);
+
+  // Précédent / suivant du navigateur
+  useEffect(() => {
+    const handlePopState = () => {
+      const state = readUrlState();
+      isRestoringRef.current = true;
+      setInputs(state.inputs);
+      if (state.geometry) setGeometry(prev => ({ ...prev, ...state.geometry }));
+      if (state.location) setLocation(prev => ({ ...prev, ...state.location }));
+      setActiveTab(state.activeTab);
+      setUrlWarnings(state.warnings);
+    };
+    window.addEventListener('popstate', handlePopState);
+    return () => window.removeEventListener('popstate', handlePopState);
+  }, []);
 
   const handlePredict = useCallback(async () => {
     setIsLoading(true);
@@ -685,21 +1110,37 @@ export default function App() {
     
     try {
       let result;
-      if (apiStatus === 'connected') {
-        result = await solarApi.predict(inputs);
+      if (engineStatus === 'connected') {
+        result = await solarApi.predict(modelInputs);
       } else {
         await new Promise(resolve => setTimeout(resolve, 500));
-        result = simulateLocally.predict(inputs);
+        result = predictOffline(modelInputs);
       }
       setPrediction(result);
+      setFieldErrors({ inputs: null, fields: {} });
+      recordPrediction({ inputs, result, issues: consistencyIssues });
     } catch (err) {
-      setError(err.message);
-      const result = simulateLocally.predict(inputs);
+      setError({ kind: isApiError(err) ? err.kind : null, message: err.message });
+      setFieldErrors(isApiError(err, 'validation') ? { inputs, fields: err.fieldErrors } : { inputs: null, fields: {} });
+      const result = predictOffline(modelInputs);
       setPrediction(result);
+      recordPrediction({ inputs, result, issues: consistencyIssues, error: err.message });
     } finally {
+      setPredictionIssues(consistencyIssues);
       setIsLoading(false);
     }
-  }, [inputs, apiStatus]);
+  }, [inputs, modelInputs, engineStatus, consistencyIssues]);
+
+  // Retour de l'API : la dernière prédiction, faite hors ligne, est relancée avec l'API
+  // pour ne pas laisser côte à côte un résultat simulé et des courbes issues du modèle
+  const previousEngineStatusRef = useRef(engineStatus);
+  useEffect(() => {
+    const previous = previousEngineStatusRef.current;
+    previousEngineStatusRef.current = engineStatus;
+    if (engineStatus === 'connected' && previous !== 'connected' && prediction && getEngine(prediction) !== 'api') {
+      handlePredict();
+    }
+  }, [engineStatus, prediction, handlePredict]);
 
   useEffect(() => {
     handlePredict();
@@ -709,6 +1150,12 @@ export default function App() {
     setInputs(prev => ({ ...prev, [key]: value }));
   };
 
+  // Charger un jeu d'entrées enregistré (scénario, historique) dans la prédiction
+  const applyInputs = (savedInputs) => {
+    setInputs({ ...getDefaultInputs(), ...savedInputs });
+    setActiveTab('predict');
+  };
+
   return (
     <div className="min-h-screen bg-gradient-to-br from-emerald-50 via-teal-50 to-cyan-50">
       {/* Background */}
@@ -738,10 +1185,26 @@ export default function App() {
             </div>
             
             <div className="flex items-center gap-3">
-              <StatusBadge apiStatus={apiStatus} />
+              <StatusBadge
+                engineStatus={engineStatus}
+                connection={engineMode === 'api' ? connection : null}
+                onRetry={() => connectionRef.current?.retryNow()}
+              />
+              <BackendSettings
+                profiles={profiles}
+                activeId={backend.id}
+                onSelect={setActiveProfileId}
+                onSave={(profile) => {
+                  setCustomProfiles(prev => [...prev, profile]);
+                  setActiveProfileId(profile.id);
+                }}
+                onDelete={(id) => setCustomProfiles(prev => prev.filter(profile => profile.id !== id))}
+              />
+              <ShareButton />
               <div className="hidden sm:flex items-center gap-2 text-sm text-gray-500 bg-gray-50 px-3 py-1.5 rounded-full">
                 <TrendingUp size={14} className="text-emerald-500" />
-                <span>R² = <strong className="text-gray-700">0.814</strong></span>
+                <span>R² = <strong className="text-gray-700">{formatR2(modelMetadata.info.r2)}</strong></span>
+                <MetadataSourceBadge metadata={modelMetadata} />
               </div>
             </div>
           </div>
@@ -750,36 +1213,45 @@ export default function App() {
 
       {/* Tab Navigation */}
       <div className="max-w-7xl mx-auto px-4 py-4">
-        <div className="flex gap-2 p-1 bg-white/60 backdrop-blur-sm rounded-xl w-fit">
-          <button
-            onClick={() => setActiveTab('predict')}
-            className={`flex items-center gap-2 px-5 py-2.5 rounded-lg text-sm font-medium transition-all ${
-              activeTab === 'predict'
-                ? 'bg-white text-emerald-600 shadow-md'
-                : 'text-gray-500 hover:text-gray-700'
-            }`}
-          >
-            <Zap size={18} />
-            Prédiction
-          </button>
-          <button
-            onClick={() => setActiveTab('evolution')}
-            className={`flex items-center gap-2 px-5 py-2.5 rounded-lg text-sm font-medium transition-all ${
-              activeTab === 'evolution'
-                ? 'bg-white text-emerald-600 shadow-md'
-                : 'text-gray-500 hover:text-gray-700'
-            }`}
-          >
-            <TrendingDown size={18} />
-            Évolution dans le temps
-          </button>
+        <div className="flex flex-wrap gap-2 p-1 bg-white/60 backdrop-blur-sm rounded-xl w-fit">
+          {TABS.map(tab => {
+            const Icon = tab.icon;
+            return (
+              <button
+                key={tab.key}
+                onClick={() => setActiveTab(tab.key)}
+                className={`flex items-center gap-2 px-5 py-2.5 rounded-lg text-sm font-medium transition-all ${
+                  activeTab === tab.key
+                    ? 'bg-white text-emerald-600 shadow-md'
+                    : 'text-gray-500 hover:text-gray-700'
+                }`}
+              >
+                <Icon size={18} />
+                {tab.label}
+              </button>
+            );
+          })}
         </div>
       </div>
 
+      {urlWarnings.length > 0 && (
+        <div className="max-w-7xl mx-auto px-4 pb-4">
+          <div className="flex items-start gap-3 p-3 bg-amber-50 border border-amber-100 rounded-xl text-sm text-amber-700">
+            <AlertCircle size={16} className="mt-0.5 flex-shrink-0" />
+            <div className="flex-1">
+              <strong>Lien partagé corrigé :</strong> {urlWarnings.join(' · ')}
+            </div>
+            <button onClick={() => setUrlWarnings([])} className="text-amber-500 hover:text-amber-700">
+              <X size={16} />
+            </button>
+          </div>
+        </div>
+      )}
+
       {/* Main Content */}
       <main className="max-w-7xl mx-auto px-4 pb-8 relative z-10">
         <AnimatePresence mode="wait">
-          {activeTab === 'predict' ? (
+          {activeTab === 'predict' && (
             <motion.div
               key="predict"
               initial={{ opacity: 0, x: -20 }}
@@ -788,7 +1260,7 @@ export default function App() {
               className="grid lg:grid-cols-3 gap-6"
             >
               {/* Input Panel */}
-              <div className="lg:col-span-2">
+              <div className="lg:col-span-2 space-y-4">
                 <div className="bg-white/80 backdrop-blur-xl rounded-2xl shadow-xl shadow-emerald-100/50 p-5 border border-white/50">
                   <div className="flex items-center gap-3 mb-5">
                     <div className="p-2 bg-emerald-100 rounded-xl">
@@ -802,12 +1274,31 @@ export default function App() {
                   
                   <div className="grid md:grid-cols-2 gap-3">
                     {FEATURES_CONFIG.map((config) => (
-                      <InputSlider
-                        key={config.key}
-                        config={config}
-                        value={inputs[config.key]}
-                        onChange={(v) => updateInput(config.key, v)}
-                      />
+                      config.key === 'module_temperature' ? (
+                        <InputSlider
+                          key={config.key}
+                          config={config}
+                          value={inputs[config.key]}
+                          onChange={(v) => {
+                            setThermal(prev => ({ ...prev, auto: false }));
+                            updateInput(config.key, v);
+                          }}
+                          auto={{
+                            enabled: thermal.auto,
+                            onEnable: () => setThermal(prev => ({ ...prev, auto: true })),
+                            hint: `${THERMAL_MODELS[thermal.model].label} · air, irradiance, vent`,
+                          }}
+                          issues={getIssuesForKey(sliderIssues, config.key)}
+                        />
+                      ) : (
+                        <InputSlider
+                          key={config.key}
+                          config={config}
+                          value={inputs[config.key]}
+                          onChange={(v) => updateInput(config.key, v)}
+                          issues={getIssuesForKey(sliderIssues, config.key)}
+                        />
+                      )
                     ))}
                   </div>
 
@@ -833,6 +1324,48 @@ export default function App() {
                     )}
                   </motion.button>
                 </div>
+
+                <AdvancedParameters
+                  inputs={inputs}
+                  onChange={updateInput}
+                  issues={sliderIssues}
+                  system={system}
+                />
+
+                <LocationPanel
+                  location={location}
+                  onChange={setLocation}
+                  irradiance={inputs.irradiance}
+                  onApplyIrradiance={(value) => updateInput('irradiance', value)}
+                />
+
+                <PanelGeometryPanel
+                  geometry={geometry}
+                  onChange={setGeometry}
+                  location={location}
+                  irradiance={inputs.irradiance}
+                />
+
+                <ThermalModelPanel settings={thermal} onChange={setThermal} />
+
+                <UncertaintyPanel
+                  uncertainty={uncertainty}
+                  onChange={setUncertainty}
+                  inputs={modelInputs}
+                  monteCarlo={monteCarlo}
+                  isSampling={isSampling}
+                  apiStatus={engineStatus}
+                  predictionEngine={prediction ? getEngine(prediction) : null}
+                />
+
+                <EnginePanel
+                  engineMode={engineMode}
+                  onEngineModeChange={setEngineMode}
+                  model={treeModel}
+                  onModelChange={setTreeModel}
+                  apiStatus={apiStatus}
+                  inputs={modelInputs}
+                />
               </div>
 
               {/* Results Panel */}
@@ -842,28 +1375,71 @@ export default function App() {
                     <Activity size={18} className="text-amber-500" />
                     <h2 className="font-bold text-gray-800">Efficacité prédite</h2>
                   </div>
-                  <EfficiencyGauge value={prediction?.efficiency || 0} isLoading={isLoading} />
+                  <EfficiencyGauge value={prediction?.efficiency || 0} isLoading={isLoading} range={gaugeRange} />
+
+                  {error && (
+                    <div className="mt-4 p-3 rounded-xl text-sm bg-red-50 text-red-700">
+                      <div className="flex items-center gap-2 font-semibold">
+                        <AlertCircle size={16} />
+                        {API_ERROR_KINDS[error.kind] || 'Erreur'}
+                      </div>
+                      <p className="text-xs mt-1">{error.message} · résultat calculé hors ligne.</p>
+                    </div>
+                  )}
+
+                  {predictionIssues.length > 0 && (
+                    <div className={`mt-4 p-3 rounded-xl text-sm ${
+                      getConsistencyStatus(predictionIssues) === 'error' ? 'bg-red-50 text-red-700' : 'bg-amber-50 text-amber-700'
+                    }`}>
+                      <div className="flex items-center gap-2 font-semibold">
+                        <AlertTriangle size={16} />
+                        Prédiction issue d'entrées incohérentes
+                      </div>
+                      <p className="text-xs mt-1">
+                        {predictionIssues.length} règle{predictionIssues.length > 1 ? 's' : ''} de cohérence physique
+                        non respectée{predictionIssues.length > 1 ? 's' : ''} : le modèle extrapole hors des conditions réelles.
+                      </p>
+                    </div>
+                  )}
                   
                   <div className="mt-4 p-3 bg-blue-50 rounded-xl">
                     <div className="flex items-center gap-2 text-sm text-blue-700">
                       <Info size={16} />
                       <span>Âge actuel du panneau : <strong>{inputs.panel_age} ans</strong></span>
                     </div>
+                    {modelInputs.irradiance !== inputs.irradiance && (
+                      <div className="flex items-center gap-2 mt-1 text-sm text-blue-700">
+                        <Compass size={16} />
+                        <span>Irradiance dans le plan : <strong>{modelInputs.irradiance} W/m²</strong></span>
+                      </div>
+                    )}
                   </div>
                 </div>
 
-                <FeatureImportanceChart isOpen={showImportance} onToggle={() => setShowImportance(!showImportance)} />
+                <FeatureImportanceChart
+                  isOpen={showImportance}
+                  onToggle={() => setShowImportance(!showImportance)}
+                  metadata={modelMetadata}
+                />
+
+                <PredictionExplanation inputs={modelInputs} apiStatus={engineStatus} />
 
                 <div className="grid grid-cols-2 gap-3">
                   <div className="bg-white/60 backdrop-blur-sm rounded-xl p-3 border border-gray-100 text-center">
-                    <div className="text-xl font-bold text-emerald-600">81.4%</div>
+                    <div className="text-xl font-bold text-emerald-600">{formatR2Percent(modelMetadata.info.r2)}</div>
                     <div className="text-xs text-gray-500">Précision R²</div>
                   </div>
                   <div className="bg-white/60 backdrop-blur-sm rounded-xl p-3 border border-gray-100 text-center">
-                    <div className="text-xl font-bold text-blue-600">0.002</div>
+                    <div className="text-xl font-bold text-blue-600">{formatMse(modelMetadata.info.mse)}</div>
                     <div className="text-xs text-gray-500">Erreur MSE</div>
                   </div>
                 </div>
+                {modelMetadata.source !== 'live' && (
+                  <div className="flex items-center justify-center gap-2 -mt-2 text-xs text-gray-400">
+                    <MetadataSourceBadge metadata={modelMetadata} />
+                    <span>Métriques non synchronisées avec le modèle en ligne</span>
+                  </div>
+                )}
                 
                 {/* Bouton vers évolution */}
                 <button
@@ -884,7 +1460,9 @@ export default function App() {
                 </button>
               </div>
             </motion.div>
-          ) : (
+          )}
+
+          {activeTab === 'evolution' && (
             <motion.div
               key="evolution"
               initial={{ opacity: 0, x: 20 }}
@@ -898,23 +1476,49 @@ export default function App() {
                 <p className="text-gray-500 mt-1">Simulation de la dégradation du panneau sur 35 ans</p>
               </div>
 
+              <SystemConfigPanel system={system} onChange={setSystem} sunHoursOverride={weatherSunHours} />
+
+              <WeatherSimulation
+                weather={weather}
+                hours={weatherHours}
+                onLoad={setWeather}
+                onClear={() => setWeather(null)}
+                apiStatus={engineStatus}
+                system={system}
+              />
+
               {/* Main Evolution Chart */}
               <div className="bg-white/80 backdrop-blur-xl rounded-2xl shadow-xl shadow-emerald-100/50 p-6 border border-white/50">
-                <div className="flex items-center gap-3 mb-4">
-                  <div className="p-2 bg-gradient-to-br from-emerald-400 to-teal-500 rounded-xl text-white">
-                    <LineChartIcon size={20} />
-                  </div>
-                  <div>
-                    <h3 className="font-bold text-gray-800">Courbe de dégradation</h3>
-                    <p className="text-xs text-gray-400">Efficacité et production annuelle estimée</p>
+                <div className="flex items-center justify-between gap-3 mb-4">
+                  <div className="flex items-center gap-3">
+                    <div className="p-2 bg-gradient-to-br from-emerald-400 to-teal-500 rounded-xl text-white">
+                      <LineChartIcon size={20} />
+                    </div>
+                    <div>
+                      <h3 className="font-bold text-gray-800">Courbe de dégradation</h3>
+                      <p className="text-xs text-gray-400">Efficacité et production annuelle estimée</p>
+                    </div>
                   </div>
+                  <EngineBadge engine={evolutionEngine} />
                 </div>
 
-                <EfficiencyEvolutionChart data={evolutionData} currentAge={inputs.panel_age} />
-                
-                <DegradationStats data={evolutionData} currentAge={inputs.panel_age} />
+                {evolutionData.length > 0 ? (
+                  <>
+                    <EfficiencyEvolutionChart data={evolutionData} currentAge={inputs.panel_age} bands={evolutionMonteCarlo?.evolution} />
+                    
+                    <DegradationStats data={evolutionData} currentAge={inputs.panel_age} system={effectiveSystem} monteCarlo={evolutionMonteCarlo} />
+                  </>
+                ) : (
+                  <div className="h-[350px] flex items-center justify-center gap-2 text-sm text-gray-400">
+                    <RefreshCw size={16} className="animate-spin" />
+                    Calcul de l'évolution...
+                  </div>
+                )}
               </div>
 
+              {/* Financial Model */}
+              {evolutionData.length > 0 && <FinancialAnalysis yearlyData={evolutionData} />}
+
               {/* Maintenance Comparison */}
               <div className="bg-white/80 backdrop-blur-xl rounded-2xl shadow-xl shadow-emerald-100/50 p-6 border border-white/50">
                 <div className="flex items-center gap-3 mb-4">
@@ -923,11 +1527,26 @@ export default function App() {
                   </div>
                   <div>
                     <h3 className="font-bold text-gray-800">Impact de l'entretien</h3>
-                    <p className="text-xs text-gray-400">Comparaison de différents niveaux de maintenance</p>
+                    <p className="text-xs text-gray-400">Plans de nettoyage, coût des interventions et valeur de l'énergie récupérée</p>
                   </div>
                 </div>
 
-                <MaintenanceComparisonChart data={maintenanceData} />
+                <MaintenanceComparisonChart
+                  data={maintenance.data}
+                  plans={maintenanceSettings.plans}
+                  engines={maintenance.engines}
+                />
+
+                <div className="mt-6">
+                  <MaintenancePlanner
+                    settings={maintenanceSettings}
+                    onChange={setMaintenanceSettings}
+                    summaries={maintenance.summaries}
+                    inputs={modelInputs}
+                    apiStatus={engineStatus}
+                    system={effectiveSystem}
+                  />
+                </div>
                 
                 <div className="mt-4 p-4 bg-gradient-to-r from-amber-50 to-yellow-50 rounded-xl">
                   <div className="flex items-start gap-3">
@@ -970,13 +1589,116 @@ export default function App() {
               </div>
             </motion.div>
           )}
+
+          {activeTab === 'batch' && (
+            <motion.div
+              key="batch"
+              initial={{ opacity: 0, x: 20 }}
+              animate={{ opacity: 1, x: 0 }}
+              exit={{ opacity: 0, x: -20 }}
+            >
+              <BatchPrediction
+                apiStatus={engineStatus}
+                toModelInputs={toModelInputs}
+                thermal={thermal}
+                system={system}
+              />
+            </motion.div>
+          )}
+
+          {activeTab === 'scenarios' && (
+            <motion.div
+              key="scenarios"
+              initial={{ opacity: 0, x: 20 }}
+              animate={{ opacity: 1, x: 0 }}
+              exit={{ opacity: 0, x: -20 }}
+            >
+              <ScenarioManager
+                inputs={inputs}
+                toModelInputs={toModelInputs}
+                apiStatus={engineStatus}
+                onApply={applyInputs}
+              />
+            </motion.div>
+          )}
+
+          {activeTab === 'history' && (
+            <motion.div
+              key="history"
+              initial={{ opacity: 0, x: 20 }}
+              animate={{ opacity: 1, x: 0 }}
+              exit={{ opacity: 0, x: -20 }}
+            >
+              <PredictionHistory
+                onRestore={applyInputs}
+              />
+            </motion.div>
+          )}
+
+          {activeTab === 'sensitivity' && (
+            <motion.div
+              key="sensitivity"
+              initial={{ opacity: 0, x: 20 }}
+              animate={{ opacity: 1, x: 0 }}
+              exit={{ opacity: 0, x: -20 }}
+            >
+              <SensitivityAnalysis inputs={modelInputs} apiStatus={engineStatus} />
+            </motion.div>
+          )}
+
+          {activeTab === 'heatmap' && (
+            <motion.div
+              key="heatmap"
+              initial={{ opacity: 0, x: 20 }}
+              animate={{ opacity: 1, x: 0 }}
+              exit={{ opacity: 0, x: -20 }}
+            >
+              <EfficiencyHeatmap inputs={modelInputs} apiStatus={engineStatus} />
+            </motion.div>
+          )}
+
+          {activeTab === 'climate' && (
+            <motion.div
+              key="climate"
+              initial={{ opacity: 0, x: 20 }}
+              animate={{ opacity: 1, x: 0 }}
+              exit={{ opacity: 0, x: -20 }}
+            >
+              <ClimateProfiles
+                inputs={inputs}
+                onApply={applyInputs}
+                apiStatus={engineStatus}
+                system={system}
+                thermal={thermal}
+                geometry={geometry}
+                location={location}
+              />
+            </motion.div>
+          )}
+
+          {activeTab === 'diagnostics' && (
+            <motion.div
+              key="diagnostics"
+              initial={{ opacity: 0, x: 20 }}
+              animate={{ opacity: 1, x: 0 }}
+              exit={{ opacity: 0, x: -20 }}
+            >
+              <EngineComparison inputs={modelInputs} apiStatus={apiStatus} />
+            </motion.div>
+          )}
         </AnimatePresence>
       </main>
 
       {/* Footer */}
       <footer className="py-4 border-t border-emerald-100/50 bg-white/30 backdrop-blur-sm">
         <div className="max-w-7xl mx-auto px-4 text-center text-sm text-gray-500">
-          <span>Green AI Solar • FastAPI + React • Modèle GradientBoosting R²=0.814</span>
+          <span>
+            Green AI Solar • FastAPI + React • Modèle {modelMetadata.info.modelName} R²={formatR2(modelMetadata.info.r2)}
+            {modelMetadata.info.version && ` • v${modelMetadata.info.version}`}
+          </span>
+          {modelMetadata.source !== 'live' && (
+            <span className="ml-2"><MetadataSourceBadge metadata={modelMetadata} /></span>
+          )}
         </div>
       </footer>
     </div>
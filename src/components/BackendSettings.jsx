@@ -0,0 +1,232 @@
+/**
+ * Green AI Solar - Backend Settings
+ * =================================
+ * Profils de backend : sélection, test de /health, ajout et suppression
+ * (bouton de l'en-tête affichant le profil actif)
+ */
+
+import React, { useState } from 'react';
+import { motion, AnimatePresence } from 'framer-motion';
+import { Server, X, Plus, Trash2, Copy, Check, RefreshCw, Activity, KeyRound } from 'lucide-react';
+import {
+  DEFAULT_TIMEOUT, validateProfile, createProfileId, testBackendProfile
+} from '../services/backends';
+
+const EMPTY_DRAFT = { name: '', url: '', timeout: DEFAULT_TIMEOUT, headerName: '', headerValue: '' };
+
+const toDraft = (profile) => ({
+  name: `${profile.name} (copie)`,
+  url: profile.url,
+  timeout: profile.timeout,
+  headerName: profile.authHeader?.name || '',
+  headerValue: profile.authHeader?.value || '',
+});
+
+const fromDraft = (draft) => ({
+  name: draft.name.trim(),
+  url: draft.url.trim().replace(/\/+$/, ''),
+  timeout: draft.timeout,
+  authHeader: draft.headerName.trim() ? { name: draft.headerName.trim(), value: draft.headerValue } : null,
+});
+
+const Field = ({ label, error, children }) => (
+  <label className="block text-xs text-gray-500">
+    {label}
+    {children}
+    {error && <span className="block mt-0.5 text-red-500">{error}</span>}
+  </label>
+);
+
+const inputClass = 'w-full mt-1 px-2 py-1.5 text-sm text-gray-800 bg-gray-50 rounded-lg border border-gray-100 focus:outline-none focus:border-emerald-300';
+
+export default function BackendSettings({ profiles, activeId, onSelect, onSave, onDelete }) {
+  const [isOpen, setIsOpen] = useState(false);
+  const [draft, setDraft] = useState(null);
+  const [errors, setErrors] = useState({});
+  const [tests, setTests] = useState({});
+
+  const active = profiles.find(profile => profile.id === activeId);
+
+  const runTest = async (profile) => {
+    setTests(prev => ({ ...prev, [profile.id]: { pending: true } }));
+    try {
+      const { latency } = await testBackendProfile(profile);
+      setTests(prev => ({ ...prev, [profile.id]: { ok: true, message: `${latency} ms` } }));
+    } catch (err) {
+      setTests(prev => ({ ...prev, [profile.id]: { ok: false, message: err.message } }));
+    }
+  };
+
+  const handleSave = () => {
+    const profile = fromDraft(draft);
+    const validation = validateProfile(profile);
+    setErrors(validation);
+    if (Object.keys(validation).length > 0) return;
+
+    onSave({ ...profile, id: createProfileId(profile.name), builtIn: false });
+    setDraft(null);
+  };
+
+  const updateDraft = (patch) => setDraft(prev => ({ ...prev, ...patch }));
+
+  return (
+    <div className="relative">
+      <button
+        onClick={() => setIsOpen(!isOpen)}
+        title={`Backend : ${active.url}`}
+        className="flex items-center gap-2 text-xs font-medium px-3 py-1.5 rounded-full bg-gray-50 text-gray-600 hover:bg-gray-100 transition-colors"
+      >
+        <Server size={14} />
+        <span className="hidden sm:inline">{active.name}</span>
+      </button>
+
+      <AnimatePresence>
+        {isOpen && (
+          <motion.div
+            initial={{ opacity: 0, y: -8 }}
+            animate={{ opacity: 1, y: 0 }}
+            exit={{ opacity: 0, y: -8 }}
+            transition={{ duration: 0.15 }}
+            className="absolute right-0 mt-2 w-96 max-w-[calc(100vw-2rem)] bg-white rounded-2xl shadow-xl border border-gray-100 p-4 z-50"
+          >
+            <div className="flex items-center justify-between mb-3">
+              <span className="font-semibold text-gray-800">Backends</span>
+              <button onClick={() => setIsOpen(false)} className="p-1 text-gray-400 hover:text-gray-600">
+                <X size={16} />
+              </button>
+            </div>
+
+            <div className="space-y-2">
+              {profiles.map(profile => {
+                const test = tests[profile.id];
+                return (
+                  <div
+                    key={profile.id}
+                    className={`p-3 rounded-xl border ${
+                      profile.id === activeId ? 'border-emerald-300 bg-emerald-50/50' : 'border-gray-100'
+                    }`}
+                  >
+                    <div className="flex items-center gap-2">
+                      <button
+                        onClick={() => onSelect(profile.id)}
+                        className="flex-1 min-w-0 text-left"
+                      >
+                        <div className="flex items-center gap-1.5 text-sm font-medium text-gray-800">
+                          {profile.id === activeId && <Check size={14} className="text-emerald-500" />}
+                          {profile.name}
+                          {profile.authHeader && <KeyRound size={12} className="text-gray-400" />}
+                        </div>
+                        <div className="text-xs text-gray-400 truncate">
+                          {profile.url} · {profile.timeout / 1000} s
+                        </div>
+                      </button>
+                      <button
+                        onClick={() => runTest(profile)}
+                        title="Tester /health"
+                        className="p-1.5 text-gray-400 hover:text-emerald-600"
+                      >
+                        {test?.pending ? <RefreshCw size={14} className="animate-spin" /> : <Activity size={14} />}
+                      </button>
+                      <button
+                        onClick={() => {
+                          setErrors({});
+                          setDraft(toDraft(profile));
+                        }}
+                        title="Dupliquer"
+                        className="p-1.5 text-gray-400 hover:text-gray-600"
+                      >
+                        <Copy size={14} />
+                      </button>
+                      {!profile.builtIn && (
+                        <button
+                          onClick={() => onDelete(profile.id)}
+                          title="Supprimer"
+                          className="p-1.5 text-gray-400 hover:text-red-500"
+                        >
+                          <Trash2 size={14} />
+                        </button>
+                      )}
+                    </div>
+                    {test && !test.pending && (
+                      <div className={`mt-1 text-xs ${test.ok ? 'text-emerald-600' : 'text-red-500'}`}>
+                        {test.ok ? `Disponible · ${test.message}` : test.message}
+                      </div>
+                    )}
+                  </div>
+                );
+              })}
+            </div>
+
+            {draft ? (
+              <div className="mt-4 pt-3 border-t border-gray-100 space-y-2">
+                <Field label="Nom" error={errors.name}>
+                  <input value={draft.name} onChange={(e) => updateDraft({ name: e.target.value })} className={inputClass} />
+                </Field>
+                <Field label="URL" error={errors.url}>
+                  <input
+                    value={draft.url}
+                    onChange={(e) => updateDraft({ url: e.target.value })}
+                    placeholder="https://mon-backend.example.com"
+                    className={inputClass}
+                  />
+                </Field>
+                <Field label="Délai d'attente (s)" error={errors.timeout}>
+                  <input
+                    type="number"
+                    min={1}
+                    step={1}
+                    value={draft.timeout / 1000}
+                    onChange={(e) => updateDraft({ timeout: parseFloat(e.target.value) * 1000 })}
+                    className={inputClass}
+                  />
+                </Field>
+                <div className="grid grid-cols-2 gap-2">
+                  <Field label="En-tête d'authentification" error={errors.authHeader}>
+                    <input
+                      value={draft.headerName}
+                      onChange={(e) => updateDraft({ headerName: e.target.value })}
+                      placeholder="Authorization"
+                      className={inputClass}
+                    />
+                  </Field>
+                  <Field label="Valeur">
+                    <input
+                      type="password"
+                      value={draft.headerValue}
+                      onChange={(e) => updateDraft({ headerValue: e.target.value })}
+                      placeholder="Bearer ..."
+                      className={inputClass}
+                    />
+                  </Field>
+                </div>
+                <p className="text-xs text-gray-400">La valeur est conservée en clair dans ce navigateur.</p>
+                <div className="flex justify-end gap-2">
+                  <button onClick={() => setDraft(null)} className="px-3 py-1.5 text-sm text-gray-500 hover:text-gray-700">
+                    Annuler
+                  </button>
+                  <button
+                    onClick={handleSave}
+                    className="px-3 py-1.5 text-sm font-medium text-white bg-emerald-500 hover:bg-emerald-600 rounded-lg"
+                  >
+                    Enregistrer
+                  </button>
+                </div>
+              </div>
+            ) : (
+              <button
+                onClick={() => {
+                  setErrors({});
+                  setDraft(EMPTY_DRAFT);
+                }}
+                className="flex items-center gap-1.5 mt-3 text-sm font-medium text-emerald-600 hover:text-emerald-700"
+              >
+                <Plus size={14} />
+                Ajouter un backend
+              </button>
+            )}
+          </motion.div>
+        )}
+      </AnimatePresence>
+    </div>
+  );
+}
@@ -0,0 +1,354 @@
+/**
+ * Green AI Solar - Batch Prediction View
+ * ======================================
+ * Import d'un fichier de configurations, tableau de résultats triable et export enrichi
+ */
+
+import React, { useState, useMemo } from 'react';
+import { motion } from 'framer-motion';
+import {
+  Upload, Download, FileSpreadsheet, RefreshCw, AlertCircle, CheckCircle,
+  ArrowUp, ArrowDown, Zap, AlertTriangle
+} from 'lucide-react';
+import { FEATURES_CONFIG, getDefaultInputs } from '../config/features';
+import { getEngine } from '../services/api';
+import {
+  parseBatchFile, getMissingColumns, runBatch, exportBatchResults, getEntryStatus
+} from '../services/batch';
+import { toCsv } from '../utils/csv';
+import { downloadFile } from '../utils/download';
+
+const QUALITY_COLORS = {
+  'Faible': 'bg-red-50 text-red-600',
+  'Modérée': 'bg-amber-50 text-amber-600',
+  'Bonne': 'bg-green-50 text-green-600',
+  'Excellente': 'bg-emerald-50 text-emerald-600',
+};
+
+const STATUS_FILTERS = [
+  { key: 'all', label: 'Toutes les lignes' },
+  { key: 'valid', label: 'Cohérentes' },
+  { key: 'flagged', label: 'Signalées' },
+  { key: 'invalid', label: 'Invalides' },
+];
+
+// Valeur de tri d'une ligne pour une colonne donnée (null pour une ligne sans valeur)
+const sortValue = (entry, column) => {
+  if (column === 'index') return entry.index;
+  if (column === 'efficiency') return entry.result ? entry.result.efficiency : null;
+  if (column === 'quality_label') return entry.result ? entry.result.efficiency : null;
+  if (column === 'status') return entry.errors.length * 100 + entry.issues.length;
+  return entry.inputs ? entry.inputs[column] : null;
+};
+
+// Lignes sans valeur toujours en fin de tableau quel que soit le sens, puis par numéro de ligne
+const compareEntries = (a, b, column, factor) => {
+  const valueA = sortValue(a, column);
+  const valueB = sortValue(b, column);
+  if (valueA === null || valueB === null) {
+    if (valueA !== valueB) return valueA === null ? 1 : -1;
+    return a.index - b.index;
+  }
+  return (valueA - valueB) * factor || a.index - b.index;
+};
+
+const SortHeader = ({ column, label, sort, onSort }) => {
+  const isActive = sort.column === column;
+  const Arrow = sort.direction === 'asc' ? ArrowUp : ArrowDown;
+
+  return (
+    <th
+      onClick={() => onSort(column)}
+      className="px-3 py-2 text-left text-xs font-semibold text-gray-500 whitespace-nowrap cursor-pointer select-none hover:text-gray-800"
+    >
+      <span className="inline-flex items-center gap-1">
+        {label}
+        {isActive && <Arrow size={12} />}
+      </span>
+    </th>
+  );
+};
+
+const downloadTemplate = () => {
+  const defaults = getDefaultInputs();
+  const columns = Object.keys(defaults);
+  downloadFile('solar-batch-template.csv', toCsv(columns, [defaults]), 'text/csv');
+};
+
+export default function BatchPrediction({ apiStatus, toModelInputs, thermal, system }) {
+  const [file, setFile] = useState(null);
+  const [entries, setEntries] = useState([]);
+  const [progress, setProgress] = useState(null);
+  const [error, setError] = useState(null);
+  const [sort, setSort] = useState({ column: 'index', direction: 'asc' });
+  const [statusFilter, setStatusFilter] = useState('all');
+
+  const handleFile = async (event) => {
+    const selected = event.target.files?.[0];
+    event.target.value = '';
+    if (!selected) return;
+
+    setError(null);
+    setEntries([]);
+    try {
+      const text = await selected.text();
+      const { columns, rows } = parseBatchFile(selected.name, text);
+      if (rows.length === 0) {
+        throw new Error('Le fichier ne contient aucune ligne');
+      }
+      setFile({
+        name: selected.name,
+        format: selected.name.toLowerCase().endsWith('.json') ? 'json' : 'csv',
+        columns,
+        rows,
+        missingColumns: getMissingColumns(columns),
+      });
+    } catch (err) {
+      setFile(null);
+      setError(`Fichier illisible : ${err.message}`);
+    }
+  };
+
+  const handleRun = async () => {
+    if (!file) return;
+    setError(null);
+    setProgress({ done: 0, total: file.rows.length });
+    try {
+      const results = await runBatch(file.rows, {
+        useApi: apiStatus === 'connected',
+        toModelInputs,
+        thermal,
+        system,
+        onProgress: (done, total) => setProgress({ done, total }),
+      });
+      setEntries(results);
+    } catch (err) {
+      setError(`Calcul interrompu : ${err.message}`);
+    } finally {
+      setProgress(null);
+    }
+  };
+
+  const handleSort = (column) => {
+    setSort(prev => ({
+      column,
+      direction: prev.column === column && prev.direction === 'asc' ? 'desc' : 'asc',
+    }));
+  };
+
+  const handleExport = () => {
+    const content = exportBatchResults(file.format, file.columns, filteredEntries);
+    const basename = file.name.replace(/\.[^.]+$/, '');
+    downloadFile(
+      `${basename}-predictions.${file.format}`,
+      content,
+      file.format === 'json' ? 'application/json' : 'text/csv'
+    );
+  };
+
+  const filteredEntries = useMemo(() => (
+    statusFilter === 'all' ? entries : entries.filter(entry => getEntryStatus(entry) === statusFilter)
+  ), [entries, statusFilter]);
+
+  const sortedEntries = useMemo(() => {
+    const factor = sort.direction === 'asc' ? 1 : -1;
+    return [...filteredEntries].sort((a, b) => compareEntries(a, b, sort.column, factor));
+  }, [filteredEntries, sort]);
+
+  const validCount = entries.filter(entry => entry.result).length;
+  const simulatedCount = entries.filter(entry => entry.result && getEngine(entry.result) === 'simulated').length;
+  const modelCount = entries.filter(entry => entry.result && getEngine(entry.result) === 'model').length;
+  const flaggedCount = entries.filter(entry => getEntryStatus(entry) === 'flagged').length;
+
+  return (
+    <div className="space-y-6">
+      <div>
+        <h2 className="text-2xl font-bold text-gray-800">Prédiction par lot</h2>
+        <p className="text-gray-500 mt-1">Évaluez plusieurs installations à partir d'un fichier CSV ou JSON</p>
+      </div>
+
+      {/* Import */}
+      <div className="bg-white/80 backdrop-blur-xl rounded-2xl shadow-xl shadow-emerald-100/50 p-6 border border-white/50">
+        <div className="flex items-center gap-3 mb-4">
+          <div className="p-2 bg-gradient-to-br from-emerald-400 to-teal-500 rounded-xl text-white">
+            <FileSpreadsheet size={20} />
+          </div>
+          <div>
+            <h3 className="font-bold text-gray-800">Fichier de configurations</h3>
+            <p className="text-xs text-gray-400">
+              Une ligne par installation, colonnes : {FEATURES_CONFIG.map(c => c.key).join(', ')}
+              {' '}(+ voltage, current, pressure, maintenance_count optionnels)
+            </p>
+          </div>
+        </div>
+
+        <div className="flex flex-wrap items-center gap-3">
+          <label className="flex items-center gap-2 px-4 py-2.5 bg-emerald-500 text-white text-sm font-medium rounded-xl cursor-pointer hover:bg-emerald-600 transition-colors">
+            <Upload size={16} />
+            Choisir un fichier
+            <input type="file" accept=".csv,.json,text/csv,application/json" onChange={handleFile} className="hidden" />
+          </label>
+          <button
+            onClick={downloadTemplate}
+            className="flex items-center gap-2 px-4 py-2.5 text-sm font-medium text-gray-600 bg-gray-50 rounded-xl hover:bg-gray-100 transition-colors"
+          >
+            <Download size={16} />
+            Modèle CSV
+          </button>
+          {file && (
+            <span className="text-sm text-gray-600">
+              <strong>{file.name}</strong> · {file.rows.length} ligne{file.rows.length > 1 ? 's' : ''}
+            </span>
+          )}
+        </div>
+
+        {error && (
+          <div className="mt-4 flex items-center gap-2 p-3 bg-red-50 text-red-600 text-sm rounded-xl">
+            <AlertCircle size={16} />
+            {error}
+          </div>
+        )}
+
+        {file?.missingColumns.length > 0 && (
+          <div className="mt-4 flex items-center gap-2 p-3 bg-amber-50 text-amber-700 text-sm rounded-xl">
+            <AlertCircle size={16} />
+            Colonnes manquantes : {file.missingColumns.join(', ')}
+          </div>
+        )}
+
+        {file && (
+          <motion.button
+            onClick={handleRun}
+            disabled={progress !== null}
+            className="w-full mt-6 py-3.5 px-6 bg-gradient-to-r from-emerald-500 via-teal-500 to-cyan-500
+                     text-white font-semibold rounded-xl shadow-lg shadow-emerald-300/50
+                     disabled:opacity-50 flex items-center justify-center gap-3"
+            whileHover={{ scale: 1.02 }}
+            whileTap={{ scale: 0.98 }}
+          >
+            {progress ? (
+              <>
+                <RefreshCw size={20} className="animate-spin" />
+                Calcul... {progress.done}/{progress.total}
+              </>
+            ) : (
+              <>
+                <Zap size={20} />
+                Prédire les {file.rows.length} configurations
+              </>
+            )}
+          </motion.button>
+        )}
+      </div>
+
+      {/* Résultats */}
+      {entries.length > 0 && (
+        <div className="bg-white/80 backdrop-blur-xl rounded-2xl shadow-xl shadow-emerald-100/50 p-6 border border-white/50">
+          <div className="flex flex-wrap items-center justify-between gap-3 mb-4">
+            <div className="flex flex-wrap items-center gap-2 text-sm">
+              <span className="flex items-center gap-1.5 px-3 py-1 rounded-full bg-emerald-50 text-emerald-600">
+                <CheckCircle size={14} />
+                {validCount} prédite{validCount > 1 ? 's' : ''}
+              </span>
+              {entries.length - validCount > 0 && (
+                <span className="flex items-center gap-1.5 px-3 py-1 rounded-full bg-red-50 text-red-600">
+                  <AlertCircle size={14} />
+                  {entries.length - validCount} invalide{entries.length - validCount > 1 ? 's' : ''}
+                </span>
+              )}
+              {flaggedCount > 0 && (
+                <span className="flex items-center gap-1.5 px-3 py-1 rounded-full bg-amber-50 text-amber-600">
+                  <AlertTriangle size={14} />
+                  {flaggedCount} signalée{flaggedCount > 1 ? 's' : ''}
+                </span>
+              )}
+              {simulatedCount > 0 && (
+                <span className="px-3 py-1 rounded-full bg-amber-50 text-amber-600">
+                  {simulatedCount} en simulation locale
+                </span>
+              )}
+              {modelCount > 0 && (
+                <span className="px-3 py-1 rounded-full bg-sky-50 text-sky-600">
+                  {modelCount} par le modèle exporté
+                </span>
+              )}
+            </div>
+            <div className="flex items-center gap-2">
+              <select
+                value={statusFilter}
+                onChange={(e) => setStatusFilter(e.target.value)}
+                className="px-3 py-2 text-sm bg-white border border-gray-200 rounded-xl"
+              >
+                {STATUS_FILTERS.map(filter => <option key={filter.key} value={filter.key}>{filter.label}</option>)}
+              </select>
+              <button
+                onClick={handleExport}
+                disabled={filteredEntries.length === 0}
+                className="flex items-center gap-2 px-4 py-2 text-sm font-medium text-emerald-600 bg-emerald-50 rounded-xl hover:bg-emerald-100 transition-colors disabled:opacity-50"
+              >
+                <Download size={16} />
+                Télécharger le fichier enrichi
+              </button>
+            </div>
+          </div>
+
+          <div className="overflow-x-auto">
+            <table className="w-full text-sm">
+              <thead className="border-b border-gray-100">
+                <tr>
+                  <SortHeader column="index" label="#" sort={sort} onSort={handleSort} />
+                  {FEATURES_CONFIG.map(config => (
+                    <SortHeader key={config.key} column={config.key} label={config.shortLabel} sort={sort} onSort={handleSort} />
+                  ))}
+                  <SortHeader column="efficiency" label="Efficacité" sort={sort} onSort={handleSort} />
+                  <SortHeader column="quality_label" label="Qualité" sort={sort} onSort={handleSort} />
+                  <SortHeader column="status" label="Statut" sort={sort} onSort={handleSort} />
+                </tr>
+              </thead>
+              <tbody>
+                {sortedEntries.map(entry => (
+                  <tr key={entry.index} className="border-b border-gray-50 hover:bg-gray-50/50">
+                    <td className="px-3 py-2 text-gray-400">{entry.index + 1}</td>
+                    {FEATURES_CONFIG.map(config => (
+                      <td key={config.key} className="px-3 py-2 text-gray-700 whitespace-nowrap">
+                        {entry.inputs ? entry.inputs[config.key] : (entry.source[config.key] ?? '—')}
+                      </td>
+                    ))}
+                    <td className="px-3 py-2 font-semibold text-gray-900">
+                      {entry.result ? `${entry.result.efficiency_percent.toFixed(1)}%` : '—'}
+                    </td>
+                    <td className="px-3 py-2">
+                      {entry.result && (
+                        <span className={`px-2 py-0.5 rounded-full text-xs font-medium ${QUALITY_COLORS[entry.result.quality_label] || 'bg-gray-50 text-gray-600'}`}>
+                          {entry.result.quality_label}
+                        </span>
+                      )}
+                    </td>
+                    <td className="px-3 py-2 text-xs">
+                      {entry.errors.length > 0 ? (
+                        <span className="text-red-500" title={entry.errors.join('\n')}>
+                          {entry.errors[0]}{entry.errors.length > 1 && ` (+${entry.errors.length - 1})`}
+                        </span>
+                      ) : entry.issues.length > 0 ? (
+                        <span className="flex items-center gap-1 text-amber-600" title={entry.issues.map(issue => issue.message).join('\n')}>
+                          <AlertTriangle size={12} />
+                          {entry.issues.length} incohérence{entry.issues.length > 1 ? 's' : ''}
+                        </span>
+                      ) : getEngine(entry.result) === 'simulated' ? (
+                        <span className="text-amber-600" title={entry.error || undefined}>Simulation</span>
+                      ) : getEngine(entry.result) === 'model' ? (
+                        <span className="text-sky-600" title={entry.error || undefined}>Modèle exporté</span>
+                      ) : (
+                        <span className="text-emerald-600">API</span>
+                      )}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
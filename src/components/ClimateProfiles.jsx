@@ -0,0 +1,262 @@
+/**
+ * Green AI Solar - Climate Profiles View
+ * ======================================
+ * Sites prédéfinis et profils personnalisés : valeurs mensuelles,
+ * efficacité et production mois par mois
+ */
+
+import React, { useState, useEffect } from 'react';
+import { Globe, Copy, Trash2, ArrowUpRight, Zap, Gauge, Sun, RefreshCw } from 'lucide-react';
+import {
+  ComposedChart, Bar, Line, XAxis, YAxis, Tooltip, ResponsiveContainer, CartesianGrid, Legend
+} from 'recharts';
+import {
+  CLIMATE_PRESETS, CLIMATE_VARIABLES, loadCustomProfiles, saveCustomProfiles, duplicateProfile,
+  renameProfile, updateProfileValue, deleteProfile, getMonthInputs, computeMonthlyProfile
+} from '../services/climate';
+import { MONTH_LABELS } from '../services/weather';
+import EngineBadge from './EngineBadge';
+
+const formatValue = (value, step) => (step < 1 ? value.toFixed(1) : Math.round(value));
+
+export default function ClimateProfiles({ inputs, onApply, apiStatus, system, thermal, geometry, location }) {
+  const [customProfiles, setCustomProfiles] = useState(loadCustomProfiles);
+  const [selectedId, setSelectedId] = useState(CLIMATE_PRESETS[0].id);
+  const [monthly, setMonthly] = useState(null);
+
+  const profiles = [...CLIMATE_PRESETS, ...customProfiles];
+  const profile = profiles.find(p => p.id === selectedId) || CLIMATE_PRESETS[0];
+
+  useEffect(() => {
+    saveCustomProfiles(customProfiles);
+  }, [customProfiles]);
+
+  useEffect(() => {
+    if (apiStatus === 'checking') return;
+
+    let cancelled = false;
+    computeMonthlyProfile(profile, inputs, {
+      useApi: apiStatus === 'connected', system, thermal, geometry, location,
+    }).then(result => {
+      if (!cancelled) setMonthly(result);
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, [profile, inputs, apiStatus, system, thermal, geometry, location]);
+
+  const handleDuplicate = () => {
+    const next = duplicateProfile(customProfiles, profile);
+    setCustomProfiles(next);
+    setSelectedId(next[next.length - 1].id);
+  };
+
+  const handleDelete = () => {
+    setCustomProfiles(deleteProfile(customProfiles, profile.id));
+    setSelectedId(CLIMATE_PRESETS[0].id);
+  };
+
+  const handleValueChange = (variable, month, raw) => {
+    const value = parseFloat(raw);
+    if (!Number.isFinite(value) || value < variable.min || value > variable.max) return;
+    setCustomProfiles(updateProfileValue(customProfiles, profile.id, variable.key, month, value));
+  };
+
+  return (
+    <div className="space-y-6">
+      <div>
+        <h2 className="text-2xl font-bold text-gray-800">Profils climatiques</h2>
+        <p className="text-gray-500 mt-1">
+          Conditions mois par mois d'un site type, avec les paramètres du panneau de l'onglet Prédiction
+        </p>
+      </div>
+
+      {/* Sélection du profil */}
+      <div className="flex flex-wrap gap-2">
+        {profiles.map(p => (
+          <button
+            key={p.id}
+            onClick={() => setSelectedId(p.id)}
+            className={`px-4 py-2 rounded-xl text-sm font-medium transition-all ${
+              p.id === profile.id
+                ? 'bg-white text-emerald-600 shadow-md'
+                : 'bg-white/60 text-gray-500 hover:text-gray-700'
+            }`}
+          >
+            {p.name}
+          </button>
+        ))}
+      </div>
+
+      {/* Mois par mois */}
+      <div className="bg-white/80 backdrop-blur-xl rounded-2xl shadow-xl shadow-emerald-100/50 p-6 border border-white/50">
+        <div className="flex items-center justify-between mb-4">
+          <div className="flex items-center gap-3">
+            <div className="p-2 bg-gradient-to-br from-sky-400 to-blue-500 rounded-xl text-white">
+              <Globe size={20} />
+            </div>
+            <div>
+              <h3 className="font-bold text-gray-800">{profile.name} : efficacité et production</h3>
+              <p className="text-xs text-gray-400">Production mensuelle de l'installation configurée</p>
+            </div>
+          </div>
+          {monthly && <EngineBadge engine={monthly.engine} />}
+        </div>
+
+        {monthly ? (
+          <>
+            <div className="grid grid-cols-3 gap-4 mb-6">
+              <div className="bg-gradient-to-br from-amber-50 to-yellow-50 rounded-xl p-4">
+                <div className="flex items-center gap-2 mb-2">
+                  <Zap size={18} className="text-amber-600" />
+                  <span className="text-xs text-gray-500">Production annuelle</span>
+                </div>
+                <div className="text-2xl font-bold text-amber-600">{monthly.annualProduction.toLocaleString('fr-FR')} kWh</div>
+              </div>
+              <div className="bg-gradient-to-br from-emerald-50 to-teal-50 rounded-xl p-4">
+                <div className="flex items-center gap-2 mb-2">
+                  <Gauge size={18} className="text-emerald-600" />
+                  <span className="text-xs text-gray-500">Efficacité moyenne</span>
+                </div>
+                <div className="text-2xl font-bold text-emerald-600">{monthly.efficiency.toFixed(1)}%</div>
+                <div className="text-xs text-gray-400 mt-1">pondérée par l'irradiation</div>
+              </div>
+              <div className="bg-gradient-to-br from-sky-50 to-blue-50 rounded-xl p-4">
+                <div className="flex items-center gap-2 mb-2">
+                  <Sun size={18} className="text-sky-600" />
+                  <span className="text-xs text-gray-500">Irradiation annuelle</span>
+                </div>
+                <div className="text-2xl font-bold text-sky-600">{monthly.annualInsolation.toLocaleString('fr-FR')} kWh/m²</div>
+              </div>
+            </div>
+
+            <ResponsiveContainer width="100%" height={300}>
+              <ComposedChart data={monthly.data} margin={{ top: 10, right: 30, left: 10, bottom: 10 }}>
+                <CartesianGrid strokeDasharray="3 3" stroke="#e5e7eb" vertical={false} />
+                <XAxis dataKey="label" tick={{ fontSize: 11, fill: '#6b7280' }} tickLine={false} />
+                <YAxis
+                  yAxisId="production"
+                  tick={{ fontSize: 11, fill: '#6b7280' }}
+                  tickLine={false}
+                  axisLine={false}
+                  label={{ value: 'kWh', angle: -90, position: 'insideLeft', fontSize: 11, fill: '#6b7280' }}
+                />
+                <YAxis
+                  yAxisId="efficiency"
+                  orientation="right"
+                  domain={['auto', 'auto']}
+                  tick={{ fontSize: 11, fill: '#6b7280' }}
+                  tickLine={false}
+                  axisLine={false}
+                  tickFormatter={(v) => `${v}%`}
+                />
+                <Tooltip
+                  contentStyle={{ borderRadius: '12px', border: 'none', boxShadow: '0 10px 40px rgba(0,0,0,0.15)', padding: '12px' }}
+                  formatter={(value, name) => [name === 'Efficacité' ? `${value}%` : `${value} kWh`, name]}
+                />
+                <Legend verticalAlign="top" height={30} />
+                <Bar yAxisId="production" dataKey="production" name="Production" fill="#f59e0b" radius={[4, 4, 0, 0]} />
+                <Line yAxisId="efficiency" type="monotone" dataKey="efficiency" name="Efficacité" stroke="#10b981" strokeWidth={3} />
+              </ComposedChart>
+            </ResponsiveContainer>
+          </>
+        ) : (
+          <div className="h-[300px] flex items-center justify-center gap-2 text-sm text-gray-400">
+            <RefreshCw size={16} className="animate-spin" />
+            Calcul des 12 mois...
+          </div>
+        )}
+      </div>
+
+      {/* Valeurs mensuelles */}
+      <div className="bg-white/80 backdrop-blur-xl rounded-2xl shadow-xl shadow-emerald-100/50 p-6 border border-white/50">
+        <div className="flex flex-wrap items-center justify-between gap-3 mb-4">
+          {profile.builtin ? (
+            <div>
+              <h3 className="font-bold text-gray-800">Valeurs mensuelles</h3>
+              <p className="text-xs text-gray-400">Profil prédéfini : dupliquez-le pour l'adapter à votre site</p>
+            </div>
+          ) : (
+            <input
+              type="text"
+              value={profile.name}
+              onChange={(e) => setCustomProfiles(renameProfile(customProfiles, profile.id, e.target.value))}
+              className="px-3 py-1.5 font-bold text-gray-800 bg-gray-50 rounded-lg border border-gray-100 focus:outline-none focus:border-emerald-300"
+            />
+          )}
+          <div className="flex items-center gap-2">
+            <button
+              onClick={handleDuplicate}
+              className="flex items-center gap-1.5 px-3 py-1.5 text-sm font-medium text-emerald-600 bg-emerald-50 hover:bg-emerald-100 rounded-lg"
+            >
+              <Copy size={14} />
+              Dupliquer
+            </button>
+            {!profile.builtin && (
+              <button
+                onClick={handleDelete}
+                className="flex items-center gap-1.5 px-3 py-1.5 text-sm font-medium text-red-500 bg-red-50 hover:bg-red-100 rounded-lg"
+              >
+                <Trash2 size={14} />
+                Supprimer
+              </button>
+            )}
+          </div>
+        </div>
+
+        <div className="overflow-x-auto">
+          <table className="w-full text-xs">
+            <thead>
+              <tr className="text-gray-500 border-b border-gray-100">
+                <th className="py-2 pr-3 text-left font-medium">Variable</th>
+                {MONTH_LABELS.map(label => (
+                  <th key={label} className="py-2 px-1 font-medium">{label}</th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {CLIMATE_VARIABLES.map(variable => (
+                <tr key={variable.key} className="border-b border-gray-50">
+                  <td className="py-1.5 pr-3 text-gray-600 whitespace-nowrap">
+                    {variable.label} <span className="text-gray-400">({variable.unit})</span>
+                  </td>
+                  {profile.months[variable.key].map((value, month) => (
+                    <td key={month} className="py-1 px-0.5 text-center">
+                      {profile.builtin ? (
+                        <span className="font-semibold text-gray-700">{formatValue(value, variable.step)}</span>
+                      ) : (
+                        <input
+                          type="number"
+                          min={variable.min}
+                          max={variable.max}
+                          step={variable.step}
+                          value={value}
+                          onChange={(e) => handleValueChange(variable, month, e.target.value)}
+                          className="w-14 px-1 py-1 text-center font-semibold text-gray-800 bg-gray-50 rounded border border-gray-100 focus:outline-none focus:border-emerald-300"
+                        />
+                      )}
+                    </td>
+                  ))}
+                </tr>
+              ))}
+              <tr>
+                <td className="py-2 pr-3 text-gray-400">Charger dans les curseurs</td>
+                {MONTH_LABELS.map((label, month) => (
+                  <td key={label} className="py-2 px-0.5 text-center">
+                    <button
+                      onClick={() => onApply(getMonthInputs(profile, month, inputs, thermal))}
+                      className="p-1 text-emerald-500 hover:text-emerald-700 hover:bg-emerald-50 rounded"
+                      title={`Prédire avec les conditions de ${label.toLowerCase()}`}
+                    >
+                      <ArrowUpRight size={14} />
+                    </button>
+                  </td>
+                ))}
+              </tr>
+            </tbody>
+          </table>
+        </div>
+      </div>
+    </div>
+  );
+}
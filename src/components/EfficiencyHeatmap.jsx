@@ -0,0 +1,291 @@
+/**
+ * Green AI Solar - Efficiency Heatmap
+ * ===================================
+ * Explorateur de dépendance partielle : efficacité selon deux variables choisies,
+ * avec contours aux seuils de qualité de la jauge (30 / 50 / 70 %)
+ */
+
+import React, { useState, useEffect } from 'react';
+import { Grid3x3, RefreshCw, ArrowLeftRight } from 'lucide-react';
+import { FEATURES_CONFIG, EFFICIENCY_BANDS, getEfficiencyBand } from '../config/features';
+import { computeEfficiencyGrid } from '../services/partialDependence';
+import EngineBadge from './EngineBadge';
+
+const RESOLUTIONS = [10, 15, 20, 30];
+
+const WIDTH = 640;
+const HEIGHT = 420;
+const MARGIN = { top: 10, right: 10, bottom: 45, left: 60 };
+const PLOT_WIDTH = WIDTH - MARGIN.left - MARGIN.right;
+const PLOT_HEIGHT = HEIGHT - MARGIN.top - MARGIN.bottom;
+
+// Dégradé continu passant par les couleurs des seuils
+const COLOR_STOPS = [
+  { at: 10, rgb: [239, 68, 68] },
+  { at: 30, rgb: [245, 158, 11] },
+  { at: 50, rgb: [34, 197, 94] },
+  { at: 70, rgb: [16, 185, 129] },
+  { at: 85, rgb: [4, 120, 87] },
+];
+
+const colorFor = (percent) => {
+  if (percent <= COLOR_STOPS[0].at) return `rgb(${COLOR_STOPS[0].rgb})`;
+  for (let k = 1; k < COLOR_STOPS.length; k++) {
+    const from = COLOR_STOPS[k - 1];
+    const to = COLOR_STOPS[k];
+    if (percent <= to.at) {
+      const t = (percent - from.at) / (to.at - from.at);
+      const rgb = from.rgb.map((c, n) => Math.round(c + (to.rgb[n] - c) * t));
+      return `rgb(${rgb})`;
+    }
+  }
+  return `rgb(${COLOR_STOPS[COLOR_STOPS.length - 1].rgb})`;
+};
+
+const bandIndex = (percent) => EFFICIENCY_BANDS.indexOf(getEfficiencyBand(percent));
+
+// Segments séparant deux cellules voisines de bandes différentes
+const contourSegments = (cells, cellWidth, cellHeight) => {
+  const segments = [];
+  const rows = cells.length;
+  cells.forEach((row, j) => {
+    row.forEach((value, i) => {
+      const x = MARGIN.left + i * cellWidth;
+      const y = MARGIN.top + (rows - 1 - j) * cellHeight;
+      if (i + 1 < row.length && bandIndex(value) !== bandIndex(row[i + 1])) {
+        segments.push([x + cellWidth, y, x + cellWidth, y + cellHeight]);
+      }
+      if (j + 1 < rows && bandIndex(value) !== bandIndex(cells[j + 1][i])) {
+        segments.push([x, y, x + cellWidth, y]);
+      }
+    });
+  });
+  return segments;
+};
+
+const tickIndexes = (count, wanted = 6) => {
+  const step = Math.max(1, Math.round((count - 1) / (wanted - 1)));
+  const indexes = [];
+  for (let i = 0; i < count; i += step) indexes.push(i);
+  if (indexes[indexes.length - 1] !== count - 1) indexes.push(count - 1);
+  return indexes;
+};
+
+const formatValue = (value) => (Number.isInteger(value) ? value : value.toFixed(2));
+
+const VariableSelect = ({ label, value, exclude, onChange }) => (
+  <label className="flex items-center gap-2 text-sm text-gray-600">
+    {label}
+    <select
+      value={value}
+      onChange={(e) => onChange(e.target.value)}
+      className="px-3 py-2 text-sm bg-white border border-gray-200 rounded-xl"
+    >
+      {FEATURES_CONFIG.filter(config => config.key !== exclude).map(config => (
+        <option key={config.key} value={config.key}>{config.label}</option>
+      ))}
+    </select>
+  </label>
+);
+
+const Heatmap = ({ grid, inputs }) => {
+  const [hovered, setHovered] = useState(null);
+
+  const xConfig = FEATURES_CONFIG.find(c => c.key === grid.xKey);
+  const yConfig = FEATURES_CONFIG.find(c => c.key === grid.yKey);
+  const cellWidth = PLOT_WIDTH / grid.xValues.length;
+  const cellHeight = PLOT_HEIGHT / grid.yValues.length;
+  const rows = grid.yValues.length;
+
+  // Position (centre de cellule) d'une valeur le long d'un axe
+  const xPosition = (value) =>
+    MARGIN.left + cellWidth / 2 + ((value - xConfig.min) / (xConfig.max - xConfig.min)) * (PLOT_WIDTH - cellWidth);
+  const yPosition = (value) =>
+    MARGIN.top + PLOT_HEIGHT - cellHeight / 2 - ((value - yConfig.min) / (yConfig.max - yConfig.min)) * (PLOT_HEIGHT - cellHeight);
+
+  const hoveredValue = hovered && grid.cells[hovered.j][hovered.i];
+
+  return (
+    <div>
+      <div className="h-8 text-sm text-gray-600">
+        {hovered ? (
+          <span>
+            {xConfig.label} <strong>{formatValue(grid.xValues[hovered.i])} {xConfig.unit}</strong>
+            {' · '}{yConfig.label} <strong>{formatValue(grid.yValues[hovered.j])} {yConfig.unit}</strong>
+            {' → '}
+            <strong style={{ color: getEfficiencyBand(hoveredValue).color }}>
+              {hoveredValue.toFixed(2)}% ({getEfficiencyBand(hoveredValue).label})
+            </strong>
+          </span>
+        ) : (
+          <span className="text-gray-400">Survolez la carte pour lire la valeur exacte</span>
+        )}
+      </div>
+
+      <svg viewBox={`0 0 ${WIDTH} ${HEIGHT}`} className="w-full h-auto" onMouseLeave={() => setHovered(null)}>
+        {grid.cells.map((row, j) => row.map((value, i) => (
+          <rect
+            key={`${i}-${j}`}
+            x={MARGIN.left + i * cellWidth}
+            y={MARGIN.top + (rows - 1 - j) * cellHeight}
+            width={cellWidth + 0.5}
+            height={cellHeight + 0.5}
+            fill={colorFor(value)}
+            onMouseEnter={() => setHovered({ i, j })}
+          />
+        )))}
+
+        {contourSegments(grid.cells, cellWidth, cellHeight).map(([x1, y1, x2, y2], k) => (
+          <line key={k} x1={x1} y1={y1} x2={x2} y2={y2} stroke="#111827" strokeWidth={1.5} strokeOpacity={0.7} pointerEvents="none" />
+        ))}
+
+        {hovered && (
+          <rect
+            x={MARGIN.left + hovered.i * cellWidth}
+            y={MARGIN.top + (rows - 1 - hovered.j) * cellHeight}
+            width={cellWidth}
+            height={cellHeight}
+            fill="none"
+            stroke="white"
+            strokeWidth={2}
+            pointerEvents="none"
+          />
+        )}
+
+        {/* Point de fonctionnement actuel */}
+        <circle
+          cx={xPosition(inputs[grid.xKey])}
+          cy={yPosition(inputs[grid.yKey])}
+          r={6}
+          fill="white"
+          stroke="#111827"
+          strokeWidth={2}
+          pointerEvents="none"
+        />
+
+        {tickIndexes(grid.xValues.length).map(i => (
+          <text
+            key={`x${i}`}
+            x={MARGIN.left + (i + 0.5) * cellWidth}
+            y={MARGIN.top + PLOT_HEIGHT + 16}
+            textAnchor="middle"
+            fontSize={11}
+            fill="#6b7280"
+          >
+            {formatValue(grid.xValues[i])}
+          </text>
+        ))}
+        <text x={MARGIN.left + PLOT_WIDTH / 2} y={HEIGHT - 6} textAnchor="middle" fontSize={12} fill="#374151">
+          {xConfig.label} ({xConfig.unit || '—'})
+        </text>
+
+        {tickIndexes(grid.yValues.length).map(j => (
+          <text
+            key={`y${j}`}
+            x={MARGIN.left - 8}
+            y={MARGIN.top + (rows - 1 - j + 0.5) * cellHeight + 4}
+            textAnchor="end"
+            fontSize={11}
+            fill="#6b7280"
+          >
+            {formatValue(grid.yValues[j])}
+          </text>
+        ))}
+        <text
+          transform={`translate(14 ${MARGIN.top + PLOT_HEIGHT / 2}) rotate(-90)`}
+          textAnchor="middle"
+          fontSize={12}
+          fill="#374151"
+        >
+          {yConfig.label} ({yConfig.unit || '—'})
+        </text>
+      </svg>
+
+      <div className="flex flex-wrap items-center gap-4 mt-2 text-xs text-gray-500">
+        {EFFICIENCY_BANDS.map((band, k) => (
+          <span key={band.label} className="flex items-center gap-1.5">
+            <span className="w-3 h-3 rounded" style={{ backgroundColor: band.color }} />
+            {band.label} ({band.min}{EFFICIENCY_BANDS[k + 1] ? `–${EFFICIENCY_BANDS[k + 1].min}` : '+'}%)
+          </span>
+        ))}
+        <span className="flex items-center gap-1.5">
+          <span className="w-3 h-3 rounded-full border-2 border-gray-900 bg-white" />
+          Configuration actuelle
+        </span>
+      </div>
+    </div>
+  );
+};
+
+export default function EfficiencyHeatmap({ inputs, apiStatus }) {
+  const [xKey, setXKey] = useState('irradiance');
+  const [yKey, setYKey] = useState('soiling_ratio');
+  const [resolution, setResolution] = useState(15);
+  const [grid, setGrid] = useState(null);
+
+  useEffect(() => {
+    if (apiStatus === 'checking') return;
+
+    let cancelled = false;
+    computeEfficiencyGrid(inputs, xKey, yKey, { resolution, useApi: apiStatus === 'connected' }).then(result => {
+      if (!cancelled) setGrid(result);
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, [inputs, xKey, yKey, resolution, apiStatus]);
+
+  const isStale = !grid || grid.xKey !== xKey || grid.yKey !== yKey;
+
+  return (
+    <div className="space-y-6">
+      <div>
+        <h2 className="text-2xl font-bold text-gray-800">Carte d'efficacité à deux variables</h2>
+        <p className="text-gray-500 mt-1">
+          Interaction entre deux paramètres, les autres restant fixés à la configuration actuelle
+        </p>
+      </div>
+
+      <div className="bg-white/80 backdrop-blur-xl rounded-2xl shadow-xl shadow-emerald-100/50 p-6 border border-white/50">
+        <div className="flex flex-wrap items-center justify-between gap-3 mb-4">
+          <div className="flex items-center gap-3">
+            <div className="p-2 bg-gradient-to-br from-emerald-400 to-teal-500 rounded-xl text-white">
+              <Grid3x3 size={20} />
+            </div>
+            <div className="flex flex-wrap items-center gap-3">
+              <VariableSelect label="Axe X" value={xKey} exclude={yKey} onChange={setXKey} />
+              <button
+                onClick={() => {
+                  setXKey(yKey);
+                  setYKey(xKey);
+                }}
+                title="Inverser les axes"
+                className="p-2 text-gray-400 hover:text-gray-700 hover:bg-gray-50 rounded-lg"
+              >
+                <ArrowLeftRight size={16} />
+              </button>
+              <VariableSelect label="Axe Y" value={yKey} exclude={xKey} onChange={setYKey} />
+              <select
+                value={resolution}
+                onChange={(e) => setResolution(Number(e.target.value))}
+                className="px-3 py-2 text-sm bg-white border border-gray-200 rounded-xl"
+              >
+                {RESOLUTIONS.map(option => <option key={option} value={option}>{option} × {option}</option>)}
+              </select>
+            </div>
+          </div>
+          {grid && <EngineBadge engine={grid.engine} />}
+        </div>
+
+        {isStale ? (
+          <div className="h-96 flex items-center justify-center gap-2 text-sm text-gray-400">
+            <RefreshCw size={16} className="animate-spin" />
+            Calcul de la grille...
+          </div>
+        ) : (
+          <Heatmap key={`${grid.xValues.length}x${grid.yValues.length}`} grid={grid} inputs={inputs} />
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,26 @@
+/**
+ * Green AI Solar - Engine Badge
+ * =============================
+ * Indique quel moteur a produit une série : modèle API, modèle exporté, simulation locale ou mélange
+ */
+
+import React from 'react';
+import { Activity } from 'lucide-react';
+
+export const ENGINE_LABELS = {
+  api: { text: 'Modèle GradientBoosting (API)', className: 'bg-emerald-50 text-emerald-600' },
+  model: { text: 'Modèle exporté (navigateur)', className: 'bg-sky-50 text-sky-600' },
+  simulated: { text: 'Simulation locale', className: 'bg-amber-50 text-amber-600' },
+  mixed: { text: 'Mixte (API + hors ligne)', className: 'bg-orange-50 text-orange-600' },
+};
+
+export default function EngineBadge({ engine }) {
+  const label = ENGINE_LABELS[engine] || ENGINE_LABELS.simulated;
+
+  return (
+    <span className={`inline-flex items-center gap-1.5 text-xs font-medium px-2.5 py-1 rounded-full ${label.className}`}>
+      <Activity size={12} />
+      {label.text}
+    </span>
+  );
+}
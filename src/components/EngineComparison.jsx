@@ -0,0 +1,286 @@
+/**
+ * Green AI Solar - Engine Comparison View
+ * =======================================
+ * Écarts entre le modèle de l'API et la simulation locale : distribution,
+ * nuage API vs simulation et zones où le mode hors ligne est trompeur
+ */
+
+import React, { useState } from 'react';
+import { Stethoscope, RefreshCw, AlertCircle, AlertTriangle, Play } from 'lucide-react';
+import {
+  ScatterChart, Scatter, BarChart, Bar, XAxis, YAxis, ZAxis, Tooltip, ResponsiveContainer,
+  CartesianGrid, ReferenceLine, Cell, Legend
+} from 'recharts';
+import { FEATURES_CONFIG } from '../config/features';
+import {
+  compareEngines, buildComparisonGrid, getGridSize, GRID_LEVELS, MISLEADING_ERROR, HISTOGRAM_BIN
+} from '../services/engineComparison';
+
+const formatPoints = (value) => `${value > 0 ? '+' : ''}${value.toFixed(1)} pt${Math.abs(value) >= 2 ? 's' : ''}`;
+
+const formatValue = (value) => (Number.isInteger(value) ? value : value.toFixed(2));
+
+const StatCard = ({ label, value, highlight = false }) => (
+  <div className={`p-3 rounded-xl ${highlight ? 'bg-amber-50' : 'bg-gray-50'}`}>
+    <div className="text-xs text-gray-500">{label}</div>
+    <div className={`text-lg font-bold ${highlight ? 'text-amber-600' : 'text-gray-800'}`}>{value}</div>
+  </div>
+);
+
+const PointTooltip = ({ active, payload }) => {
+  if (!active || !payload?.length) return null;
+  const row = payload[0].payload;
+  return (
+    <div className="bg-white rounded-xl shadow-xl p-3 text-xs space-y-1">
+      <div className="font-semibold text-gray-800">
+        API {row.api.toFixed(1)} % · simulation {row.local.toFixed(1)} % ({formatPoints(row.error)})
+      </div>
+      {FEATURES_CONFIG.map(config => (
+        <div key={config.key} className="text-gray-500">
+          {config.shortLabel} : {formatValue(row.inputs[config.key])} {config.unit}
+        </div>
+      ))}
+    </div>
+  );
+};
+
+export default function EngineComparison({ inputs, apiStatus }) {
+  const [source, setSource] = useState('grid');
+  const [levels, setLevels] = useState(GRID_LEVELS[0]);
+  const [report, setReport] = useState(null);
+  const [isRunning, setIsRunning] = useState(false);
+  const [error, setError] = useState(null);
+
+  const inputCount = source === 'grid' ? getGridSize(levels) : 1;
+
+  const handleRun = async () => {
+    setIsRunning(true);
+    setError(null);
+    try {
+      const inputsList = source === 'grid' ? buildComparisonGrid(inputs, levels) : [inputs];
+      setReport(await compareEngines(inputsList));
+    } catch (err) {
+      setError(`Comparaison impossible : ${err.message}`);
+    } finally {
+      setIsRunning(false);
+    }
+  };
+
+  const misleadingRows = report ? report.rows.filter(row => row.misleading) : [];
+  const regions = report
+    ? report.regions.filter(region => region.misleading).sort((a, b) => b.mae - a.mae)
+    : [];
+
+  return (
+    <div className="space-y-6">
+      <div>
+        <h2 className="text-2xl font-bold text-gray-800">Diagnostic des moteurs</h2>
+        <p className="text-gray-500 mt-1">
+          Écart entre le modèle de l'API et la simulation locale utilisée hors ligne
+        </p>
+      </div>
+
+      <div className="bg-white/80 backdrop-blur-xl rounded-2xl shadow-xl shadow-emerald-100/50 p-6 border border-white/50">
+        <div className="flex flex-wrap items-center justify-between gap-3">
+          <div className="flex items-center gap-3">
+            <div className="p-2 bg-gradient-to-br from-rose-400 to-orange-500 rounded-xl text-white">
+              <Stethoscope size={20} />
+            </div>
+            <div className="flex gap-1 p-1 bg-gray-50 rounded-lg text-sm">
+              <button
+                onClick={() => setSource('current')}
+                className={`px-3 py-1 rounded-md ${source === 'current' ? 'bg-white shadow text-emerald-600' : 'text-gray-500'}`}
+              >
+                Entrées actuelles
+              </button>
+              <button
+                onClick={() => setSource('grid')}
+                className={`px-3 py-1 rounded-md ${source === 'grid' ? 'bg-white shadow text-emerald-600' : 'text-gray-500'}`}
+              >
+                Grille
+              </button>
+            </div>
+            {source === 'grid' && (
+              <select
+                value={levels}
+                onChange={(e) => setLevels(Number(e.target.value))}
+                className="px-2 py-1.5 text-sm bg-white border border-gray-200 rounded-lg"
+              >
+                {GRID_LEVELS.map(option => (
+                  <option key={option} value={option}>
+                    {option} niveaux
+                    {getGridSize(option) < option ** FEATURES_CONFIG.length
+                      ? ` (échantillon de ${getGridSize(option)} sur ${option ** FEATURES_CONFIG.length} entrées)`
+                      : ` (${option ** FEATURES_CONFIG.length} entrées)`}
+                  </option>
+                ))}
+              </select>
+            )}
+          </div>
+          <button
+            onClick={handleRun}
+            disabled={apiStatus !== 'connected' || isRunning}
+            className="flex items-center gap-2 px-4 py-2 text-sm font-medium text-white bg-gradient-to-r from-emerald-500 to-teal-500 rounded-xl disabled:opacity-40"
+          >
+            {isRunning ? <RefreshCw size={16} className="animate-spin" /> : <Play size={16} />}
+            Comparer ({inputCount} entrée{inputCount > 1 ? 's' : ''})
+          </button>
+        </div>
+
+        {apiStatus !== 'connected' && (
+          <p className="text-xs text-gray-400 mt-3">La comparaison nécessite l'API.</p>
+        )}
+
+        {error && (
+          <div className="flex items-center gap-2 p-3 mt-4 bg-red-50 rounded-xl text-sm text-red-600">
+            <AlertCircle size={16} />
+            {error}
+          </div>
+        )}
+
+        {report && (
+          <div className="grid grid-cols-2 sm:grid-cols-5 gap-3 mt-4">
+            <StatCard label="Biais (simulation − API)" value={formatPoints(report.stats.bias)} />
+            <StatCard label="Erreur absolue moyenne" value={`${report.stats.mae.toFixed(1)} pts`} />
+            <StatCard label="RMSE" value={`${report.stats.rmse.toFixed(1)} pts`} />
+            <StatCard
+              label="Écart max"
+              value={`${report.stats.maxAbs.toFixed(1)} pts`}
+              highlight={report.stats.maxAbs > MISLEADING_ERROR}
+            />
+            <StatCard
+              label="Bande de qualité différente"
+              value={`${Math.round(report.stats.bandMismatchRate * 100)} %`}
+              highlight={report.stats.bandMismatchRate > 0}
+            />
+          </div>
+        )}
+        {report?.skipped > 0 && (
+          <p className="text-xs text-amber-600 mt-2">
+            {report.skipped} entrée{report.skipped > 1 ? 's' : ''} sans réponse de l'API, exclue{report.skipped > 1 ? 's' : ''}.
+          </p>
+        )}
+      </div>
+
+      {report && report.rows.length > 1 && (
+        <div className="grid lg:grid-cols-2 gap-6">
+          <div className="bg-white/80 backdrop-blur-xl rounded-2xl shadow-xl shadow-emerald-100/50 p-6 border border-white/50">
+            <h3 className="font-bold text-gray-800">API vs simulation</h3>
+            <p className="text-xs text-gray-400 mb-3">
+              Sur la diagonale, les deux moteurs concordent ; en orange, écart &gt; {MISLEADING_ERROR} pts ou bande différente
+            </p>
+            <ResponsiveContainer width="100%" height={320}>
+              <ScatterChart margin={{ top: 10, right: 10, left: 0, bottom: 20 }}>
+                <CartesianGrid strokeDasharray="3 3" stroke="#e5e7eb" />
+                <XAxis
+                  type="number"
+                  dataKey="api"
+                  domain={[0, 100]}
+                  tick={{ fontSize: 11, fill: '#6b7280' }}
+                  label={{ value: 'API (%)', position: 'insideBottom', offset: -10, fontSize: 11, fill: '#9ca3af' }}
+                />
+                <YAxis
+                  type="number"
+                  dataKey="local"
+                  domain={[0, 100]}
+                  tick={{ fontSize: 11, fill: '#6b7280' }}
+                  label={{ value: 'Simulation (%)', angle: -90, position: 'insideLeft', fontSize: 11, fill: '#9ca3af' }}
+                />
+                <ZAxis range={[20, 20]} />
+                <Tooltip content={<PointTooltip />} />
+                <ReferenceLine segment={[{ x: 0, y: 0 }, { x: 100, y: 100 }]} stroke="#9ca3af" strokeDasharray="4 4" />
+                <Legend verticalAlign="top" height={28} wrapperStyle={{ fontSize: 12 }} />
+                <Scatter
+                  name="Concordant"
+                  data={report.rows.filter(row => !row.misleading)}
+                  fill="#10b981"
+                  fillOpacity={0.6}
+                  isAnimationActive={false}
+                />
+                <Scatter
+                  name="Trompeur"
+                  data={misleadingRows}
+                  fill="#f59e0b"
+                  fillOpacity={0.8}
+                  isAnimationActive={false}
+                />
+              </ScatterChart>
+            </ResponsiveContainer>
+          </div>
+
+          <div className="bg-white/80 backdrop-blur-xl rounded-2xl shadow-xl shadow-emerald-100/50 p-6 border border-white/50">
+            <h3 className="font-bold text-gray-800">Distribution des écarts</h3>
+            <p className="text-xs text-gray-400 mb-3">
+              Simulation − API · P10 {formatPoints(report.stats.p10)} · médiane {formatPoints(report.stats.p50)} · P90 {formatPoints(report.stats.p90)}
+            </p>
+            <ResponsiveContainer width="100%" height={320}>
+              <BarChart data={report.histogram} margin={{ top: 10, right: 10, left: 0, bottom: 20 }}>
+                <CartesianGrid strokeDasharray="3 3" stroke="#e5e7eb" vertical={false} />
+                <XAxis
+                  dataKey="start"
+                  tick={{ fontSize: 11, fill: '#6b7280' }}
+                  tickFormatter={(v) => `${v > 0 ? '+' : ''}${v}`}
+                  label={{ value: 'Écart (pts)', position: 'insideBottom', offset: -10, fontSize: 11, fill: '#9ca3af' }}
+                />
+                <YAxis allowDecimals={false} tick={{ fontSize: 11, fill: '#6b7280' }} />
+                <Tooltip
+                  formatter={(value) => [value, 'Entrées']}
+                  labelFormatter={(start) => `${formatPoints(start)} à ${formatPoints(start + HISTOGRAM_BIN)}`}
+                />
+                <Bar dataKey="count" radius={[3, 3, 0, 0]} isAnimationActive={false}>
+                  {report.histogram.map(bin => (
+                    <Cell
+                      key={bin.start}
+                      fill={Math.max(Math.abs(bin.start), Math.abs(bin.end)) > MISLEADING_ERROR ? '#f59e0b' : '#10b981'}
+                    />
+                  ))}
+                </Bar>
+              </BarChart>
+            </ResponsiveContainer>
+          </div>
+        </div>
+      )}
+
+      {report && report.rows.length > 1 && (
+        <div className="bg-white/80 backdrop-blur-xl rounded-2xl shadow-xl shadow-emerald-100/50 p-6 border border-white/50">
+          <div className="flex items-center gap-2 mb-1">
+            <AlertTriangle size={18} className="text-amber-500" />
+            <h3 className="font-bold text-gray-800">Zones où la simulation induit en erreur</h3>
+          </div>
+          <p className="text-xs text-gray-400 mb-4">
+            Niveaux d'une variable pour lesquels l'erreur moyenne dépasse {MISLEADING_ERROR} pts
+            ou la bande de qualité change pour plus d'un quart des entrées
+          </p>
+          {regions.length > 0 ? (
+            <table className="w-full text-sm">
+              <thead>
+                <tr className="text-left text-xs text-gray-500 border-b border-gray-100">
+                  <th className="py-2 pr-3">Variable</th>
+                  <th className="py-2 pr-3">Niveau</th>
+                  <th className="py-2 pr-3">Entrées</th>
+                  <th className="py-2 pr-3">Erreur moy.</th>
+                  <th className="py-2 pr-3">Biais</th>
+                  <th className="py-2">Bande différente</th>
+                </tr>
+              </thead>
+              <tbody>
+                {regions.map(region => (
+                  <tr key={`${region.key}-${region.value}`} className="border-b border-gray-50">
+                    <td className="py-2 pr-3 text-gray-700">{region.label}</td>
+                    <td className="py-2 pr-3 font-medium text-gray-800">{formatValue(region.value)} {region.unit}</td>
+                    <td className="py-2 pr-3 text-gray-500">{region.count}</td>
+                    <td className="py-2 pr-3 font-semibold text-amber-600">{region.mae.toFixed(1)} pts</td>
+                    <td className="py-2 pr-3 text-gray-600">{formatPoints(region.bias)}</td>
+                    <td className="py-2 text-gray-600">{Math.round(region.bandMismatchRate * 100)} %</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          ) : (
+            <p className="text-sm text-emerald-600">Aucune zone trompeuse sur cette grille.</p>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
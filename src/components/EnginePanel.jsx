@@ -0,0 +1,185 @@
+/**
+ * Green AI Solar - Prediction Engine Panel
+ * ========================================
+ * Choix du moteur (API, modèle exporté, simulation), import du modèle
+ * GradientBoosting exporté et vérification de parité avec /predict
+ */
+
+import React, { useState } from 'react';
+import { motion, AnimatePresence } from 'framer-motion';
+import { Cpu, ChevronRight, Upload, X, RefreshCw, AlertCircle, Scale } from 'lucide-react';
+import { ENGINE_MODES, parseTreeModel, getTreeDepth } from '../services/treeModel';
+import { checkModelParity, PARITY_SAMPLES } from '../services/modelParity';
+
+// Écart maximal (points d'efficacité) en deçà duquel le modèle exporté est jugé fidèle
+const PARITY_TOLERANCE = 0.5;
+
+export default function EnginePanel({ engineMode, onEngineModeChange, model, onModelChange, apiStatus, inputs }) {
+  const [isOpen, setIsOpen] = useState(false);
+  const [error, setError] = useState(null);
+  const [parity, setParity] = useState(null);
+  const [isChecking, setIsChecking] = useState(false);
+
+  const handleFile = async (event) => {
+    const selected = event.target.files?.[0];
+    event.target.value = '';
+    if (!selected) return;
+
+    setError(null);
+    try {
+      const text = await selected.text();
+      onModelChange(parseTreeModel(text, selected.name));
+      setParity(null);
+    } catch (err) {
+      setError(`Modèle illisible : ${err.message}`);
+    }
+  };
+
+  const handleClear = () => {
+    onModelChange(null);
+    setParity(null);
+    if (engineMode === 'model') onEngineModeChange('api');
+  };
+
+  const handleParity = async () => {
+    setIsChecking(true);
+    setError(null);
+    try {
+      setParity(await checkModelParity(model, { inputs }));
+    } catch (err) {
+      setError(`Vérification impossible : ${err.message}`);
+    } finally {
+      setIsChecking(false);
+    }
+  };
+
+  return (
+    <div className="bg-white/60 backdrop-blur-sm rounded-2xl border border-gray-100 overflow-hidden">
+      <button
+        onClick={() => setIsOpen(!isOpen)}
+        className="w-full flex items-center justify-between p-4 hover:bg-gray-50/50 transition-colors"
+      >
+        <div className="flex items-center gap-3">
+          <div className="p-2 rounded-xl bg-gradient-to-br from-sky-400 to-indigo-500 text-white">
+            <Cpu size={16} />
+          </div>
+          <div className="text-left">
+            <div className="font-semibold text-gray-800">Moteur de prédiction</div>
+            <div className="text-xs text-gray-500">
+              {ENGINE_MODES[engineMode].label}
+              {model ? ` · ${model.name}` : ' · aucun modèle exporté'}
+            </div>
+          </div>
+        </div>
+        <motion.div animate={{ rotate: isOpen ? 90 : 0 }} transition={{ duration: 0.2 }}>
+          <ChevronRight size={20} className="text-gray-400" />
+        </motion.div>
+      </button>
+
+      <AnimatePresence>
+        {isOpen && (
+          <motion.div
+            initial={{ height: 0, opacity: 0 }}
+            animate={{ height: 'auto', opacity: 1 }}
+            exit={{ height: 0, opacity: 0 }}
+            transition={{ duration: 0.3 }}
+            className="px-4 pb-4 space-y-4"
+          >
+            <div className="grid grid-cols-3 gap-2">
+              {Object.entries(ENGINE_MODES).map(([mode, { label, description }]) => {
+                const disabled = mode === 'model' && !model;
+                return (
+                  <button
+                    key={mode}
+                    onClick={() => onEngineModeChange(mode)}
+                    disabled={disabled}
+                    title={description}
+                    className={`px-3 py-2 rounded-xl text-sm font-medium transition-colors ${
+                      engineMode === mode
+                        ? 'bg-sky-500 text-white'
+                        : 'bg-gray-50 text-gray-600 hover:bg-gray-100 disabled:opacity-40 disabled:hover:bg-gray-50'
+                    }`}
+                  >
+                    {label}
+                  </button>
+                );
+              })}
+            </div>
+            <p className="text-xs text-gray-400">{ENGINE_MODES[engineMode].description}.</p>
+
+            <div className="p-3 bg-gray-50 rounded-xl">
+              <div className="flex items-center justify-between gap-2">
+                <div className="text-sm min-w-0">
+                  {model ? (
+                    <>
+                      <div className="font-medium text-gray-800 truncate">{model.name}</div>
+                      <div className="text-xs text-gray-500">
+                        {model.trees.length} arbres · profondeur {Math.max(...model.trees.map(getTreeDepth))}
+                        {' '}· {model.features.length} variables
+                        {' '}· importé le {new Date(model.loadedAt).toLocaleDateString('fr-FR')}
+                      </div>
+                    </>
+                  ) : (
+                    <span className="text-gray-500">Export JSON du GradientBoosting du backend</span>
+                  )}
+                </div>
+                <div className="flex items-center gap-1 shrink-0">
+                  <label className="flex items-center gap-1.5 px-3 py-1.5 text-sm font-medium text-sky-700 bg-sky-50 hover:bg-sky-100 rounded-lg cursor-pointer">
+                    <Upload size={14} />
+                    {model ? 'Changer' : 'Importer'}
+                    <input type="file" accept=".json,application/json" onChange={handleFile} className="hidden" />
+                  </label>
+                  {model && (
+                    <button
+                      onClick={handleClear}
+                      className="p-1.5 text-gray-400 hover:text-red-500"
+                      title="Retirer le modèle exporté"
+                    >
+                      <X size={16} />
+                    </button>
+                  )}
+                </div>
+              </div>
+            </div>
+
+            {error && (
+              <div className="flex items-center gap-2 p-3 bg-red-50 rounded-xl text-sm text-red-600">
+                <AlertCircle size={16} />
+                {error}
+              </div>
+            )}
+
+            {model && (
+              <div className="space-y-2">
+                <button
+                  onClick={handleParity}
+                  disabled={apiStatus !== 'connected' || isChecking}
+                  className="flex items-center gap-2 px-3 py-1.5 text-sm font-medium text-indigo-700 bg-indigo-50 hover:bg-indigo-100 rounded-lg disabled:opacity-40"
+                >
+                  {isChecking ? <RefreshCw size={14} className="animate-spin" /> : <Scale size={14} />}
+                  Comparer à /predict
+                </button>
+                {apiStatus !== 'connected' && (
+                  <p className="text-xs text-gray-400">La vérification de parité nécessite l'API.</p>
+                )}
+                {parity && (
+                  <div className={`p-3 rounded-xl text-sm ${
+                    parity.maxDeviation <= PARITY_TOLERANCE ? 'bg-emerald-50 text-emerald-700' : 'bg-amber-50 text-amber-700'
+                  }`}>
+                    <div className="font-semibold">
+                      Écart max : {parity.maxDeviation.toFixed(2)} pt · moyen : {parity.meanDeviation.toFixed(2)} pt
+                    </div>
+                    <div className="text-xs opacity-80">
+                      Sur {parity.count} entrées (courantes + {PARITY_SAMPLES} tirages).
+                      Pire cas : API {parity.worst.api.toFixed(1)} % contre {parity.worst.local.toFixed(1)} % en local.
+                    </div>
+                  </div>
+                )}
+              </div>
+            )}
+          </motion.div>
+        )}
+      </AnimatePresence>
+    </div>
+  );
+}
@@ -0,0 +1,180 @@
+/**
+ * Green AI Solar - Financial Analysis
+ * ===================================
+ * Paramètres économiques, flux de trésorerie cumulés et indicateurs de rentabilité
+ */
+
+import React, { useState, useEffect, useMemo } from 'react';
+import { Euro, TrendingUp, Calendar, Zap, Percent } from 'lucide-react';
+import {
+  ComposedChart, Bar, Line, XAxis, YAxis, Tooltip, ResponsiveContainer,
+  CartesianGrid, ReferenceLine, Legend, Cell
+} from 'recharts';
+import { DEFAULT_FINANCE_PARAMS, computeFinancials } from '../services/finance';
+import { readStorage, writeStorage } from '../utils/storage';
+
+const STORAGE_KEY = 'finance-params';
+
+const PARAM_FIELDS = [
+  { key: 'installationCost', label: 'Coût d\'installation', unit: '€', step: 50 },
+  { key: 'tariff', label: 'Tarif électricité', unit: '€/kWh', step: 0.01 },
+  { key: 'tariffEscalation', label: 'Hausse du tarif', unit: '%/an', step: 0.5 },
+  { key: 'feedInTariff', label: 'Tarif de revente', unit: '€/kWh', step: 0.01 },
+  { key: 'selfConsumptionRate', label: 'Autoconsommation', unit: '%', step: 5 },
+  { key: 'discountRate', label: 'Taux d\'actualisation', unit: '%', step: 0.5 },
+  { key: 'maintenanceCost', label: 'Maintenance', unit: '€/an', step: 5 },
+];
+
+const formatEuro = (value) =>
+  value.toLocaleString('fr-FR', { style: 'currency', currency: 'EUR', maximumFractionDigits: 0 });
+
+export default function FinancialAnalysis({ yearlyData }) {
+  const [params, setParams] = useState(() => ({
+    ...DEFAULT_FINANCE_PARAMS,
+    ...readStorage(STORAGE_KEY, {}),
+  }));
+
+  useEffect(() => {
+    writeStorage(STORAGE_KEY, params);
+  }, [params]);
+
+  const finance = useMemo(() => computeFinancials(yearlyData, params), [yearlyData, params]);
+
+  const updateParam = (key, raw) => {
+    const value = parseFloat(raw);
+    setParams(prev => ({ ...prev, [key]: Number.isFinite(value) ? value : 0 }));
+  };
+
+  const chartData = finance.years.map(y => ({
+    year: y.year,
+    cashFlow: Math.round(y.cashFlow),
+    cumulative: Math.round(y.cumulative),
+    discountedCumulative: Math.round(y.discountedCumulative),
+  }));
+
+  return (
+    <div className="bg-white/80 backdrop-blur-xl rounded-2xl shadow-xl shadow-emerald-100/50 p-6 border border-white/50">
+      <div className="flex items-center gap-3 mb-4">
+        <div className="p-2 bg-gradient-to-br from-emerald-400 to-green-600 rounded-xl text-white">
+          <Euro size={20} />
+        </div>
+        <div>
+          <h3 className="font-bold text-gray-800">Rentabilité financière</h3>
+          <p className="text-xs text-gray-400">
+            Flux de trésorerie sur {finance.years.length - 1} ans à partir de la production estimée
+          </p>
+        </div>
+      </div>
+
+      {/* Paramètres */}
+      <div className="grid grid-cols-2 sm:grid-cols-4 lg:grid-cols-7 gap-3 mb-6">
+        {PARAM_FIELDS.map(field => (
+          <label key={field.key} className="block">
+            <span className="text-xs text-gray-500">{field.label}</span>
+            <div className="flex items-center mt-1 bg-gray-50 rounded-xl border border-gray-100 focus-within:border-emerald-300">
+              <input
+                type="number"
+                step={field.step}
+                value={params[field.key]}
+                onChange={(e) => updateParam(field.key, e.target.value)}
+                className="w-full min-w-0 px-3 py-2 text-sm font-semibold text-gray-800 bg-transparent focus:outline-none"
+              />
+              <span className="pr-3 text-xs text-gray-400 whitespace-nowrap">{field.unit}</span>
+            </div>
+          </label>
+        ))}
+      </div>
+
+      {/* Indicateurs */}
+      <div className="grid grid-cols-2 lg:grid-cols-4 gap-4 mb-6">
+        <div className="bg-gradient-to-br from-emerald-50 to-teal-50 rounded-xl p-4">
+          <div className="flex items-center gap-2 mb-2">
+            <Euro size={18} className="text-emerald-600" />
+            <span className="text-xs text-gray-500">VAN</span>
+          </div>
+          <div className={`text-2xl font-bold ${finance.npv >= 0 ? 'text-emerald-600' : 'text-red-500'}`}>
+            {formatEuro(finance.npv)}
+          </div>
+          <div className="text-xs text-gray-400 mt-1">Actualisée à {params.discountRate}%</div>
+        </div>
+
+        <div className="bg-gradient-to-br from-blue-50 to-indigo-50 rounded-xl p-4">
+          <div className="flex items-center gap-2 mb-2">
+            <Percent size={18} className="text-blue-600" />
+            <span className="text-xs text-gray-500">TRI</span>
+          </div>
+          <div className="text-2xl font-bold text-blue-600">
+            {finance.irr !== null ? `${(finance.irr * 100).toFixed(1)}%` : '—'}
+          </div>
+          <div className="text-xs text-gray-400 mt-1">Taux de rentabilité interne</div>
+        </div>
+
+        <div className="bg-gradient-to-br from-amber-50 to-yellow-50 rounded-xl p-4">
+          <div className="flex items-center gap-2 mb-2">
+            <Calendar size={18} className="text-amber-600" />
+            <span className="text-xs text-gray-500">Temps de retour</span>
+          </div>
+          <div className="text-2xl font-bold text-amber-600">
+            {finance.paybackYear !== null ? `${finance.paybackYear} ans` : 'Non atteint'}
+          </div>
+          <div className="text-xs text-gray-400 mt-1">
+            Actualisé : {finance.discountedPaybackYear !== null ? `${finance.discountedPaybackYear} ans` : 'non atteint'}
+          </div>
+        </div>
+
+        <div className="bg-gradient-to-br from-purple-50 to-violet-50 rounded-xl p-4">
+          <div className="flex items-center gap-2 mb-2">
+            <Zap size={18} className="text-purple-600" />
+            <span className="text-xs text-gray-500">LCOE</span>
+          </div>
+          <div className="text-2xl font-bold text-purple-600">
+            {finance.lcoe !== null ? `${finance.lcoe.toFixed(3)} €` : '—'}
+          </div>
+          <div className="text-xs text-gray-400 mt-1">par kWh produit</div>
+        </div>
+      </div>
+
+      {/* Trésorerie */}
+      <ResponsiveContainer width="100%" height={300}>
+        <ComposedChart data={chartData} margin={{ top: 10, right: 30, left: 10, bottom: 10 }}>
+          <CartesianGrid strokeDasharray="3 3" stroke="#e5e7eb" />
+          <XAxis dataKey="year" tick={{ fontSize: 11, fill: '#6b7280' }} tickLine={false} />
+          <YAxis
+            tick={{ fontSize: 11, fill: '#6b7280' }}
+            tickLine={false}
+            axisLine={false}
+            tickFormatter={(v) => `${v} €`}
+            width={70}
+          />
+          <Tooltip
+            contentStyle={{ borderRadius: '12px', border: 'none', boxShadow: '0 10px 40px rgba(0,0,0,0.15)', padding: '12px' }}
+            labelFormatter={(label) => `Année ${label}`}
+            formatter={(value, name) => [formatEuro(value), name]}
+          />
+          <Legend verticalAlign="top" height={36} />
+          <ReferenceLine y={0} stroke="#6b7280" />
+          <Bar dataKey="cashFlow" name="Flux annuel" radius={[4, 4, 0, 0]}>
+            {chartData.map(entry => (
+              <Cell key={entry.year} fill={entry.cashFlow >= 0 ? '#86efac' : '#fca5a5'} />
+            ))}
+          </Bar>
+          <Line type="monotone" dataKey="cumulative" name="Trésorerie cumulée" stroke="#10b981" strokeWidth={3} dot={false} />
+          <Line
+            type="monotone"
+            dataKey="discountedCumulative"
+            name="Cumul actualisé"
+            stroke="#3b82f6"
+            strokeWidth={2}
+            strokeDasharray="5 5"
+            dot={false}
+          />
+        </ComposedChart>
+      </ResponsiveContainer>
+
+      <div className="flex items-center gap-2 mt-3 text-xs text-gray-400">
+        <TrendingUp size={14} />
+        Revenus cumulés : {formatEuro(finance.totalRevenue)}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,200 @@
+/**
+ * Green AI Solar - Location Panel
+ * ===============================
+ * Site, date et heure : position du soleil, irradiance par ciel clair
+ * et courbe journalière, pour alimenter l'irradiance de la prédiction
+ */
+
+import React, { useState, useMemo } from 'react';
+import { motion, AnimatePresence } from 'framer-motion';
+import { MapPin, ChevronRight, Sun, Compass, Sunrise, Sunset, ArrowDownToLine } from 'lucide-react';
+import {
+  AreaChart, Area, XAxis, YAxis, Tooltip, ResponsiveContainer, CartesianGrid, ReferenceLine, Legend
+} from 'recharts';
+import {
+  LOCATION_FIELDS, computeSolarConditions, computeDailyIrradiance, formatHour
+} from '../services/solarPosition';
+import { FEATURES_CONFIG } from '../config/features';
+
+const irradianceConfig = FEATURES_CONFIG.find(config => config.key === 'irradiance');
+
+// Arrondi au pas du curseur, dans sa plage
+const toSliderIrradiance = (ghi) => {
+  const { min, max, step } = irradianceConfig;
+  return Math.min(max, Math.max(min, Math.round(ghi / step) * step));
+};
+
+export default function LocationPanel({ location, onChange, irradiance, onApplyIrradiance }) {
+  const [isOpen, setIsOpen] = useState(false);
+
+  const conditions = useMemo(() => computeSolarConditions(location), [location]);
+  const daily = useMemo(
+    () => computeDailyIrradiance(location),
+    // La courbe ne dépend pas de l'heure choisie
+    [location.latitude, location.longitude, location.altitude, location.utcOffset, location.date]
+  );
+
+  const updateField = (field, raw) => {
+    const value = parseFloat(raw);
+    if (!Number.isFinite(value) || value < field.min || value > field.max) return;
+    onChange({ ...location, [field.key]: value });
+  };
+
+  const [hours, minutes] = location.time.split(':').map(Number);
+  const selectedHour = hours + minutes / 60;
+  const suggested = toSliderIrradiance(conditions.ghi);
+
+  return (
+    <div className="bg-white/60 backdrop-blur-sm rounded-2xl border border-gray-100 overflow-hidden">
+      <button
+        onClick={() => setIsOpen(!isOpen)}
+        className="w-full flex items-center justify-between p-4 hover:bg-gray-50/50 transition-colors"
+      >
+        <div className="flex items-center gap-3">
+          <div className="p-2 rounded-xl bg-gradient-to-br from-amber-400 to-orange-500 text-white">
+            <MapPin size={16} />
+          </div>
+          <div className="text-left">
+            <div className="font-semibold text-gray-800">Irradiance selon le lieu et l'heure</div>
+            <div className="text-xs text-gray-500">
+              {location.latitude.toFixed(2)}°, {location.longitude.toFixed(2)}° · {location.date} {location.time}
+              {' '}· ciel clair {Math.round(conditions.ghi)} W/m²
+            </div>
+          </div>
+        </div>
+        <motion.div animate={{ rotate: isOpen ? 90 : 0 }} transition={{ duration: 0.2 }}>
+          <ChevronRight size={20} className="text-gray-400" />
+        </motion.div>
+      </button>
+
+      <AnimatePresence>
+        {isOpen && (
+          <motion.div
+            initial={{ height: 0, opacity: 0 }}
+            animate={{ height: 'auto', opacity: 1 }}
+            exit={{ height: 0, opacity: 0 }}
+            transition={{ duration: 0.3 }}
+            className="px-4 pb-4"
+          >
+            <div className="grid grid-cols-2 sm:grid-cols-3 lg:grid-cols-6 gap-3">
+              {LOCATION_FIELDS.map(field => (
+                <label key={field.key} className="block">
+                  <span className="text-xs text-gray-500">{field.label}</span>
+                  <div className="flex items-center mt-1 bg-gray-50 rounded-xl border border-gray-100 focus-within:border-emerald-300">
+                    <input
+                      type="number"
+                      min={field.min}
+                      max={field.max}
+                      step={field.step}
+                      value={location[field.key]}
+                      onChange={(e) => updateField(field, e.target.value)}
+                      className="w-full min-w-0 px-3 py-2 text-sm font-semibold text-gray-800 bg-transparent focus:outline-none"
+                    />
+                    <span className="pr-3 text-xs text-gray-400 whitespace-nowrap">{field.unit}</span>
+                  </div>
+                </label>
+              ))}
+              <label className="block">
+                <span className="text-xs text-gray-500">Date</span>
+                <input
+                  type="date"
+                  value={location.date}
+                  onChange={(e) => e.target.value && onChange({ ...location, date: e.target.value })}
+                  className="w-full mt-1 px-3 py-2 text-sm font-semibold text-gray-800 bg-gray-50 rounded-xl border border-gray-100 focus:outline-none focus:border-emerald-300"
+                />
+              </label>
+              <label className="block">
+                <span className="text-xs text-gray-500">Heure locale</span>
+                <input
+                  type="time"
+                  value={location.time}
+                  onChange={(e) => e.target.value && onChange({ ...location, time: e.target.value })}
+                  className="w-full mt-1 px-3 py-2 text-sm font-semibold text-gray-800 bg-gray-50 rounded-xl border border-gray-100 focus:outline-none focus:border-emerald-300"
+                />
+              </label>
+            </div>
+
+            {/* Conditions au moment choisi */}
+            <div className="grid grid-cols-2 sm:grid-cols-5 gap-3 mt-4">
+              <div className="bg-gradient-to-br from-amber-50 to-yellow-50 rounded-xl p-3">
+                <div className="flex items-center gap-1.5 text-xs text-gray-500"><Sun size={14} className="text-amber-500" />Élévation</div>
+                <div className="text-lg font-bold text-amber-600">{conditions.elevation.toFixed(1)}°</div>
+              </div>
+              <div className="bg-gradient-to-br from-blue-50 to-indigo-50 rounded-xl p-3">
+                <div className="flex items-center gap-1.5 text-xs text-gray-500"><Compass size={14} className="text-blue-500" />Azimut</div>
+                <div className="text-lg font-bold text-blue-600">{conditions.azimuth.toFixed(1)}°</div>
+              </div>
+              <div className="bg-gradient-to-br from-orange-50 to-amber-50 rounded-xl p-3">
+                <div className="text-xs text-gray-500">GHI</div>
+                <div className="text-lg font-bold text-orange-600">{Math.round(conditions.ghi)} W/m²</div>
+              </div>
+              <div className="bg-gradient-to-br from-red-50 to-orange-50 rounded-xl p-3">
+                <div className="text-xs text-gray-500">DNI</div>
+                <div className="text-lg font-bold text-red-500">{Math.round(conditions.dni)} W/m²</div>
+              </div>
+              <div className="bg-gradient-to-br from-sky-50 to-cyan-50 rounded-xl p-3">
+                <div className="text-xs text-gray-500">DHI</div>
+                <div className="text-lg font-bold text-sky-600">{Math.round(conditions.dhi)} W/m²</div>
+              </div>
+            </div>
+
+            <div className="flex flex-wrap items-center justify-between gap-3 mt-4">
+              <div className="flex items-center gap-4 text-xs text-gray-500">
+                <span className="flex items-center gap-1"><Sunrise size={14} className="text-amber-500" />
+                  {daily.sunrise !== null ? formatHour(daily.sunrise) : '—'}
+                </span>
+                <span className="flex items-center gap-1"><Sunset size={14} className="text-orange-500" />
+                  {daily.sunset !== null ? formatHour(daily.sunset) : '—'}
+                </span>
+                <span>Irradiation du jour : <strong className="text-gray-700">{daily.dailyInsolation.toFixed(2)} kWh/m²</strong></span>
+              </div>
+              <button
+                onClick={() => onApplyIrradiance(suggested)}
+                disabled={suggested === irradiance}
+                className="flex items-center gap-1.5 px-3 py-1.5 text-sm font-medium text-white bg-amber-500 hover:bg-amber-600 rounded-lg disabled:opacity-40 disabled:hover:bg-amber-500"
+              >
+                <ArrowDownToLine size={14} />
+                Utiliser {suggested} W/m² comme irradiance
+              </button>
+            </div>
+
+            {/* Courbe journalière */}
+            <ResponsiveContainer width="100%" height={220} className="mt-4">
+              <AreaChart data={daily.points} margin={{ top: 10, right: 30, left: 10, bottom: 10 }}>
+                <CartesianGrid strokeDasharray="3 3" stroke="#e5e7eb" />
+                <XAxis
+                  dataKey="hour"
+                  type="number"
+                  domain={[0, 24]}
+                  ticks={[0, 3, 6, 9, 12, 15, 18, 21, 24]}
+                  tickFormatter={formatHour}
+                  tick={{ fontSize: 11, fill: '#6b7280' }}
+                  tickLine={false}
+                />
+                <YAxis
+                  tick={{ fontSize: 11, fill: '#6b7280' }}
+                  tickLine={false}
+                  axisLine={false}
+                  label={{ value: 'W/m²', angle: -90, position: 'insideLeft', fontSize: 11, fill: '#6b7280' }}
+                />
+                <Tooltip
+                  contentStyle={{ borderRadius: '12px', border: 'none', boxShadow: '0 10px 40px rgba(0,0,0,0.15)', padding: '12px' }}
+                  labelFormatter={formatHour}
+                  formatter={(value, name) => [`${value} W/m²`, name]}
+                />
+                <Legend verticalAlign="top" height={30} />
+                <ReferenceLine x={selectedHour} stroke="#6b7280" strokeDasharray="4 4" />
+                <Area type="monotone" dataKey="dni" name="DNI" stroke="#ef4444" fill="#fecaca" fillOpacity={0.3} strokeWidth={1.5} />
+                <Area type="monotone" dataKey="ghi" name="GHI" stroke="#f59e0b" fill="#fde68a" fillOpacity={0.5} strokeWidth={2} />
+                <Area type="monotone" dataKey="dhi" name="DHI" stroke="#0ea5e9" fill="#bae6fd" fillOpacity={0.4} strokeWidth={1.5} />
+              </AreaChart>
+            </ResponsiveContainer>
+            <p className="text-xs text-gray-400 mt-2">
+              Ciel parfaitement dégagé : la couverture nuageuse réelle réduit ces valeurs.
+            </p>
+          </motion.div>
+        )}
+      </AnimatePresence>
+    </div>
+  );
+}
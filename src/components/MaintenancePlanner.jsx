@@ -0,0 +1,324 @@
+/**
+ * Green AI Solar - Maintenance Planner
+ * ====================================
+ * Édition des plans de nettoyage, courbe d'encrassement en dents de scie
+ * et recommandation de la fréquence de nettoyage
+ */
+
+import React, { useState, useEffect, useMemo } from 'react';
+import { Plus, Trash2, Target, Droplets, RefreshCw, Check } from 'lucide-react';
+import {
+  LineChart, Line, BarChart, Bar, XAxis, YAxis, Tooltip, ResponsiveContainer,
+  CartesianGrid, Cell
+} from 'recharts';
+import {
+  PLAN_COLORS, createPlan, getSawtoothPoints, optimizeCleaningInterval, formatInterval
+} from '../services/maintenance';
+import EngineBadge from './EngineBadge';
+
+// Années affichées sur la courbe d'encrassement (au-delà, le motif se répète)
+const SAWTOOTH_YEARS = 5;
+
+const PLAN_FIELDS = [
+  { key: 'cleaningIntervalMonths', label: 'Intervalle', unit: 'mois', step: 1, toDisplay: v => v, fromDisplay: v => Math.round(v) },
+  { key: 'soilingRatePerMonth', label: 'Encrassement', unit: 'pts/mois', step: 0.1, toDisplay: v => Math.round(v * 1000) / 10, fromDisplay: v => v / 100 },
+  { key: 'recoveryPerCleaning', label: 'Récupération', unit: '%', step: 5, toDisplay: v => Math.round(v * 100), fromDisplay: v => Math.min(v, 100) / 100 },
+  { key: 'costPerIntervention', label: 'Coût', unit: '€', step: 10, toDisplay: v => v, fromDisplay: v => v },
+];
+
+const formatEuro = (value) =>
+  value.toLocaleString('fr-FR', { style: 'currency', currency: 'EUR', maximumFractionDigits: 0 });
+
+const formatKwh = (value) => `${Math.round(value).toLocaleString('fr-FR')} kWh`;
+
+const SoilingChart = ({ plans }) => {
+  const series = useMemo(
+    () => plans.map(plan => ({ plan, points: getSawtoothPoints(plan, SAWTOOTH_YEARS) })),
+    [plans]
+  );
+
+  return (
+    <ResponsiveContainer width="100%" height={220}>
+      <LineChart margin={{ top: 10, right: 30, left: 10, bottom: 10 }}>
+        <CartesianGrid strokeDasharray="3 3" stroke="#e5e7eb" />
+        <XAxis
+          dataKey="time"
+          type="number"
+          domain={[0, SAWTOOTH_YEARS]}
+          ticks={Array.from({ length: SAWTOOTH_YEARS + 1 }, (_, i) => i)}
+          tickFormatter={(v) => `${v} an${v > 1 ? 's' : ''}`}
+          tick={{ fontSize: 11, fill: '#6b7280' }}
+          tickLine={false}
+        />
+        <YAxis
+          domain={[0.4, 0.9]}
+          tick={{ fontSize: 11, fill: '#6b7280' }}
+          tickLine={false}
+          axisLine={false}
+          label={{ value: 'Propreté', angle: -90, position: 'insideLeft', fontSize: 11, fill: '#6b7280' }}
+        />
+        <Tooltip
+          contentStyle={{ borderRadius: '12px', border: 'none', boxShadow: '0 10px 40px rgba(0,0,0,0.15)', padding: '12px' }}
+          labelFormatter={(label) => `Mois ${Math.round(label * 12)}`}
+          formatter={(value, name) => [value.toFixed(3), name]}
+        />
+        {series.map(({ plan, points }) => (
+          <Line
+            key={plan.id}
+            data={points}
+            type="linear"
+            dataKey="soiling"
+            name={plan.name}
+            stroke={plan.color}
+            strokeWidth={2}
+            dot={false}
+            isAnimationActive={false}
+          />
+        ))}
+      </LineChart>
+    </ResponsiveContainer>
+  );
+};
+
+const CleaningOptimizer = ({ plans, inputs, apiStatus, system, energyValue, onApply }) => {
+  const [planId, setPlanId] = useState(plans[0].id);
+  const [optimization, setOptimization] = useState(null);
+
+  const plan = plans.find(p => p.id === planId) || plans[0];
+
+  useEffect(() => {
+    if (apiStatus === 'checking') return;
+
+    let cancelled = false;
+    const useApi = apiStatus === 'connected';
+    setOptimization(null);
+
+    const timer = setTimeout(async () => {
+      const result = await optimizeCleaningInterval(inputs, plan, { useApi, system, energyValue });
+      if (!cancelled) setOptimization(result);
+    }, useApi ? 400 : 0);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+    // L'intervalle du plan est celui que l'on optimise : il ne relance pas le calcul
+  }, [inputs, apiStatus, system, energyValue, plan.id, plan.soilingRatePerMonth, plan.recoveryPerCleaning, plan.costPerIntervention]);
+
+  const chartData = optimization?.candidates.map(candidate => ({
+    ...candidate,
+    label: formatInterval(candidate.interval),
+  })) ?? [];
+
+  return (
+    <div className="mt-6 p-4 bg-gradient-to-r from-emerald-50 to-teal-50 rounded-xl">
+      <div className="flex flex-wrap items-center justify-between gap-3 mb-3">
+        <div className="flex items-center gap-2">
+          <Target size={18} className="text-emerald-600" />
+          <span className="font-semibold text-gray-800">Fréquence de nettoyage optimale</span>
+          {optimization && <EngineBadge engine={optimization.engine} />}
+        </div>
+        <select
+          value={plan.id}
+          onChange={(e) => setPlanId(e.target.value)}
+          className="px-3 py-1.5 text-sm bg-white rounded-lg border border-gray-200 focus:outline-none focus:border-emerald-300"
+        >
+          {plans.map(p => <option key={p.id} value={p.id}>{p.name}</option>)}
+        </select>
+      </div>
+
+      {optimization ? (
+        <>
+          <p className="text-sm text-gray-600 mb-3">
+            Avec l'encrassement et le coût de « {plan.name} », la meilleure valeur nette est obtenue
+            {' '}<strong className="text-emerald-700">{formatInterval(optimization.best.interval).toLowerCase()}</strong>
+            {' '}: {formatEuro(optimization.best.netValue)} sur l'horizon
+            ({optimization.best.cleanings} nettoyages, {formatEuro(optimization.best.cost)}).
+          </p>
+
+          <ResponsiveContainer width="100%" height={200}>
+            <BarChart data={chartData} margin={{ top: 10, right: 30, left: 10, bottom: 10 }}>
+              <CartesianGrid strokeDasharray="3 3" stroke="#e5e7eb" vertical={false} />
+              <XAxis dataKey="label" tick={{ fontSize: 10, fill: '#6b7280' }} tickLine={false} interval={0} />
+              <YAxis
+                tick={{ fontSize: 11, fill: '#6b7280' }}
+                tickLine={false}
+                axisLine={false}
+                tickFormatter={(v) => `${Math.round(v / 1000)} k€`}
+                domain={['auto', 'auto']}
+                width={60}
+              />
+              <Tooltip
+                contentStyle={{ borderRadius: '12px', border: 'none', boxShadow: '0 10px 40px rgba(0,0,0,0.15)', padding: '12px' }}
+                formatter={(value) => [formatEuro(value), 'Valeur nette']}
+              />
+              <Bar dataKey="netValue" radius={[4, 4, 0, 0]}>
+                {chartData.map(entry => (
+                  <Cell key={entry.interval} fill={entry.interval === optimization.best.interval ? '#10b981' : '#a7f3d0'} />
+                ))}
+              </Bar>
+            </BarChart>
+          </ResponsiveContainer>
+
+          {plan.cleaningIntervalMonths !== optimization.best.interval && (
+            <button
+              onClick={() => onApply(plan.id, optimization.best.interval)}
+              className="flex items-center gap-1.5 mt-2 px-3 py-1.5 text-sm font-medium text-white bg-emerald-500 hover:bg-emerald-600 rounded-lg"
+            >
+              <Check size={14} />
+              Appliquer à « {plan.name} »
+            </button>
+          )}
+        </>
+      ) : (
+        <div className="h-[200px] flex items-center justify-center gap-2 text-sm text-gray-400">
+          <RefreshCw size={16} className="animate-spin" />
+          Recherche de la fréquence optimale...
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default function MaintenancePlanner({ settings, onChange, summaries = {}, inputs, apiStatus, system }) {
+  const { plans, energyValue } = settings;
+
+  const updatePlans = (nextPlans) => onChange({ ...settings, plans: nextPlans });
+
+  const updatePlan = (id, changes) =>
+    updatePlans(plans.map(plan => (plan.id === id ? { ...plan, ...changes } : plan)));
+
+  const updateField = (plan, field, raw) => {
+    const value = parseFloat(raw);
+    if (!Number.isFinite(value) || value < 0) return;
+    updatePlan(plan.id, { [field.key]: field.fromDisplay(value) });
+  };
+
+  const updateEnergyValue = (raw) => {
+    const value = parseFloat(raw);
+    if (!Number.isFinite(value) || value < 0) return;
+    onChange({ ...settings, energyValue: value });
+  };
+
+  const bestPlanId = plans.reduce((best, plan) => {
+    const summary = summaries[plan.id];
+    if (!summary) return best;
+    return !best || summary.netValue > summaries[best].netValue ? plan.id : best;
+  }, null);
+
+  return (
+    <div>
+      {/* Plans */}
+      <div className="overflow-x-auto">
+        <table className="w-full text-sm">
+          <thead>
+            <tr className="text-left text-xs text-gray-500 border-b border-gray-100">
+              <th className="py-2 pr-3 font-medium">Plan</th>
+              {PLAN_FIELDS.map(field => (
+                <th key={field.key} className="py-2 pr-3 font-medium whitespace-nowrap">{field.label} ({field.unit})</th>
+              ))}
+              <th className="py-2 pr-3 font-medium text-right">Nettoyages</th>
+              <th className="py-2 pr-3 font-medium text-right">Énergie</th>
+              <th className="py-2 pr-3 font-medium text-right">Valeur nette</th>
+              <th className="py-2" />
+            </tr>
+          </thead>
+          <tbody>
+            {plans.map(plan => {
+              const summary = summaries[plan.id];
+              return (
+                <tr key={plan.id} className={`border-b border-gray-50 ${plan.id === bestPlanId ? 'bg-emerald-50/60' : ''}`}>
+                  <td className="py-2 pr-3">
+                    <div className="flex items-center gap-2">
+                      <span className="w-3 h-3 rounded-full flex-shrink-0" style={{ backgroundColor: plan.color }} />
+                      <input
+                        type="text"
+                        value={plan.name}
+                        onChange={(e) => updatePlan(plan.id, { name: e.target.value })}
+                        className="w-40 px-2 py-1 bg-gray-50 rounded-lg border border-gray-100 focus:outline-none focus:border-emerald-300"
+                      />
+                    </div>
+                  </td>
+                  {PLAN_FIELDS.map(field => (
+                    <td key={field.key} className="py-2 pr-3">
+                      <input
+                        type="number"
+                        min={0}
+                        step={field.step}
+                        value={field.toDisplay(plan[field.key])}
+                        onChange={(e) => updateField(plan, field, e.target.value)}
+                        className="w-20 px-2 py-1 bg-gray-50 rounded-lg border border-gray-100 font-semibold text-gray-800 focus:outline-none focus:border-emerald-300"
+                      />
+                    </td>
+                  ))}
+                  <td className="py-2 pr-3 text-right text-gray-600">
+                    {summary ? summary.cleanings : '—'}
+                  </td>
+                  <td className="py-2 pr-3 text-right text-gray-600 whitespace-nowrap">
+                    {summary ? formatKwh(summary.energy) : '—'}
+                  </td>
+                  <td className={`py-2 pr-3 text-right font-semibold whitespace-nowrap ${plan.id === bestPlanId ? 'text-emerald-600' : 'text-gray-800'}`}>
+                    {summary ? formatEuro(summary.netValue) : '—'}
+                  </td>
+                  <td className="py-2 text-right">
+                    <button
+                      onClick={() => updatePlans(plans.filter(p => p.id !== plan.id))}
+                      disabled={plans.length <= 1}
+                      className="p-1.5 text-gray-400 hover:text-red-500 disabled:opacity-30 disabled:hover:text-gray-400"
+                      title="Supprimer le plan"
+                    >
+                      <Trash2 size={14} />
+                    </button>
+                  </td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      </div>
+
+      <div className="flex flex-wrap items-center justify-between gap-3 mt-3">
+        <button
+          onClick={() => updatePlans([...plans, createPlan(plans)])}
+          disabled={plans.length >= PLAN_COLORS.length}
+          className="flex items-center gap-1.5 text-sm font-medium text-emerald-600 hover:text-emerald-700 disabled:opacity-40"
+        >
+          <Plus size={14} />
+          Ajouter un plan
+        </button>
+        <label className="flex items-center gap-2 text-xs text-gray-500">
+          Valeur de l'énergie
+          <div className="flex items-center bg-gray-50 rounded-xl border border-gray-100 focus-within:border-emerald-300">
+            <input
+              type="number"
+              min={0}
+              step={0.01}
+              value={energyValue}
+              onChange={(e) => updateEnergyValue(e.target.value)}
+              className="w-20 px-3 py-1.5 text-sm font-semibold text-gray-800 bg-transparent focus:outline-none"
+            />
+            <span className="pr-3 text-xs text-gray-400">€/kWh</span>
+          </div>
+        </label>
+      </div>
+
+      {/* Encrassement */}
+      <div className="mt-6">
+        <div className="flex items-center gap-2 mb-2 text-sm font-semibold text-gray-700">
+          <Droplets size={16} className="text-cyan-500" />
+          Propreté des panneaux sur les {SAWTOOTH_YEARS} premières années
+        </div>
+        <SoilingChart plans={plans} />
+      </div>
+
+      <CleaningOptimizer
+        plans={plans}
+        inputs={inputs}
+        apiStatus={apiStatus}
+        system={system}
+        energyValue={energyValue}
+        onApply={(id, interval) => updatePlan(id, { cleaningIntervalMonths: interval })}
+      />
+    </div>
+  );
+}
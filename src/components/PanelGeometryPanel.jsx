@@ -0,0 +1,241 @@
+/**
+ * Green AI Solar - Panel Geometry Panel
+ * =====================================
+ * Inclinaison, orientation et albédo : irradiance dans le plan des modules,
+ * comparaison des orientations et inclinaison optimale pour la latitude
+ */
+
+import React, { useState, useMemo } from 'react';
+import { motion, AnimatePresence } from 'framer-motion';
+import { Compass, ChevronRight, Target, RotateCcw } from 'lucide-react';
+import {
+  LineChart, Line, XAxis, YAxis, Tooltip, ResponsiveContainer, CartesianGrid, ReferenceLine, Legend
+} from 'recharts';
+import {
+  GEOMETRY_FIELDS, DEFAULT_GEOMETRY, COMPARED_TILTS, describeAzimuth, transposeIrradiance, computeOrientationStudy
+} from '../services/transposition';
+
+// Même code couleur que les bandes d'efficacité : du rouge (mauvaise orientation) au vert
+const ratioColor = (ratio) => {
+  if (ratio >= 0.95) return '#10b981';
+  if (ratio >= 0.85) return '#22c55e';
+  if (ratio >= 0.7) return '#f59e0b';
+  return '#ef4444';
+};
+
+export default function PanelGeometryPanel({ geometry, onChange, location, irradiance }) {
+  const [isOpen, setIsOpen] = useState(false);
+
+  const transposed = useMemo(
+    () => transposeIrradiance(irradiance, geometry, location),
+    [irradiance, geometry, location]
+  );
+
+  // Bilan annuel : ne dépend que de la latitude, de l'altitude et de la géométrie
+  const study = useMemo(
+    () => (isOpen ? computeOrientationStudy(location, geometry) : null),
+    [isOpen, location.latitude, location.altitude, geometry]
+  );
+
+  const updateField = (field, raw) => {
+    const value = parseFloat(raw);
+    if (!Number.isFinite(value) || value < field.min || value > field.max) return;
+    onChange({ ...geometry, [field.key]: value });
+  };
+
+  return (
+    <div className="bg-white/60 backdrop-blur-sm rounded-2xl border border-gray-100 overflow-hidden">
+      <button
+        onClick={() => setIsOpen(!isOpen)}
+        className="w-full flex items-center justify-between p-4 hover:bg-gray-50/50 transition-colors"
+      >
+        <div className="flex items-center gap-3">
+          <div className="p-2 rounded-xl bg-gradient-to-br from-blue-400 to-indigo-500 text-white">
+            <Compass size={16} />
+          </div>
+          <div className="text-left">
+            <div className="font-semibold text-gray-800">Inclinaison et orientation</div>
+            <div className="text-xs text-gray-500">
+              {geometry.tilt}° · {describeAzimuth(geometry.azimuth)} ({geometry.azimuth}°) · irradiance horizontale {irradiance} W/m²
+              {' '}→ dans le plan {Math.round(transposed.poa)} W/m²
+            </div>
+          </div>
+        </div>
+        <motion.div animate={{ rotate: isOpen ? 90 : 0 }} transition={{ duration: 0.2 }}>
+          <ChevronRight size={20} className="text-gray-400" />
+        </motion.div>
+      </button>
+
+      <AnimatePresence>
+        {isOpen && study && (
+          <motion.div
+            initial={{ height: 0, opacity: 0 }}
+            animate={{ height: 'auto', opacity: 1 }}
+            exit={{ height: 0, opacity: 0 }}
+            transition={{ duration: 0.3 }}
+            className="px-4 pb-4"
+          >
+            <div className="grid grid-cols-3 gap-3">
+              {GEOMETRY_FIELDS.map(field => (
+                <label key={field.key} className="block">
+                  <span className="text-xs text-gray-500">{field.label}</span>
+                  <div className="flex items-center mt-1 bg-gray-50 rounded-xl border border-gray-100 focus-within:border-emerald-300">
+                    <input
+                      type="number"
+                      min={field.min}
+                      max={field.max}
+                      step={field.step}
+                      value={geometry[field.key]}
+                      onChange={(e) => updateField(field, e.target.value)}
+                      className="w-full min-w-0 px-3 py-2 text-sm font-semibold text-gray-800 bg-transparent focus:outline-none"
+                    />
+                    {field.unit && <span className="pr-3 text-xs text-gray-400 whitespace-nowrap">{field.unit}</span>}
+                  </div>
+                </label>
+              ))}
+            </div>
+
+            {/* Décomposition de l'irradiance dans le plan */}
+            <div className="grid grid-cols-2 sm:grid-cols-4 gap-3 mt-4 text-center">
+              <div className="bg-gradient-to-br from-blue-50 to-indigo-50 rounded-xl p-3">
+                <div className="text-xs text-gray-500">Dans le plan</div>
+                <div className="text-lg font-bold text-blue-600">{Math.round(transposed.poa)} W/m²</div>
+              </div>
+              <div className="bg-gray-50 rounded-xl p-3">
+                <div className="text-xs text-gray-500">Direct</div>
+                <div className="text-lg font-bold text-gray-700">{Math.round(transposed.beam)} W/m²</div>
+              </div>
+              <div className="bg-gray-50 rounded-xl p-3">
+                <div className="text-xs text-gray-500">Diffus</div>
+                <div className="text-lg font-bold text-gray-700">{Math.round(transposed.diffuse)} W/m²</div>
+              </div>
+              <div className="bg-gray-50 rounded-xl p-3">
+                <div className="text-xs text-gray-500">Réfléchi (sol)</div>
+                <div className="text-lg font-bold text-gray-700">{Math.round(transposed.reflected)} W/m²</div>
+              </div>
+            </div>
+            <p className="text-xs text-gray-400 mt-2">
+              Soleil à {transposed.sun.elevation.toFixed(1)}° d'élévation pour le lieu et l'heure choisis ci-dessus.
+              Cette irradiance dans le plan est celle envoyée au modèle.
+            </p>
+
+            {/* Inclinaison optimale */}
+            <div className="flex flex-wrap items-center justify-between gap-3 mt-4 p-3 bg-gradient-to-r from-emerald-50 to-teal-50 rounded-xl">
+              <div className="flex items-center gap-2 text-sm text-gray-600">
+                <Target size={16} className="text-emerald-600" />
+                <span>
+                  Inclinaison optimale à {location.latitude.toFixed(1)}° de latitude :{' '}
+                  <strong className="text-emerald-700">{study.optimal.tilt}° plein {describeAzimuth(study.optimal.azimuth).toLowerCase()}</strong>
+                  {' '}({Math.round(study.optimal.insolation)} kWh/m²/an par ciel clair).
+                  Orientation actuelle : {Math.round(study.currentRatio * 100)}% de l'optimum.
+                </span>
+              </div>
+              <div className="flex items-center gap-3">
+                {(geometry.tilt !== study.optimal.tilt || geometry.azimuth !== study.optimal.azimuth) && (
+                  <button
+                    onClick={() => onChange({ ...geometry, tilt: study.optimal.tilt, azimuth: study.optimal.azimuth })}
+                    className="px-3 py-1.5 text-sm font-medium text-white bg-emerald-500 hover:bg-emerald-600 rounded-lg"
+                  >
+                    Appliquer
+                  </button>
+                )}
+                <button
+                  onClick={() => onChange(DEFAULT_GEOMETRY)}
+                  className="flex items-center gap-1.5 text-xs text-gray-500 hover:text-gray-700"
+                >
+                  <RotateCcw size={12} />
+                  Horizontal
+                </button>
+              </div>
+            </div>
+
+            {/* Comparaison des orientations */}
+            <div className="grid lg:grid-cols-2 gap-4 mt-4">
+              <div className="overflow-x-auto">
+                <table className="w-full text-xs">
+                  <thead>
+                    <tr className="text-gray-500">
+                      <th className="py-1.5 pr-2 text-left font-medium">Orientation</th>
+                      {COMPARED_TILTS.map(tilt => (
+                        <th key={tilt} className="py-1.5 px-1 font-medium">{tilt}°</th>
+                      ))}
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {study.grid.map(row => (
+                      <tr key={row.azimuth}>
+                        <td className="py-1 pr-2 text-gray-600 whitespace-nowrap">{row.label}</td>
+                        {row.cells.map(cell => (
+                          <td key={cell.tilt} className="p-0.5">
+                            <button
+                              onClick={() => onChange({ ...geometry, tilt: cell.tilt, azimuth: row.azimuth })}
+                              title={`${Math.round(cell.insolation)} kWh/m²/an`}
+                              className="w-full py-1 rounded text-white font-semibold hover:opacity-80"
+                              style={{ backgroundColor: ratioColor(cell.ratio), opacity: 0.5 + cell.ratio / 2 }}
+                            >
+                              {Math.round(cell.ratio * 100)}%
+                            </button>
+                          </td>
+                        ))}
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+                <p className="text-xs text-gray-400 mt-2">
+                  Irradiation annuelle par ciel clair, en % de l'optimum. Cliquez une case pour l'appliquer.
+                </p>
+              </div>
+
+              <ResponsiveContainer width="100%" height={220}>
+                <LineChart data={study.tiltCurve} margin={{ top: 10, right: 20, left: 10, bottom: 10 }}>
+                  <CartesianGrid strokeDasharray="3 3" stroke="#e5e7eb" />
+                  <XAxis
+                    dataKey="tilt"
+                    type="number"
+                    domain={[0, 90]}
+                    ticks={[0, 15, 30, 45, 60, 75, 90]}
+                    tickFormatter={(v) => `${v}°`}
+                    tick={{ fontSize: 11, fill: '#6b7280' }}
+                    tickLine={false}
+                  />
+                  <YAxis
+                    tick={{ fontSize: 11, fill: '#6b7280' }}
+                    tickLine={false}
+                    axisLine={false}
+                    domain={['auto', 'auto']}
+                    width={50}
+                  />
+                  <Tooltip
+                    contentStyle={{ borderRadius: '12px', border: 'none', boxShadow: '0 10px 40px rgba(0,0,0,0.15)', padding: '12px' }}
+                    labelFormatter={(label) => `Inclinaison ${label}°`}
+                    formatter={(value, name) => [`${value} kWh/m²/an`, name]}
+                  />
+                  <Legend verticalAlign="top" height={30} />
+                  <ReferenceLine x={geometry.tilt} stroke="#6b7280" strokeDasharray="4 4" />
+                  <ReferenceLine x={study.optimal.tilt} stroke="#10b981" strokeDasharray="4 4" />
+                  <Line
+                    type="monotone"
+                    dataKey="insolation"
+                    name={`${describeAzimuth(geometry.azimuth)} (actuelle)`}
+                    stroke="#3b82f6"
+                    strokeWidth={2}
+                    dot={false}
+                  />
+                  <Line
+                    type="monotone"
+                    dataKey="equatorInsolation"
+                    name={`Plein ${describeAzimuth(study.optimal.azimuth).toLowerCase()}`}
+                    stroke="#10b981"
+                    strokeWidth={2}
+                    strokeDasharray="5 5"
+                    dot={false}
+                  />
+                </LineChart>
+              </ResponsiveContainer>
+            </div>
+          </motion.div>
+        )}
+      </AnimatePresence>
+    </div>
+  );
+}
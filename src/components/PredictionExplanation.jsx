@@ -0,0 +1,150 @@
+/**
+ * Green AI Solar - Prediction Explanation
+ * =======================================
+ * Diagramme en cascade : de la prédiction de référence (entrées par défaut)
+ * à la prédiction courante, variable par variable
+ */
+
+import React, { useState, useEffect } from 'react';
+import { motion, AnimatePresence } from 'framer-motion';
+import { ListTree, ChevronRight, RefreshCw } from 'lucide-react';
+import {
+  BarChart, Bar, XAxis, YAxis, Tooltip, ResponsiveContainer, Cell, CartesianGrid
+} from 'recharts';
+import { explainPrediction, buildWaterfall } from '../services/explanation';
+import EngineBadge from './EngineBadge';
+
+const BAR_COLORS = {
+  total: '#3b82f6',
+  positive: '#10b981',
+  negative: '#ef4444',
+};
+
+const formatPoints = (value) => `${value > 0 ? '+' : ''}${value.toFixed(1)} pt${Math.abs(value) >= 2 ? 's' : ''}`;
+
+const WaterfallTooltip = ({ active, payload }) => {
+  if (!active || !payload?.length) return null;
+  const item = payload[0].payload;
+  return (
+    <div className="bg-white rounded-xl shadow-xl p-3 text-sm">
+      <div className="font-semibold text-gray-800">{item.label}</div>
+      <div className="text-gray-600">
+        {item.kind === 'total' ? `${item.contribution.toFixed(1)} %` : formatPoints(item.contribution)}
+      </div>
+    </div>
+  );
+};
+
+export default function PredictionExplanation({ inputs, apiStatus }) {
+  const [isOpen, setIsOpen] = useState(false);
+  const [explanation, setExplanation] = useState(null);
+
+  useEffect(() => {
+    if (!isOpen || apiStatus === 'checking') return;
+
+    let cancelled = false;
+    const useApi = apiStatus === 'connected';
+
+    const timer = setTimeout(async () => {
+      const result = await explainPrediction(inputs, { useApi });
+      if (!cancelled) setExplanation(result);
+    }, useApi ? 400 : 0);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [isOpen, inputs, apiStatus]);
+
+  const data = explanation ? buildWaterfall(explanation) : [];
+  const brakes = explanation
+    ? explanation.contributions.filter(item => item.contribution < -0.05)
+      .sort((a, b) => a.contribution - b.contribution)
+      .slice(0, 3)
+    : [];
+
+  return (
+    <div className="bg-white/60 backdrop-blur-sm rounded-2xl border border-gray-100 overflow-hidden">
+      <button
+        onClick={() => setIsOpen(!isOpen)}
+        className="w-full flex items-center justify-between p-4 hover:bg-gray-50/50 transition-colors"
+      >
+        <div className="flex items-center gap-3">
+          <div className="p-2 rounded-xl bg-gradient-to-br from-emerald-400 to-teal-500 text-white">
+            <ListTree size={16} />
+          </div>
+          <span className="font-semibold text-gray-800">Pourquoi cette prédiction ?</span>
+        </div>
+        <motion.div animate={{ rotate: isOpen ? 90 : 0 }} transition={{ duration: 0.2 }}>
+          <ChevronRight size={20} className="text-gray-400" />
+        </motion.div>
+      </button>
+
+      <AnimatePresence>
+        {isOpen && (
+          <motion.div
+            initial={{ height: 0, opacity: 0 }}
+            animate={{ height: 'auto', opacity: 1 }}
+            exit={{ height: 0, opacity: 0 }}
+            transition={{ duration: 0.3 }}
+            className="px-4 pb-4"
+          >
+            {explanation ? (
+              <>
+                <div className="flex flex-wrap items-center gap-2 mb-3">
+                  <EngineBadge engine={explanation.engine} />
+                  <span className="text-xs text-gray-400">
+                    {explanation.method === 'exact'
+                      ? 'Contributions exactes (modèle additif)'
+                      : `Shapley échantillonné · ${explanation.permutations} permutations`}
+                  </span>
+                </div>
+
+                <div className="h-64">
+                  <ResponsiveContainer width="100%" height="100%">
+                    <BarChart data={data} margin={{ top: 5, right: 5, left: -15, bottom: 30 }}>
+                      <CartesianGrid strokeDasharray="3 3" stroke="#e5e7eb" vertical={false} />
+                      <XAxis
+                        dataKey="label"
+                        tick={{ fontSize: 10, fill: '#6b7280' }}
+                        tickLine={false}
+                        interval={0}
+                        angle={-35}
+                        textAnchor="end"
+                      />
+                      <YAxis
+                        domain={[0, 'auto']}
+                        tick={{ fontSize: 10, fill: '#9ca3af' }}
+                        tickLine={false}
+                        axisLine={false}
+                        tickFormatter={(v) => `${v}%`}
+                      />
+                      <Tooltip content={<WaterfallTooltip />} cursor={{ fill: 'rgba(0,0,0,0.04)' }} />
+                      <Bar dataKey="range" radius={[3, 3, 3, 3]}>
+                        {data.map(item => (
+                          <Cell key={item.key} fill={BAR_COLORS[item.kind]} />
+                        ))}
+                      </Bar>
+                    </BarChart>
+                  </ResponsiveContainer>
+                </div>
+
+                <p className="text-xs text-gray-500 mt-2">
+                  Référence : entrées par défaut ({explanation.base.toFixed(1)} %).
+                  {brakes.length > 0 && (
+                    <> Principaux freins : {brakes.map(item => `${item.label} (${formatPoints(item.contribution)})`).join(', ')}.</>
+                  )}
+                </p>
+              </>
+            ) : (
+              <div className="h-64 flex items-center justify-center gap-2 text-sm text-gray-400">
+                <RefreshCw size={16} className="animate-spin" />
+                Calcul des contributions...
+              </div>
+            )}
+          </motion.div>
+        )}
+      </AnimatePresence>
+    </div>
+  );
+}
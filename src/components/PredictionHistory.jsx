@@ -0,0 +1,296 @@
+/**
+ * Green AI Solar - Prediction History View
+ * ========================================
+ * Chronologie des prédictions : filtres, courbe d'efficacité, restauration et export
+ */
+
+import React, { useState, useEffect, useMemo } from 'react';
+import {
+  History, Download, Trash2, RotateCcw, AlertCircle, AlertTriangle, RefreshCw
+} from 'lucide-react';
+import {
+  LineChart, Line, XAxis, YAxis, Tooltip, ResponsiveContainer, CartesianGrid
+} from 'recharts';
+import { FEATURES_CONFIG, ALL_FEATURES } from '../config/features';
+import {
+  listHistoryRecords, deleteHistoryRecord, clearHistory
+} from '../services/history';
+import { checkConsistency, getConsistencyStatus, CONSISTENCY_STATUS } from '../services/consistency';
+import { toCsv } from '../utils/csv';
+import { downloadFile } from '../utils/download';
+
+const QUALITY_LABELS = ['Faible', 'Modérée', 'Bonne', 'Excellente'];
+
+const INPUT_KEYS = ALL_FEATURES.map(feature => feature.key);
+
+const ENGINE_STYLES = {
+  api: { label: 'API', color: '#10b981', className: 'bg-emerald-50 text-emerald-600' },
+  model: { label: 'Modèle exporté', color: '#0ea5e9', className: 'bg-sky-50 text-sky-600' },
+  simulated: { label: 'Simulation', color: '#f59e0b', className: 'bg-amber-50 text-amber-600' },
+};
+
+const getEngineStyle = (engine) => ENGINE_STYLES[engine] || ENGINE_STYLES.simulated;
+
+const formatDate = (timestamp) => new Date(timestamp).toLocaleString('fr-FR', {
+  day: '2-digit', month: '2-digit', hour: '2-digit', minute: '2-digit',
+});
+
+const exportRecords = (records, format) => {
+  const stamp = new Date().toISOString().slice(0, 10);
+  if (format === 'json') {
+    downloadFile(`solar-history-${stamp}.json`, JSON.stringify(records, null, 2), 'application/json');
+    return;
+  }
+  const columns = ['timestamp', 'engine', 'efficiency_percent', 'quality_label', 'error', 'consistency', ...INPUT_KEYS];
+  const rows = records.map(record => ({
+    ...record,
+    ...record.inputs,
+    consistency: record.issues.map(issue => issue.message).join(' | '),
+  }));
+  downloadFile(`solar-history-${stamp}.csv`, toCsv(columns, rows), 'text/csv');
+};
+
+export default function PredictionHistory({ onRestore }) {
+  const [records, setRecords] = useState(null);
+  const [engineFilter, setEngineFilter] = useState('all');
+  const [qualityFilter, setQualityFilter] = useState('all');
+  const [errorsOnly, setErrorsOnly] = useState(false);
+  const [consistencyFilter, setConsistencyFilter] = useState('all');
+  const [loadError, setLoadError] = useState(null);
+
+  // IndexedDB indisponible (navigation privée, quota...) : liste vide et message
+  const refresh = () => listHistoryRecords()
+    .then(list => {
+      setRecords(list);
+      setLoadError(null);
+    })
+    .catch(err => {
+      console.error('History Error:', err);
+      setRecords([]);
+      setLoadError(`Historique illisible : ${err.message}`);
+    });
+
+  useEffect(() => {
+    refresh();
+  }, []);
+
+  // Alertes enregistrées avec la prédiction (réglages thermiques et système de l'époque) ;
+  // les anciens enregistrements, sans ce champ, sont réévalués avec les réglages par défaut
+  const checkedRecords = useMemo(() => (records || []).map(record => ({
+    ...record,
+    issues: record.issues ?? checkConsistency(record.inputs),
+  })), [records]);
+
+  const filtered = useMemo(() => checkedRecords.filter(record => (
+    (engineFilter === 'all' || record.engine === engineFilter)
+    && (qualityFilter === 'all' || record.quality_label === qualityFilter)
+    && (!errorsOnly || record.error)
+    && (consistencyFilter === 'all' || (consistencyFilter === 'flagged') === record.issues.length > 0)
+  )), [checkedRecords, engineFilter, qualityFilter, errorsOnly, consistencyFilter]);
+
+  const chartData = filtered.map(record => ({
+    id: record.id,
+    time: formatDate(record.timestamp),
+    efficiency: record.efficiency_percent !== null ? Math.round(record.efficiency_percent * 10) / 10 : null,
+    engine: record.engine,
+  }));
+
+  const handleDelete = async (id) => {
+    await deleteHistoryRecord(id);
+    refresh();
+  };
+
+  const handleClear = async () => {
+    if (!window.confirm('Supprimer tout l\'historique des prédictions ?')) return;
+    await clearHistory();
+    refresh();
+  };
+
+  if (records === null) {
+    return (
+      <div className="h-64 flex items-center justify-center gap-2 text-sm text-gray-400">
+        <RefreshCw size={16} className="animate-spin" />
+        Chargement de l'historique...
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-6">
+      <div>
+        <h2 className="text-2xl font-bold text-gray-800">Historique des prédictions</h2>
+        <p className="text-gray-500 mt-1">Chaque prédiction est enregistrée localement dans ce navigateur</p>
+      </div>
+
+      {loadError && (
+        <div className="flex items-center gap-2 p-3 bg-red-50 text-red-600 text-sm rounded-xl">
+          <AlertCircle size={16} />
+          {loadError}
+        </div>
+      )}
+
+      {/* Filtres */}
+      <div className="flex flex-wrap items-center gap-3 bg-white/60 backdrop-blur-sm rounded-2xl p-4 border border-gray-100">
+        <select
+          value={engineFilter}
+          onChange={(e) => setEngineFilter(e.target.value)}
+          className="px-3 py-2 text-sm bg-white border border-gray-200 rounded-xl"
+        >
+          <option value="all">Tous les moteurs</option>
+          {Object.entries(ENGINE_STYLES).map(([engine, { label }]) => (
+            <option key={engine} value={engine}>{label}</option>
+          ))}
+        </select>
+        <select
+          value={qualityFilter}
+          onChange={(e) => setQualityFilter(e.target.value)}
+          className="px-3 py-2 text-sm bg-white border border-gray-200 rounded-xl"
+        >
+          <option value="all">Toutes les qualités</option>
+          {QUALITY_LABELS.map(label => <option key={label} value={label}>{label}</option>)}
+        </select>
+        <select
+          value={consistencyFilter}
+          onChange={(e) => setConsistencyFilter(e.target.value)}
+          className="px-3 py-2 text-sm bg-white border border-gray-200 rounded-xl"
+        >
+          <option value="all">Toutes les entrées</option>
+          <option value="ok">Entrées cohérentes</option>
+          <option value="flagged">Entrées signalées</option>
+        </select>
+        <label className="flex items-center gap-2 text-sm text-gray-600">
+          <input type="checkbox" checked={errorsOnly} onChange={(e) => setErrorsOnly(e.target.checked)} className="accent-emerald-500" />
+          Erreurs uniquement
+        </label>
+
+        <div className="flex items-center gap-2 ml-auto">
+          <span className="text-sm text-gray-500">{filtered.length} / {records.length}</span>
+          <button
+            onClick={() => exportRecords(filtered, 'csv')}
+            disabled={filtered.length === 0}
+            className="flex items-center gap-1.5 px-3 py-2 text-sm font-medium text-emerald-600 bg-emerald-50 rounded-xl hover:bg-emerald-100 disabled:opacity-50"
+          >
+            <Download size={15} />
+            CSV
+          </button>
+          <button
+            onClick={() => exportRecords(filtered, 'json')}
+            disabled={filtered.length === 0}
+            className="flex items-center gap-1.5 px-3 py-2 text-sm font-medium text-emerald-600 bg-emerald-50 rounded-xl hover:bg-emerald-100 disabled:opacity-50"
+          >
+            <Download size={15} />
+            JSON
+          </button>
+          <button
+            onClick={handleClear}
+            disabled={records.length === 0}
+            className="flex items-center gap-1.5 px-3 py-2 text-sm font-medium text-red-500 bg-red-50 rounded-xl hover:bg-red-100 disabled:opacity-50"
+          >
+            <Trash2 size={15} />
+            Vider
+          </button>
+        </div>
+      </div>
+
+      {filtered.length === 0 ? (
+        <div className="bg-white/80 backdrop-blur-xl rounded-2xl p-10 border border-white/50 text-center text-sm text-gray-400">
+          <History size={32} className="mx-auto mb-3 text-gray-300" />
+          Aucune prédiction {records.length > 0 ? 'ne correspond aux filtres' : 'enregistrée pour le moment'}
+        </div>
+      ) : (
+        <>
+          {/* Courbe */}
+          <div className="bg-white/80 backdrop-blur-xl rounded-2xl shadow-xl shadow-emerald-100/50 p-6 border border-white/50">
+            <h3 className="font-bold text-gray-800 mb-4">Efficacité prédite au fil du temps</h3>
+            <ResponsiveContainer width="100%" height={260}>
+              <LineChart data={chartData} margin={{ top: 10, right: 30, left: 10, bottom: 10 }}>
+                <CartesianGrid strokeDasharray="3 3" stroke="#e5e7eb" />
+                <XAxis dataKey="time" tick={{ fontSize: 10, fill: '#6b7280' }} tickLine={false} minTickGap={30} />
+                <YAxis
+                  domain={['auto', 'auto']}
+                  tick={{ fontSize: 11, fill: '#6b7280' }}
+                  tickLine={false}
+                  axisLine={false}
+                  label={{ value: 'Efficacité (%)', angle: -90, position: 'insideLeft', fontSize: 11, fill: '#6b7280' }}
+                />
+                <Tooltip
+                  contentStyle={{ borderRadius: '12px', border: 'none', boxShadow: '0 10px 40px rgba(0,0,0,0.15)', padding: '12px' }}
+                  formatter={(value, name, item) => [`${value}%`, getEngineStyle(item.payload.engine).label]}
+                />
+                <Line
+                  type="monotone"
+                  dataKey="efficiency"
+                  stroke="#10b981"
+                  strokeWidth={2}
+                  dot={({ cx, cy, payload }) => (
+                    <circle
+                      key={payload.id}
+                      cx={cx}
+                      cy={cy}
+                      r={3}
+                      fill={getEngineStyle(payload.engine).color}
+                    />
+                  )}
+                />
+              </LineChart>
+            </ResponsiveContainer>
+            <div className="flex gap-4 mt-2 text-xs text-gray-500">
+              {Object.entries(ENGINE_STYLES).map(([engine, { label, color }]) => (
+                <span key={engine} className="flex items-center gap-1.5">
+                  <span className="w-2 h-2 rounded-full" style={{ backgroundColor: color }} /> {label}
+                </span>
+              ))}
+            </div>
+          </div>
+
+          {/* Liste */}
+          <div className="bg-white/80 backdrop-blur-xl rounded-2xl shadow-xl shadow-emerald-100/50 p-4 border border-white/50 space-y-2">
+            {[...filtered].reverse().map(record => (
+              <div key={record.id} className="flex items-center gap-4 p-3 rounded-xl hover:bg-gray-50/70">
+                <div className="w-28 text-xs text-gray-500">{new Date(record.timestamp).toLocaleString('fr-FR')}</div>
+                <div className="w-20 font-bold text-gray-900">
+                  {record.efficiency_percent !== null ? `${record.efficiency_percent.toFixed(1)}%` : '—'}
+                </div>
+                <div className="w-24 text-sm text-gray-600">{record.quality_label}</div>
+                <span className={`text-xs font-medium px-2 py-0.5 rounded-full ${getEngineStyle(record.engine).className}`}>
+                  {getEngineStyle(record.engine).label}
+                </span>
+                {record.issues.length > 0 && (
+                  <span
+                    title={record.issues.map(issue => issue.message).join('\n')}
+                    className={`flex items-center gap-1 text-xs font-medium px-2 py-0.5 rounded-full ${
+                      CONSISTENCY_STATUS[getConsistencyStatus(record.issues)].className
+                    }`}
+                  >
+                    <AlertTriangle size={11} />
+                    {CONSISTENCY_STATUS[getConsistencyStatus(record.issues)].label}
+                  </span>
+                )}
+                <div className="flex-1 min-w-0 text-xs text-gray-400 truncate">
+                  {record.error ? (
+                    <span className="flex items-center gap-1 text-red-500">
+                      <AlertCircle size={12} />
+                      {record.error}
+                    </span>
+                  ) : (
+                    FEATURES_CONFIG.slice(0, 4).map(config => `${config.shortLabel} ${record.inputs[config.key]}`).join(' · ')
+                  )}
+                </div>
+                <button
+                  onClick={() => onRestore(record.inputs)}
+                  className="flex items-center gap-1.5 px-3 py-1.5 text-xs font-medium text-emerald-600 bg-emerald-50 rounded-lg hover:bg-emerald-100"
+                >
+                  <RotateCcw size={13} />
+                  Restaurer
+                </button>
+                <button onClick={() => handleDelete(record.id)} title="Supprimer" className="p-1.5 text-gray-400 hover:text-red-500 hover:bg-red-50 rounded-lg">
+                  <Trash2 size={14} />
+                </button>
+              </div>
+            ))}
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
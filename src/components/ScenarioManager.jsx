@@ -0,0 +1,389 @@
+/**
+ * Green AI Solar - Scenario Manager
+ * =================================
+ * Sauvegarde de jeux d'entrées nommés et comparaison côte à côte de 2 à 4 scénarios
+ */
+
+import React, { useState, useEffect, useMemo } from 'react';
+import {
+  Save, Copy, Trash2, Pencil, Check, X, Upload, Layers, GitCompare, RefreshCw, AlertCircle
+} from 'lucide-react';
+import {
+  LineChart, Line, XAxis, YAxis, Tooltip, ResponsiveContainer, CartesianGrid, Legend
+} from 'recharts';
+import { ALL_FEATURES } from '../config/features';
+import { predictMany, summarizeEngines } from '../services/api';
+import { generateYearlyEvolution } from '../services/evolution';
+import {
+  MAX_COMPARED_SCENARIOS, loadScenarios, saveScenarios, addScenario,
+  renameScenario, updateScenarioInputs, duplicateScenario, deleteScenario
+} from '../services/scenarios';
+import EngineBadge from './EngineBadge';
+
+const SCENARIO_COLORS = ['#10b981', '#3b82f6', '#f59e0b', '#8b5cf6'];
+
+const PARAMETER_ROWS = ALL_FEATURES.map(config => ({ key: config.key, label: config.label, unit: config.unit }));
+
+const formatValue = (value) => (Number.isInteger(value) ? value : Number(value).toFixed(2));
+
+const formatDiff = (diff) => `${diff > 0 ? '+' : ''}${formatValue(Math.round(diff * 100) / 100)}`;
+
+const ScenarioRow = ({ scenario, isSelected, canSelect, onToggle, onApply, onOverwrite, onRename, onDuplicate, onDelete }) => {
+  const [isEditing, setIsEditing] = useState(false);
+  const [name, setName] = useState(scenario.name);
+
+  const submitRename = () => {
+    if (name.trim()) onRename(name.trim());
+    setIsEditing(false);
+  };
+
+  return (
+    <div className={`flex items-center gap-3 p-3 rounded-xl border transition-colors ${
+      isSelected ? 'border-emerald-200 bg-emerald-50/50' : 'border-gray-100 bg-white/60'
+    }`}>
+      <input
+        type="checkbox"
+        checked={isSelected}
+        disabled={!isSelected && !canSelect}
+        onChange={onToggle}
+        className="accent-emerald-500"
+        title="Comparer"
+      />
+
+      <div className="flex-1 min-w-0">
+        {isEditing ? (
+          <div className="flex items-center gap-1">
+            <input
+              autoFocus
+              value={name}
+              onChange={(e) => setName(e.target.value)}
+              onKeyDown={(e) => {
+                if (e.key === 'Enter') submitRename();
+                if (e.key === 'Escape') setIsEditing(false);
+              }}
+              className="flex-1 px-2 py-1 text-sm border border-gray-200 rounded-lg focus:outline-none focus:border-emerald-300"
+            />
+            <button onClick={submitRename} className="p-1 text-emerald-600 hover:bg-emerald-50 rounded">
+              <Check size={14} />
+            </button>
+            <button onClick={() => setIsEditing(false)} className="p-1 text-gray-400 hover:bg-gray-50 rounded">
+              <X size={14} />
+            </button>
+          </div>
+        ) : (
+          <>
+            <div className="font-medium text-gray-800 truncate">{scenario.name}</div>
+            <div className="text-xs text-gray-400">
+              Modifié le {new Date(scenario.updatedAt).toLocaleString('fr-FR')}
+            </div>
+          </>
+        )}
+      </div>
+
+      <div className="flex items-center gap-1">
+        <button onClick={onApply} title="Charger dans la prédiction" className="p-1.5 text-gray-400 hover:text-emerald-600 hover:bg-emerald-50 rounded-lg">
+          <Upload size={15} />
+        </button>
+        <button onClick={onOverwrite} title="Remplacer par les paramètres actuels" className="p-1.5 text-gray-400 hover:text-blue-600 hover:bg-blue-50 rounded-lg">
+          <Save size={15} />
+        </button>
+        <button onClick={() => { setName(scenario.name); setIsEditing(true); }} title="Renommer" className="p-1.5 text-gray-400 hover:text-gray-700 hover:bg-gray-50 rounded-lg">
+          <Pencil size={15} />
+        </button>
+        <button onClick={onDuplicate} title="Dupliquer" className="p-1.5 text-gray-400 hover:text-gray-700 hover:bg-gray-50 rounded-lg">
+          <Copy size={15} />
+        </button>
+        <button onClick={onDelete} title="Supprimer" className="p-1.5 text-gray-400 hover:text-red-500 hover:bg-red-50 rounded-lg">
+          <Trash2 size={15} />
+        </button>
+      </div>
+    </div>
+  );
+};
+
+// Les scénarios gardent les entrées saisies ; les prédictions utilisent l'irradiance dans le plan
+const ScenarioComparison = ({ scenarios, toModelInputs, apiStatus }) => {
+  const [comparison, setComparison] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (apiStatus === 'checking') return;
+
+    let cancelled = false;
+    setError(null);
+    const engineOptions = { useApi: apiStatus === 'connected' };
+
+    const compare = async () => {
+      const modelInputs = scenarios.map(scenario => toModelInputs(scenario.inputs));
+      const [predictions, evolutions] = await Promise.all([
+        predictMany(modelInputs, engineOptions),
+        Promise.all(modelInputs.map(inputs => generateYearlyEvolution(inputs, engineOptions))),
+      ]);
+      if (cancelled) return;
+
+      // Une ligne par année, une colonne par scénario
+      const curves = evolutions[0].data.map((point, year) => {
+        const row = { year };
+        scenarios.forEach((scenario, i) => {
+          row[scenario.id] = evolutions[i].data[year].efficiency;
+        });
+        return row;
+      });
+
+      const engines = new Set([summarizeEngines(predictions), ...evolutions.map(evolution => evolution.engine)]);
+      setComparison({
+        scenarios,
+        predictions,
+        curves,
+        engine: engines.size > 1 ? 'mixed' : [...engines][0],
+      });
+    };
+    compare().catch(err => {
+      console.error('Scenario Comparison Error:', err);
+      if (!cancelled) {
+        setComparison(null);
+        setError(`Comparaison impossible : ${err.message}`);
+      }
+    });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [scenarios, toModelInputs, apiStatus]);
+
+  if (error) {
+    return (
+      <div className="flex items-center gap-2 p-3 bg-red-50 text-red-600 text-sm rounded-xl">
+        <AlertCircle size={16} />
+        {error}
+      </div>
+    );
+  }
+
+  if (!comparison) {
+    return (
+      <div className="h-64 flex items-center justify-center gap-2 text-sm text-gray-400">
+        <RefreshCw size={16} className="animate-spin" />
+        Comparaison en cours...
+      </div>
+    );
+  }
+
+  // Résultats affichés pour la sélection à laquelle ils correspondent (recalcul en cours éventuel)
+  const shown = comparison.scenarios;
+  const reference = shown[0];
+
+  return (
+    <div className="space-y-6">
+      <div className="flex justify-end">
+        <EngineBadge engine={comparison.engine} />
+      </div>
+
+      {/* Prédictions côte à côte */}
+      <div className="grid gap-3" style={{ gridTemplateColumns: `repeat(${shown.length}, minmax(0, 1fr))` }}>
+        {shown.map((scenario, i) => {
+          const prediction = comparison.predictions[i];
+          const diff = prediction.efficiency_percent - comparison.predictions[0].efficiency_percent;
+          return (
+            <div key={scenario.id} className="p-4 rounded-xl bg-gray-50 border-t-4" style={{ borderColor: SCENARIO_COLORS[i] }}>
+              <div className="text-xs text-gray-500 truncate">{scenario.name}</div>
+              <div className="text-2xl font-bold text-gray-900">{prediction.efficiency_percent.toFixed(1)}%</div>
+              <div className="text-xs text-gray-500">
+                {prediction.quality_label}
+                {i > 0 && (
+                  <span className={`ml-2 font-semibold ${diff >= 0 ? 'text-emerald-600' : 'text-red-500'}`}>
+                    {formatDiff(diff)} pts
+                  </span>
+                )}
+              </div>
+            </div>
+          );
+        })}
+      </div>
+
+      {/* Courbes superposées */}
+      <ResponsiveContainer width="100%" height={320}>
+        <LineChart data={comparison.curves} margin={{ top: 10, right: 30, left: 10, bottom: 10 }}>
+          <CartesianGrid strokeDasharray="3 3" stroke="#e5e7eb" />
+          <XAxis dataKey="year" tick={{ fontSize: 11, fill: '#6b7280' }} tickLine={false} />
+          <YAxis
+            domain={['auto', 'auto']}
+            tick={{ fontSize: 11, fill: '#6b7280' }}
+            tickLine={false}
+            axisLine={false}
+            label={{ value: 'Efficacité (%)', angle: -90, position: 'insideLeft', fontSize: 11, fill: '#6b7280' }}
+          />
+          <Tooltip
+            contentStyle={{ borderRadius: '12px', border: 'none', boxShadow: '0 10px 40px rgba(0,0,0,0.15)', padding: '12px' }}
+            labelFormatter={(label) => `Année ${label}`}
+            formatter={(value) => `${value}%`}
+          />
+          <Legend verticalAlign="top" height={36} />
+          {shown.map((scenario, i) => (
+            <Line
+              key={scenario.id}
+              type="monotone"
+              dataKey={scenario.id}
+              name={scenario.name}
+              stroke={SCENARIO_COLORS[i]}
+              strokeWidth={2}
+              dot={false}
+            />
+          ))}
+        </LineChart>
+      </ResponsiveContainer>
+
+      {/* Écarts par paramètre */}
+      <div className="overflow-x-auto">
+        <table className="w-full text-sm">
+          <thead className="border-b border-gray-100">
+            <tr>
+              <th className="px-3 py-2 text-left text-xs font-semibold text-gray-500">Paramètre</th>
+              {shown.map((scenario, i) => (
+                <th key={scenario.id} className="px-3 py-2 text-left text-xs font-semibold" style={{ color: SCENARIO_COLORS[i] }}>
+                  {scenario.name}
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {PARAMETER_ROWS.map(row => (
+              <tr key={row.key} className="border-b border-gray-50">
+                <td className="px-3 py-2 text-gray-600">{row.label}</td>
+                {shown.map((scenario, i) => {
+                  const value = scenario.inputs[row.key];
+                  const diff = value - reference.inputs[row.key];
+                  return (
+                    <td key={scenario.id} className={`px-3 py-2 ${i > 0 && diff !== 0 ? 'bg-amber-50/60' : ''}`}>
+                      <span className="text-gray-800">{formatValue(value)}{row.unit && ` ${row.unit}`}</span>
+                      {i > 0 && diff !== 0 && (
+                        <span className="ml-2 text-xs font-semibold text-amber-600">{formatDiff(diff)}</span>
+                      )}
+                    </td>
+                  );
+                })}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+};
+
+export default function ScenarioManager({ inputs, toModelInputs, onApply, apiStatus }) {
+  const [scenarios, setScenarios] = useState(loadScenarios);
+  const [selectedIds, setSelectedIds] = useState([]);
+  const [newName, setNewName] = useState('');
+
+  useEffect(() => {
+    saveScenarios(scenarios);
+  }, [scenarios]);
+
+  const handleSave = () => {
+    const name = newName.trim() || `Scénario ${scenarios.length + 1}`;
+    setScenarios(prev => addScenario(prev, name, inputs));
+    setNewName('');
+  };
+
+  const handleDelete = (id) => {
+    setScenarios(prev => deleteScenario(prev, id));
+    setSelectedIds(prev => prev.filter(selected => selected !== id));
+  };
+
+  const toggleSelected = (id) => {
+    setSelectedIds(prev => (
+      prev.includes(id) ? prev.filter(selected => selected !== id) : [...prev, id].slice(0, MAX_COMPARED_SCENARIOS)
+    ));
+  };
+
+  const compared = useMemo(() => selectedIds
+    .map(id => scenarios.find(scenario => scenario.id === id))
+    .filter(Boolean), [selectedIds, scenarios]);
+
+  return (
+    <div className="space-y-6">
+      <div>
+        <h2 className="text-2xl font-bold text-gray-800">Scénarios</h2>
+        <p className="text-gray-500 mt-1">Enregistrez des configurations nommées et comparez-les côte à côte</p>
+      </div>
+
+      <div className="grid lg:grid-cols-3 gap-6">
+        {/* Liste */}
+        <div className="bg-white/80 backdrop-blur-xl rounded-2xl shadow-xl shadow-emerald-100/50 p-5 border border-white/50">
+          <div className="flex items-center gap-3 mb-4">
+            <div className="p-2 bg-emerald-100 rounded-xl">
+              <Layers size={18} className="text-emerald-600" />
+            </div>
+            <div>
+              <h3 className="font-bold text-gray-800">Scénarios enregistrés</h3>
+              <p className="text-xs text-gray-400">Cochez 2 à {MAX_COMPARED_SCENARIOS} scénarios à comparer</p>
+            </div>
+          </div>
+
+          <div className="flex gap-2 mb-4">
+            <input
+              value={newName}
+              onChange={(e) => setNewName(e.target.value)}
+              onKeyDown={(e) => e.key === 'Enter' && handleSave()}
+              placeholder="Nom (ex. Site A après nettoyage)"
+              className="flex-1 min-w-0 px-3 py-2 text-sm border border-gray-200 rounded-xl focus:outline-none focus:border-emerald-300"
+            />
+            <button
+              onClick={handleSave}
+              className="flex items-center gap-1.5 px-3 py-2 text-sm font-medium text-white bg-emerald-500 rounded-xl hover:bg-emerald-600 transition-colors"
+            >
+              <Save size={15} />
+              Enregistrer
+            </button>
+          </div>
+
+          <div className="space-y-2">
+            {scenarios.length === 0 && (
+              <p className="text-sm text-gray-400 text-center py-6">
+                Aucun scénario. Enregistrez les paramètres actuels pour commencer.
+              </p>
+            )}
+            {scenarios.map(scenario => (
+              <ScenarioRow
+                key={scenario.id}
+                scenario={scenario}
+                isSelected={selectedIds.includes(scenario.id)}
+                canSelect={selectedIds.length < MAX_COMPARED_SCENARIOS}
+                onToggle={() => toggleSelected(scenario.id)}
+                onApply={() => onApply(scenario.inputs)}
+                onOverwrite={() => setScenarios(prev => updateScenarioInputs(prev, scenario.id, inputs))}
+                onRename={(name) => setScenarios(prev => renameScenario(prev, scenario.id, name))}
+                onDuplicate={() => setScenarios(prev => duplicateScenario(prev, scenario.id))}
+                onDelete={() => handleDelete(scenario.id)}
+              />
+            ))}
+          </div>
+        </div>
+
+        {/* Comparaison */}
+        <div className="lg:col-span-2 bg-white/80 backdrop-blur-xl rounded-2xl shadow-xl shadow-emerald-100/50 p-5 border border-white/50">
+          <div className="flex items-center gap-3 mb-4">
+            <div className="p-2 bg-gradient-to-br from-blue-400 to-indigo-500 rounded-xl text-white">
+              <GitCompare size={18} />
+            </div>
+            <div>
+              <h3 className="font-bold text-gray-800">Comparaison</h3>
+              <p className="text-xs text-gray-400">
+                {compared.length > 0 ? `Référence : ${compared[0].name}` : 'Efficacité prédite, évolution sur 35 ans et écarts de paramètres'}
+              </p>
+            </div>
+          </div>
+
+          {compared.length < 2 ? (
+            <div className="h-64 flex items-center justify-center text-sm text-gray-400">
+              Sélectionnez au moins deux scénarios
+            </div>
+          ) : (
+            <ScenarioComparison scenarios={compared} toModelInputs={toModelInputs} apiStatus={apiStatus} />
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,244 @@
+/**
+ * Green AI Solar - Sensitivity Analysis View
+ * ==========================================
+ * Diagramme tornado autour des entrées courantes et courbe de balayage par variable
+ */
+
+import React, { useState, useEffect } from 'react';
+import { SlidersHorizontal, RefreshCw, LineChart as LineChartIcon } from 'lucide-react';
+import {
+  BarChart, Bar, LineChart, Line, XAxis, YAxis, Tooltip, ResponsiveContainer,
+  CartesianGrid, ReferenceLine, Legend
+} from 'recharts';
+import { FEATURES_CONFIG } from '../config/features';
+import { computeTornado, computeSweep } from '../services/sensitivity';
+import EngineBadge from './EngineBadge';
+
+const PERCENT_OPTIONS = [5, 10, 20, 50];
+
+const formatValue = (value) => (Number.isInteger(value) ? value : value.toFixed(2));
+
+const TornadoTooltip = ({ active, payload }) => {
+  if (!active || !payload?.length) return null;
+  const row = payload[0].payload;
+
+  return (
+    <div className="bg-white rounded-xl shadow-xl p-3 text-xs space-y-1">
+      <div className="font-semibold text-gray-800">{row.label}</div>
+      <div className="text-blue-600">
+        {formatValue(row.lowValue)} {row.unit} → {row.low.toFixed(1)}% ({row.lowDelta >= 0 ? '+' : ''}{row.lowDelta.toFixed(1)} pts)
+      </div>
+      <div className="text-orange-600">
+        {formatValue(row.highValue)} {row.unit} → {row.high.toFixed(1)}% ({row.highDelta >= 0 ? '+' : ''}{row.highDelta.toFixed(1)} pts)
+      </div>
+    </div>
+  );
+};
+
+export default function SensitivityAnalysis({ inputs, apiStatus }) {
+  const [mode, setMode] = useState('range');
+  const [percent, setPercent] = useState(10);
+  const [tornado, setTornado] = useState(null);
+  const [sweepKey, setSweepKey] = useState(null);
+  const [sweep, setSweep] = useState(null);
+
+  useEffect(() => {
+    if (apiStatus === 'checking') return;
+
+    let cancelled = false;
+    const useApi = apiStatus === 'connected';
+
+    // Avec l'API, une seule série de requêtes par pause des sliders
+    const timer = setTimeout(async () => {
+      const result = await computeTornado(inputs, { mode, percent, useApi });
+      if (!cancelled) setTornado(result);
+    }, useApi ? 400 : 0);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [inputs, mode, percent, apiStatus]);
+
+  useEffect(() => {
+    if (!sweepKey || apiStatus === 'checking') return;
+
+    let cancelled = false;
+    const useApi = apiStatus === 'connected';
+
+    const timer = setTimeout(async () => {
+      const result = await computeSweep(inputs, sweepKey, { useApi });
+      if (!cancelled) setSweep(result);
+    }, useApi ? 400 : 0);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [inputs, sweepKey, apiStatus]);
+
+  const sweepConfig = FEATURES_CONFIG.find(config => config.key === sweepKey);
+
+  return (
+    <div className="space-y-6">
+      <div>
+        <h2 className="text-2xl font-bold text-gray-800">Sensibilité locale</h2>
+        <p className="text-gray-500 mt-1">
+          Variation de l'efficacité quand chaque paramètre bouge seul, autour de la configuration actuelle
+        </p>
+      </div>
+
+      {/* Tornado */}
+      <div className="bg-white/80 backdrop-blur-xl rounded-2xl shadow-xl shadow-emerald-100/50 p-6 border border-white/50">
+        <div className="flex flex-wrap items-center justify-between gap-3 mb-4">
+          <div className="flex items-center gap-3">
+            <div className="p-2 bg-gradient-to-br from-blue-400 to-indigo-500 rounded-xl text-white">
+              <SlidersHorizontal size={20} />
+            </div>
+            <div>
+              <h3 className="font-bold text-gray-800">Diagramme tornado</h3>
+              <p className="text-xs text-gray-400">
+                {tornado ? `Efficacité actuelle : ${tornado.base.toFixed(1)}% · cliquez une barre pour la balayer` : 'Calcul...'}
+              </p>
+            </div>
+          </div>
+
+          <div className="flex items-center gap-2">
+            <div className="flex gap-1 p-1 bg-gray-50 rounded-lg text-sm">
+              <button
+                onClick={() => setMode('range')}
+                className={`px-3 py-1 rounded-md ${mode === 'range' ? 'bg-white shadow text-emerald-600' : 'text-gray-500'}`}
+              >
+                Min → max
+              </button>
+              <button
+                onClick={() => setMode('percent')}
+                className={`px-3 py-1 rounded-md ${mode === 'percent' ? 'bg-white shadow text-emerald-600' : 'text-gray-500'}`}
+              >
+                ± %
+              </button>
+            </div>
+            {mode === 'percent' && (
+              <select
+                value={percent}
+                onChange={(e) => setPercent(Number(e.target.value))}
+                className="px-2 py-1.5 text-sm bg-white border border-gray-200 rounded-lg"
+              >
+                {PERCENT_OPTIONS.map(option => <option key={option} value={option}>± {option} %</option>)}
+              </select>
+            )}
+            {tornado && <EngineBadge engine={tornado.engine} />}
+          </div>
+        </div>
+
+        {tornado ? (
+          <ResponsiveContainer width="100%" height={FEATURES_CONFIG.length * 40 + 60}>
+            <BarChart
+              data={tornado.rows}
+              layout="vertical"
+              barSize={18}
+              barGap={-18}
+              margin={{ top: 10, right: 30, left: 20, bottom: 10 }}
+              onClick={(state) => state?.activePayload && setSweepKey(state.activePayload[0].payload.key)}
+            >
+              <CartesianGrid strokeDasharray="3 3" stroke="#e5e7eb" horizontal={false} />
+              <XAxis
+                type="number"
+                tickFormatter={(v) => `${v > 0 ? '+' : ''}${v.toFixed(0)}`}
+                tick={{ fontSize: 11, fill: '#6b7280' }}
+                label={{ value: 'Écart d\'efficacité (pts)', position: 'insideBottom', offset: -5, fontSize: 11, fill: '#9ca3af' }}
+              />
+              <YAxis type="category" dataKey="label" width={90} tick={{ fontSize: 11, fill: '#374151' }} />
+              <Tooltip content={<TornadoTooltip />} cursor={{ fill: '#f3f4f6' }} />
+              <Legend verticalAlign="top" height={30} />
+              <ReferenceLine x={0} stroke="#6b7280" />
+              {/* Barres superposées sur la même ligne : chacune part de l'efficacité actuelle */}
+              <Bar dataKey="lowDelta" name="Valeur basse" fill="#3b82f6" fillOpacity={0.85} cursor="pointer" />
+              <Bar dataKey="highDelta" name="Valeur haute" fill="#f97316" fillOpacity={0.85} cursor="pointer" />
+            </BarChart>
+          </ResponsiveContainer>
+        ) : (
+          <div className="h-64 flex items-center justify-center gap-2 text-sm text-gray-400">
+            <RefreshCw size={16} className="animate-spin" />
+            Calcul de la sensibilité...
+          </div>
+        )}
+
+        {tornado && (
+          <div className="flex flex-wrap gap-2 mt-4">
+            {tornado.rows.map(row => (
+              <button
+                key={row.key}
+                onClick={() => setSweepKey(row.key)}
+                className={`px-3 py-1.5 text-xs font-medium rounded-full transition-colors ${
+                  sweepKey === row.key ? 'bg-emerald-500 text-white' : 'bg-gray-50 text-gray-600 hover:bg-gray-100'
+                }`}
+              >
+                {row.label} · {row.swing.toFixed(1)} pts
+              </button>
+            ))}
+          </div>
+        )}
+      </div>
+
+      {/* Balayage */}
+      {sweepConfig && (
+        <div className="bg-white/80 backdrop-blur-xl rounded-2xl shadow-xl shadow-emerald-100/50 p-6 border border-white/50">
+          <div className="flex items-center justify-between gap-3 mb-4">
+            <div className="flex items-center gap-3">
+              <div className={`p-2 bg-gradient-to-br ${sweepConfig.gradient} rounded-xl text-white`}>
+                <LineChartIcon size={20} />
+              </div>
+              <div>
+                <h3 className="font-bold text-gray-800">Balayage : {sweepConfig.label}</h3>
+                <p className="text-xs text-gray-400">
+                  De {sweepConfig.min} à {sweepConfig.max} {sweepConfig.unit}, autres paramètres fixés
+                </p>
+              </div>
+            </div>
+            {sweep?.key === sweepKey && <EngineBadge engine={sweep.engine} />}
+          </div>
+
+          {sweep?.key === sweepKey ? (
+            <ResponsiveContainer width="100%" height={280}>
+              <LineChart data={sweep.points} margin={{ top: 20, right: 30, left: 10, bottom: 10 }}>
+                <CartesianGrid strokeDasharray="3 3" stroke="#e5e7eb" />
+                <XAxis
+                  dataKey="value"
+                  type="number"
+                  domain={[sweepConfig.min, sweepConfig.max]}
+                  tick={{ fontSize: 11, fill: '#6b7280' }}
+                  tickLine={false}
+                />
+                <YAxis
+                  domain={['auto', 'auto']}
+                  tick={{ fontSize: 11, fill: '#6b7280' }}
+                  tickLine={false}
+                  axisLine={false}
+                  label={{ value: 'Efficacité (%)', angle: -90, position: 'insideLeft', fontSize: 11, fill: '#6b7280' }}
+                />
+                <Tooltip
+                  contentStyle={{ borderRadius: '12px', border: 'none', boxShadow: '0 10px 40px rgba(0,0,0,0.15)', padding: '12px' }}
+                  labelFormatter={(value) => `${sweepConfig.label} : ${formatValue(value)} ${sweepConfig.unit}`}
+                  formatter={(value) => [`${value}%`, 'Efficacité']}
+                />
+                <ReferenceLine
+                  x={inputs[sweepKey]}
+                  stroke="#ef4444"
+                  strokeDasharray="5 5"
+                  label={{ value: 'Actuel', position: 'top', fill: '#ef4444', fontSize: 11 }}
+                />
+                <Line type="monotone" dataKey="efficiency" stroke={sweepConfig.color} strokeWidth={3} dot={false} />
+              </LineChart>
+            </ResponsiveContainer>
+          ) : (
+            <div className="h-64 flex items-center justify-center gap-2 text-sm text-gray-400">
+              <RefreshCw size={16} className="animate-spin" />
+              Balayage en cours...
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,112 @@
+/**
+ * Green AI Solar - System Configuration Panel
+ * ===========================================
+ * Saisie du dimensionnement de l'installation (modules, onduleur, pertes, ensoleillement)
+ */
+
+import React, { useState } from 'react';
+import { motion, AnimatePresence } from 'framer-motion';
+import { Settings, ChevronRight, RotateCcw } from 'lucide-react';
+import {
+  SYSTEM_FIELDS, DEFAULT_SYSTEM_CONFIG, getArrayPeakPower, getSystemDerate, describeSystem
+} from '../services/system';
+
+export default function SystemConfigPanel({ system, onChange, sunHoursOverride = null }) {
+  const [isOpen, setIsOpen] = useState(false);
+
+  const updateField = (field, raw) => {
+    const value = parseFloat(raw);
+    if (!Number.isFinite(value) || value < 0) return;
+    onChange({ ...system, [field.key]: value });
+  };
+
+  // Saisie directe de la puissance crête : on en déduit le nombre de modules
+  const updatePeakPower = (raw) => {
+    const kWp = parseFloat(raw);
+    if (!Number.isFinite(kWp) || kWp <= 0 || system.modulePower <= 0) return;
+    onChange({ ...system, moduleCount: Math.max(1, Math.round((kWp * 1000) / system.modulePower)) });
+  };
+
+  return (
+    <div className="bg-white/60 backdrop-blur-sm rounded-2xl border border-gray-100 overflow-hidden">
+      <button
+        onClick={() => setIsOpen(!isOpen)}
+        className="w-full flex items-center justify-between p-4 hover:bg-gray-50/50 transition-colors"
+      >
+        <div className="flex items-center gap-3">
+          <div className="p-2 rounded-xl bg-gradient-to-br from-slate-400 to-gray-600 text-white">
+            <Settings size={16} />
+          </div>
+          <div className="text-left">
+            <div className="font-semibold text-gray-800">Configuration du système</div>
+            <div className="text-xs text-gray-500">
+              {describeSystem(system)} · {sunHoursOverride ?? system.sunHoursPerYear} h/an{sunHoursOverride !== null && ' (fichier météo)'} · rendement système {(getSystemDerate(system) * 100).toFixed(1)}%
+            </div>
+          </div>
+        </div>
+        <motion.div animate={{ rotate: isOpen ? 90 : 0 }} transition={{ duration: 0.2 }}>
+          <ChevronRight size={20} className="text-gray-400" />
+        </motion.div>
+      </button>
+
+      <AnimatePresence>
+        {isOpen && (
+          <motion.div
+            initial={{ height: 0, opacity: 0 }}
+            animate={{ height: 'auto', opacity: 1 }}
+            exit={{ height: 0, opacity: 0 }}
+            transition={{ duration: 0.3 }}
+            className="px-4 pb-4"
+          >
+            <div className="grid grid-cols-2 sm:grid-cols-4 lg:grid-cols-7 gap-3">
+              {SYSTEM_FIELDS.map(field => {
+                // L'ensoleillement d'un fichier météo chargé prime sur la saisie
+                const overridden = field.key === 'sunHoursPerYear' && sunHoursOverride !== null;
+                return (
+                  <label key={field.key} className="block" title={overridden ? 'Calculé à partir du fichier météo' : undefined}>
+                    <span className="text-xs text-gray-500">{field.label}</span>
+                    <div className="flex items-center mt-1 bg-gray-50 rounded-xl border border-gray-100 focus-within:border-emerald-300">
+                      <input
+                        type="number"
+                        min={field.min}
+                        max={field.max}
+                        step={field.step}
+                        value={overridden ? sunHoursOverride : system[field.key]}
+                        disabled={overridden}
+                        onChange={(e) => updateField(field, e.target.value)}
+                        className="w-full min-w-0 px-3 py-2 text-sm font-semibold text-gray-800 bg-transparent focus:outline-none disabled:text-sky-600"
+                      />
+                      {field.unit && <span className="pr-3 text-xs text-gray-400 whitespace-nowrap">{field.unit}</span>}
+                    </div>
+                  </label>
+                );
+              })}
+              <label className="block">
+                <span className="text-xs text-gray-500">Puissance crête</span>
+                <div className="flex items-center mt-1 bg-gray-50 rounded-xl border border-gray-100 focus-within:border-emerald-300">
+                  <input
+                    type="number"
+                    min={0}
+                    step={0.1}
+                    value={Math.round(getArrayPeakPower(system) * 100) / 100}
+                    onChange={(e) => updatePeakPower(e.target.value)}
+                    className="w-full min-w-0 px-3 py-2 text-sm font-semibold text-gray-800 bg-transparent focus:outline-none"
+                  />
+                  <span className="pr-3 text-xs text-gray-400">kWc</span>
+                </div>
+              </label>
+            </div>
+
+            <button
+              onClick={() => onChange(DEFAULT_SYSTEM_CONFIG)}
+              className="flex items-center gap-1.5 mt-3 text-xs text-gray-500 hover:text-gray-700"
+            >
+              <RotateCcw size={12} />
+              Valeurs par défaut
+            </button>
+          </motion.div>
+        )}
+      </AnimatePresence>
+    </div>
+  );
+}
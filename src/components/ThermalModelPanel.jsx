@@ -0,0 +1,112 @@
+/**
+ * Green AI Solar - Thermal Model Panel
+ * ====================================
+ * Choix du modèle de température des cellules et de ses coefficients
+ */
+
+import React, { useState } from 'react';
+import { motion, AnimatePresence } from 'framer-motion';
+import { Thermometer, ChevronRight, RotateCcw } from 'lucide-react';
+import { THERMAL_MODELS, THERMAL_FIELDS, DEFAULT_THERMAL_SETTINGS } from '../services/thermal';
+
+export default function ThermalModelPanel({ settings, onChange }) {
+  const [isOpen, setIsOpen] = useState(false);
+
+  const updateField = (field, raw) => {
+    const value = parseFloat(raw);
+    if (!Number.isFinite(value) || value < field.min || value > field.max) return;
+    onChange({ ...settings, [field.key]: value });
+  };
+
+  const model = THERMAL_MODELS[settings.model];
+
+  return (
+    <div className="bg-white/60 backdrop-blur-sm rounded-2xl border border-gray-100 overflow-hidden">
+      <button
+        onClick={() => setIsOpen(!isOpen)}
+        className="w-full flex items-center justify-between p-4 hover:bg-gray-50/50 transition-colors"
+      >
+        <div className="flex items-center gap-3">
+          <div className="p-2 rounded-xl bg-gradient-to-br from-red-400 to-rose-500 text-white">
+            <Thermometer size={16} />
+          </div>
+          <div className="text-left">
+            <div className="font-semibold text-gray-800">Température du module</div>
+            <div className="text-xs text-gray-500">
+              {settings.auto ? 'Calcul automatique' : 'Saisie manuelle'} · modèle {model.label}
+            </div>
+          </div>
+        </div>
+        <motion.div animate={{ rotate: isOpen ? 90 : 0 }} transition={{ duration: 0.2 }}>
+          <ChevronRight size={20} className="text-gray-400" />
+        </motion.div>
+      </button>
+
+      <AnimatePresence>
+        {isOpen && (
+          <motion.div
+            initial={{ height: 0, opacity: 0 }}
+            animate={{ height: 'auto', opacity: 1 }}
+            exit={{ height: 0, opacity: 0 }}
+            transition={{ duration: 0.3 }}
+            className="px-4 pb-4"
+          >
+            <label className="flex items-center gap-2 text-sm text-gray-700 mb-4">
+              <input
+                type="checkbox"
+                checked={settings.auto}
+                onChange={(e) => onChange({ ...settings, auto: e.target.checked })}
+                className="accent-emerald-500"
+              />
+              Déduire la température du module de la température ambiante, de l'irradiance et du vent
+            </label>
+
+            <div className="flex flex-wrap items-end gap-3">
+              <label className="block">
+                <span className="text-xs text-gray-500">Modèle</span>
+                <select
+                  value={settings.model}
+                  onChange={(e) => onChange({ ...settings, model: e.target.value })}
+                  className="block mt-1 px-3 py-2 text-sm font-semibold text-gray-800 bg-gray-50 rounded-xl border border-gray-100 focus:outline-none focus:border-emerald-300"
+                >
+                  {Object.entries(THERMAL_MODELS).map(([key, entry]) => (
+                    <option key={key} value={key}>{entry.label}</option>
+                  ))}
+                </select>
+              </label>
+              {THERMAL_FIELDS[settings.model].map(field => (
+                <label key={field.key} className="block w-36">
+                  <span className="text-xs text-gray-500">{field.label}</span>
+                  <div className="flex items-center mt-1 bg-gray-50 rounded-xl border border-gray-100 focus-within:border-emerald-300">
+                    <input
+                      type="number"
+                      min={field.min}
+                      max={field.max}
+                      step={field.step}
+                      value={settings[field.key]}
+                      onChange={(e) => updateField(field, e.target.value)}
+                      className="w-full min-w-0 px-3 py-2 text-sm font-semibold text-gray-800 bg-transparent focus:outline-none"
+                    />
+                    <span className="pr-3 text-xs text-gray-400 whitespace-nowrap">{field.unit}</span>
+                  </div>
+                </label>
+              ))}
+              <button
+                onClick={() => onChange({ ...DEFAULT_THERMAL_SETTINGS, auto: settings.auto })}
+                className="flex items-center gap-1.5 mb-2.5 text-xs text-gray-500 hover:text-gray-700"
+              >
+                <RotateCcw size={12} />
+                Coefficients par défaut
+              </button>
+            </div>
+
+            <p className="text-xs text-gray-400 mt-3 font-mono">{model.description}</p>
+            <p className="text-xs text-gray-400 mt-1">
+              Irradiance G dans le plan des modules. Ces coefficients servent aussi aux fichiers météo et aux profils climatiques.
+            </p>
+          </motion.div>
+        )}
+      </AnimatePresence>
+    </div>
+  );
+}
@@ -0,0 +1,201 @@
+/**
+ * Green AI Solar - Input Uncertainty Panel
+ * ========================================
+ * Distribution d'incertitude de chaque entrée et résumé de la propagation Monte Carlo
+ */
+
+import React, { useState } from 'react';
+import { motion, AnimatePresence } from 'framer-motion';
+import { Sigma, ChevronRight, RefreshCw, RotateCcw } from 'lucide-react';
+import { ALL_FEATURES } from '../config/features';
+import {
+  UNCERTAINTY_MODES, DEFAULT_SAMPLES, MAX_SAMPLES, MAX_API_SAMPLES, DEFAULT_UNCERTAINTY,
+  getDistribution, getUncertainKeys
+} from '../services/uncertainty';
+import EngineBadge from './EngineBadge';
+
+const formatValue = (value, step) => (step < 1 ? value.toFixed(2) : Math.round(value));
+
+const NumberField = ({ value, min, max, step, unit, onChange }) => (
+  <div className="flex items-center w-28 bg-gray-50 rounded-lg border border-gray-100 focus-within:border-emerald-300">
+    <input
+      type="number"
+      min={min}
+      max={max}
+      step={step}
+      value={value}
+      onChange={(e) => {
+        const parsed = parseFloat(e.target.value);
+        if (Number.isFinite(parsed) && parsed >= min && parsed <= max) onChange(parsed);
+      }}
+      className="w-full min-w-0 px-2 py-1 text-xs font-semibold text-gray-800 bg-transparent focus:outline-none"
+    />
+    {unit && <span className="pr-2 text-[10px] text-gray-400 whitespace-nowrap">{unit}</span>}
+  </div>
+);
+
+export default function UncertaintyPanel({
+  uncertainty, onChange, inputs, monteCarlo, isSampling, apiStatus, predictionEngine
+}) {
+  const [isOpen, setIsOpen] = useState(false);
+  const uncertainKeys = getUncertainKeys(uncertainty);
+  const useApi = apiStatus === 'connected';
+  const defaultSamples = useApi ? DEFAULT_SAMPLES.api : DEFAULT_SAMPLES.local;
+  const maxSamples = useApi ? MAX_API_SAMPLES : MAX_SAMPLES;
+  // Tirages et prédiction de moteurs différents : les plages ne sont pas affichées
+  const isMismatched = monteCarlo && predictionEngine && monteCarlo.engine !== predictionEngine;
+
+  const updateInput = (key, patch) => {
+    onChange({
+      ...uncertainty,
+      inputs: {
+        ...uncertainty.inputs,
+        [key]: { ...getDistribution(uncertainty, key, inputs[key]), ...patch },
+      },
+    });
+  };
+
+  const updateSamples = (raw) => {
+    const value = parseInt(raw, 10);
+    if (raw === '') onChange({ ...uncertainty, samples: null });
+    else if (Number.isFinite(value) && value >= 10 && value <= MAX_SAMPLES) onChange({ ...uncertainty, samples: value });
+  };
+
+  return (
+    <div className="bg-white/60 backdrop-blur-sm rounded-2xl border border-gray-100 overflow-hidden">
+      <button
+        onClick={() => setIsOpen(!isOpen)}
+        className="w-full flex items-center justify-between p-4 hover:bg-gray-50/50 transition-colors"
+      >
+        <div className="flex items-center gap-3">
+          <div className="p-2 rounded-xl bg-gradient-to-br from-fuchsia-400 to-purple-500 text-white">
+            <Sigma size={16} />
+          </div>
+          <div className="text-left">
+            <div className="font-semibold text-gray-800">Incertitude des mesures</div>
+            <div className="text-xs text-gray-500">
+              {uncertainKeys.length > 0
+                ? `${uncertainKeys.length} entrée${uncertainKeys.length > 1 ? 's' : ''} incertaine${uncertainKeys.length > 1 ? 's' : ''} · Monte Carlo`
+                : 'Valeurs exactes : aucune plage P10–P90'}
+            </div>
+          </div>
+        </div>
+        <motion.div animate={{ rotate: isOpen ? 90 : 0 }} transition={{ duration: 0.2 }}>
+          <ChevronRight size={20} className="text-gray-400" />
+        </motion.div>
+      </button>
+
+      <AnimatePresence>
+        {isOpen && (
+          <motion.div
+            initial={{ height: 0, opacity: 0 }}
+            animate={{ height: 'auto', opacity: 1 }}
+            exit={{ height: 0, opacity: 0 }}
+            transition={{ duration: 0.3 }}
+            className="px-4 pb-4"
+          >
+            <div className="space-y-1.5">
+              {ALL_FEATURES.map(config => {
+                const distribution = getDistribution(uncertainty, config.key, inputs[config.key]);
+                const span = config.max - config.min;
+                return (
+                  <div key={config.key} className="flex flex-wrap items-center gap-2 text-sm">
+                    <span className="w-32 text-gray-700">{config.shortLabel}</span>
+                    <select
+                      value={distribution.mode}
+                      onChange={(e) => updateInput(config.key, { mode: e.target.value })}
+                      className="px-2 py-1 text-xs bg-gray-50 rounded-lg border border-gray-100 focus:outline-none focus:border-emerald-300"
+                    >
+                      {Object.entries(UNCERTAINTY_MODES).map(([mode, label]) => (
+                        <option key={mode} value={mode}>{label}</option>
+                      ))}
+                    </select>
+                    {distribution.mode === 'sigma' && (
+                      <>
+                        <span className="text-xs text-gray-400">σ</span>
+                        <NumberField
+                          value={distribution.sigma}
+                          min={0}
+                          max={span}
+                          step={config.step}
+                          unit={config.unit}
+                          onChange={(sigma) => updateInput(config.key, { sigma })}
+                        />
+                        <span className="text-xs text-gray-400">
+                          autour de {formatValue(inputs[config.key], config.step)}
+                        </span>
+                      </>
+                    )}
+                    {distribution.mode === 'range' && (
+                      <>
+                        <NumberField
+                          value={distribution.min}
+                          min={config.min}
+                          max={config.max}
+                          step={config.step}
+                          unit={config.unit}
+                          onChange={(min) => updateInput(config.key, { min })}
+                        />
+                        <span className="text-xs text-gray-400">à</span>
+                        <NumberField
+                          value={distribution.max}
+                          min={config.min}
+                          max={config.max}
+                          step={config.step}
+                          unit={config.unit}
+                          onChange={(max) => updateInput(config.key, { max })}
+                        />
+                      </>
+                    )}
+                  </div>
+                );
+              })}
+            </div>
+
+            <div className="flex flex-wrap items-center gap-3 mt-4 pt-3 border-t border-gray-100">
+              <label className="flex items-center gap-2 text-xs text-gray-500">
+                Tirages
+                <input
+                  type="number"
+                  min={10}
+                  max={maxSamples}
+                  step={10}
+                  value={uncertainty.samples ?? ''}
+                  placeholder={String(defaultSamples)}
+                  onChange={(e) => updateSamples(e.target.value)}
+                  className="w-20 px-2 py-1 text-xs font-semibold text-gray-800 bg-gray-50 rounded-lg border border-gray-100 focus:outline-none focus:border-emerald-300"
+                />
+              </label>
+              {uncertainKeys.length > 0 && (
+                <button
+                  onClick={() => onChange({ ...DEFAULT_UNCERTAINTY, samples: uncertainty.samples })}
+                  className="flex items-center gap-1.5 text-xs text-gray-500 hover:text-gray-700"
+                >
+                  <RotateCcw size={12} />
+                  Tout remettre à zéro
+                </button>
+              )}
+              <div className="flex items-center gap-2 ml-auto">
+                {isSampling && <RefreshCw size={14} className="animate-spin text-gray-400" />}
+                {monteCarlo && <EngineBadge engine={monteCarlo.engine} />}
+              </div>
+            </div>
+
+            {isMismatched && (
+              <p className="text-xs text-amber-600 mt-2">
+                Les tirages ne viennent pas du moteur de la prédiction affichée : plages masquées
+                jusqu'au prochain calcul.
+              </p>
+            )}
+
+            <p className="text-xs text-gray-400 mt-2">
+              Chaque tirage évalue la courbe complète sur 35 ans (36 prédictions) avec le moteur actif
+              ({MAX_API_SAMPLES} tirages au plus avec l'API) : les plages P10–P90 s'affichent sur la
+              jauge, la courbe d'évolution, la durée de vie et la production.
+            </p>
+          </motion.div>
+        )}
+      </AnimatePresence>
+    </div>
+  );
+}
@@ -0,0 +1,224 @@
+/**
+ * Green AI Solar - Weather Year Simulation
+ * ========================================
+ * Import d'un fichier météo (EPW, TMY3), production mensuelle et calendrier
+ * de production journalière sur une année type
+ */
+
+import React, { useState, useEffect } from 'react';
+import { CloudSun, Upload, X, RefreshCw, Zap, Sun, Gauge, AlertCircle } from 'lucide-react';
+import {
+  ComposedChart, Bar, Line, XAxis, YAxis, Tooltip, ResponsiveContainer, CartesianGrid, Legend
+} from 'recharts';
+import { parseWeatherFile, simulateWeatherYear, MONTH_LABELS } from '../services/weather';
+import EngineBadge from './EngineBadge';
+
+const DAYS_IN_MONTH = [31, 28, 31, 30, 31, 30, 31, 31, 30, 31, 30, 31];
+const CELL = 16;
+const LABEL_WIDTH = 44;
+
+// Du jaune pâle (journée faible) à l'orange foncé (meilleure journée de l'année)
+const energyColor = (ratio) => {
+  const stops = [[254, 243, 199], [245, 158, 11], [180, 83, 9]];
+  const scaled = Math.min(1, Math.max(0, ratio)) * (stops.length - 1);
+  const i = Math.min(stops.length - 2, Math.floor(scaled));
+  const t = scaled - i;
+  const [r, g, b] = stops[i].map((c, k) => Math.round(c + (stops[i + 1][k] - c) * t));
+  return `rgb(${r}, ${g}, ${b})`;
+};
+
+const HeatCalendar = ({ daily }) => {
+  const maxEnergy = Math.max(...Object.values(daily), 0.001);
+
+  return (
+    <div className="overflow-x-auto">
+      <svg width={LABEL_WIDTH + 31 * CELL} height={12 * CELL + 20} className="block">
+        {Array.from({ length: 31 }, (_, d) => (d + 1) % 5 === 0 || d === 0 ? (
+          <text key={d} x={LABEL_WIDTH + d * CELL + CELL / 2} y={12} textAnchor="middle" fontSize={9} fill="#9ca3af">{d + 1}</text>
+        ) : null)}
+        {MONTH_LABELS.map((label, m) => (
+          <g key={label} transform={`translate(0, ${20 + m * CELL})`}>
+            <text x={0} y={CELL - 4} fontSize={10} fill="#6b7280">{label}</text>
+            {Array.from({ length: DAYS_IN_MONTH[m] }, (_, d) => {
+              const energy = daily[`${m + 1}-${d + 1}`] || 0;
+              return (
+                <rect
+                  key={d}
+                  x={LABEL_WIDTH + d * CELL + 1}
+                  y={1}
+                  width={CELL - 2}
+                  height={CELL - 2}
+                  rx={3}
+                  fill={energy > 0 ? energyColor(energy / maxEnergy) : '#f3f4f6'}
+                >
+                  <title>{`${d + 1} ${label} : ${energy.toFixed(1)} kWh`}</title>
+                </rect>
+              );
+            })}
+          </g>
+        ))}
+      </svg>
+    </div>
+  );
+};
+
+export default function WeatherSimulation({ weather, hours, onLoad, onClear, apiStatus, system }) {
+  const [simulation, setSimulation] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (!hours || apiStatus === 'checking') return;
+
+    let cancelled = false;
+    const useApi = apiStatus === 'connected';
+    setSimulation(null);
+
+    const timer = setTimeout(async () => {
+      const result = await simulateWeatherYear(hours, { useApi, system });
+      if (!cancelled) setSimulation(result);
+    }, useApi ? 400 : 0);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [hours, apiStatus, system]);
+
+  const handleFile = async (event) => {
+    const selected = event.target.files?.[0];
+    event.target.value = '';
+    if (!selected) return;
+
+    setError(null);
+    try {
+      const text = await selected.text();
+      onLoad({ filename: selected.name, ...parseWeatherFile(selected.name, text) });
+    } catch (err) {
+      setError(`Fichier météo illisible : ${err.message}`);
+    }
+  };
+
+  return (
+    <div className="bg-white/80 backdrop-blur-xl rounded-2xl shadow-xl shadow-emerald-100/50 p-6 border border-white/50">
+      <div className="flex flex-wrap items-center justify-between gap-3 mb-4">
+        <div className="flex items-center gap-3">
+          <div className="p-2 bg-gradient-to-br from-sky-400 to-blue-500 rounded-xl text-white">
+            <CloudSun size={20} />
+          </div>
+          <div>
+            <h3 className="font-bold text-gray-800">Année météo type</h3>
+            <p className="text-xs text-gray-400">
+              {weather
+                ? `${weather.site.name || weather.filename} · ${weather.format.toUpperCase()} · ${weather.records.length} heures`
+                : 'Simulation heure par heure à partir d\'un fichier EPW ou TMY3'}
+            </p>
+          </div>
+        </div>
+        <div className="flex items-center gap-2">
+          {simulation && <EngineBadge engine={simulation.engine} />}
+          <label className="flex items-center gap-1.5 px-3 py-1.5 text-sm font-medium text-sky-700 bg-sky-50 hover:bg-sky-100 rounded-lg cursor-pointer">
+            <Upload size={14} />
+            {weather ? 'Changer' : 'Importer'}
+            <input type="file" accept=".epw,.csv,text/csv" onChange={handleFile} className="hidden" />
+          </label>
+          {weather && (
+            <button
+              onClick={onClear}
+              className="p-1.5 text-gray-400 hover:text-red-500"
+              title="Retirer le fichier météo"
+            >
+              <X size={16} />
+            </button>
+          )}
+        </div>
+      </div>
+
+      {error && (
+        <div className="flex items-center gap-2 p-3 mb-4 bg-red-50 rounded-xl text-sm text-red-600">
+          <AlertCircle size={16} />
+          {error}
+        </div>
+      )}
+
+      {!weather && (
+        <p className="text-sm text-gray-500">
+          Chargez l'année météo type de votre site : chaque heure est évaluée avec sa température, son humidité,
+          sa nébulosité, son vent et son irradiance dans le plan des modules. L'ensoleillement annuel du fichier
+          remplace alors celui de la configuration du système.
+        </p>
+      )}
+
+      {weather && !simulation && (
+        <div className="h-[300px] flex items-center justify-center gap-2 text-sm text-gray-400">
+          <RefreshCw size={16} className="animate-spin" />
+          Simulation des {hours.filter(h => h.poa > 0).length} heures ensoleillées...
+        </div>
+      )}
+
+      {weather && simulation && (
+        <>
+          <div className="grid grid-cols-3 gap-4 mb-6">
+            <div className="bg-gradient-to-br from-amber-50 to-yellow-50 rounded-xl p-4">
+              <div className="flex items-center gap-2 mb-2">
+                <Zap size={18} className="text-amber-600" />
+                <span className="text-xs text-gray-500">Production annuelle</span>
+              </div>
+              <div className="text-2xl font-bold text-amber-600">{simulation.annualEnergy.toLocaleString('fr-FR')} kWh</div>
+            </div>
+            <div className="bg-gradient-to-br from-sky-50 to-blue-50 rounded-xl p-4">
+              <div className="flex items-center gap-2 mb-2">
+                <Sun size={18} className="text-sky-600" />
+                <span className="text-xs text-gray-500">Irradiation dans le plan</span>
+              </div>
+              <div className="text-2xl font-bold text-sky-600">{Math.round(simulation.annualInsolation).toLocaleString('fr-FR')} kWh/m²</div>
+              <div className="text-xs text-gray-400 mt-1">soit {Math.round(simulation.annualInsolation)} h équivalentes</div>
+            </div>
+            <div className="bg-gradient-to-br from-emerald-50 to-teal-50 rounded-xl p-4">
+              <div className="flex items-center gap-2 mb-2">
+                <Gauge size={18} className="text-emerald-600" />
+                <span className="text-xs text-gray-500">Efficacité moyenne</span>
+              </div>
+              <div className="text-2xl font-bold text-emerald-600">{simulation.efficiency.toFixed(1)}%</div>
+              <div className="text-xs text-gray-400 mt-1">pondérée par l'irradiation</div>
+            </div>
+          </div>
+
+          <ResponsiveContainer width="100%" height={280}>
+            <ComposedChart data={simulation.monthly} margin={{ top: 10, right: 30, left: 10, bottom: 10 }}>
+              <CartesianGrid strokeDasharray="3 3" stroke="#e5e7eb" vertical={false} />
+              <XAxis dataKey="label" tick={{ fontSize: 11, fill: '#6b7280' }} tickLine={false} />
+              <YAxis
+                yAxisId="energy"
+                tick={{ fontSize: 11, fill: '#6b7280' }}
+                tickLine={false}
+                axisLine={false}
+                label={{ value: 'kWh', angle: -90, position: 'insideLeft', fontSize: 11, fill: '#6b7280' }}
+              />
+              <YAxis
+                yAxisId="efficiency"
+                orientation="right"
+                domain={['auto', 'auto']}
+                tick={{ fontSize: 11, fill: '#6b7280' }}
+                tickLine={false}
+                axisLine={false}
+                tickFormatter={(v) => `${v}%`}
+              />
+              <Tooltip
+                contentStyle={{ borderRadius: '12px', border: 'none', boxShadow: '0 10px 40px rgba(0,0,0,0.15)', padding: '12px' }}
+                formatter={(value, name) => [name === 'Efficacité' ? `${value}%` : `${value} kWh`, name]}
+              />
+              <Legend verticalAlign="top" height={30} />
+              <Bar yAxisId="energy" dataKey="energy" name="Production" fill="#f59e0b" radius={[4, 4, 0, 0]} />
+              <Line yAxisId="efficiency" type="monotone" dataKey="efficiency" name="Efficacité" stroke="#10b981" strokeWidth={2} />
+            </ComposedChart>
+          </ResponsiveContainer>
+
+          <div className="mt-6">
+            <div className="text-sm font-semibold text-gray-700 mb-2">Production journalière</div>
+            <HeatCalendar daily={simulation.daily} />
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,220 @@
+/**
+ * Green AI Solar - Features Configuration
+ * =======================================
+ * Variables d'entrée du modèle : bornes, valeurs par défaut et présentation
+ */
+
+import {
+  Sun, Zap, Wind, Thermometer, Droplets, Cloud, Gauge, Sparkles,
+  Plug, Activity, CircleGauge, Wrench
+} from 'lucide-react';
+
+// ============================================
+// Configuration des Features
+// ============================================
+
+export const FEATURES_CONFIG = [
+  {
+    key: 'irradiance',
+    shortLabel: 'Irradiance',
+    label: 'Irradiance solaire',
+    unit: 'W/m²',
+    min: 0,
+    max: 1200,
+    step: 10,
+    default: 500,
+    icon: Sun,
+    gradient: 'from-amber-400 to-orange-500',
+    description: 'Puissance du rayonnement solaire',
+    color: '#f59e0b'
+  },
+  {
+    key: 'soiling_ratio',
+    shortLabel: 'Propreté',
+    label: 'Ratio de propreté',
+    unit: '',
+    min: 0.3,
+    max: 1,
+    step: 0.01,
+    default: 0.7,
+    icon: Sparkles,
+    gradient: 'from-emerald-400 to-green-500',
+    description: '1 = parfaitement propre',
+    color: '#22c55e'
+  },
+  {
+    key: 'panel_age',
+    shortLabel: 'Âge panneau',
+    label: 'Âge du panneau',
+    unit: 'ans',
+    min: 0,
+    max: 35,
+    step: 1,
+    default: 10,
+    icon: Gauge,
+    gradient: 'from-blue-400 to-indigo-500',
+    description: 'Années depuis l\'installation',
+    color: '#3b82f6'
+  },
+  {
+    key: 'temperature',
+    shortLabel: 'Température',
+    label: 'Température ambiante',
+    unit: '°C',
+    min: -10,
+    max: 50,
+    step: 1,
+    default: 25,
+    icon: Thermometer,
+    gradient: 'from-red-400 to-rose-500',
+    description: 'Température de l\'air extérieur',
+    color: '#ef4444'
+  },
+  {
+    key: 'humidity',
+    shortLabel: 'Humidité',
+    label: 'Humidité',
+    unit: '%',
+    min: 0,
+    max: 100,
+    step: 1,
+    default: 50,
+    icon: Droplets,
+    gradient: 'from-cyan-400 to-blue-500',
+    description: 'Humidité relative de l\'air',
+    color: '#06b6d4'
+  },
+  {
+    key: 'cloud_coverage',
+    shortLabel: 'Nuages',
+    label: 'Couverture nuageuse',
+    unit: '%',
+    min: 0,
+    max: 100,
+    step: 1,
+    default: 30,
+    icon: Cloud,
+    gradient: 'from-gray-400 to-slate-500',
+    description: 'Pourcentage du ciel couvert',
+    color: '#64748b'
+  },
+  {
+    key: 'module_temperature',
+    shortLabel: 'Temp. module',
+    label: 'Température module',
+    unit: '°C',
+    min: 0,
+    max: 65,
+    step: 1,
+    default: 35,
+    icon: Zap,
+    gradient: 'from-purple-400 to-violet-500',
+    description: 'Température du panneau',
+    color: '#8b5cf6'
+  },
+  {
+    key: 'wind_speed',
+    shortLabel: 'Vent',
+    label: 'Vitesse du vent',
+    unit: 'm/s',
+    min: 0,
+    max: 15,
+    step: 0.5,
+    default: 7,
+    icon: Wind,
+    gradient: 'from-teal-400 to-cyan-500',
+    description: 'Refroidissement du panneau',
+    color: '#14b8a6'
+  },
+];
+
+// Variables également attendues par /predict, regroupées dans les paramètres avancés
+export const ADDITIONAL_FEATURES = [
+  {
+    key: 'voltage',
+    shortLabel: 'Tension',
+    label: 'Tension du module',
+    unit: 'V',
+    min: 0,
+    max: 60,
+    step: 0.5,
+    default: 30,
+    icon: Plug,
+    gradient: 'from-yellow-400 to-amber-500',
+    description: 'Tension mesurée aux bornes du module',
+    color: '#eab308'
+  },
+  {
+    key: 'current',
+    shortLabel: 'Courant',
+    label: 'Courant du module',
+    unit: 'A',
+    min: 0,
+    max: 15,
+    step: 0.1,
+    default: 2,
+    icon: Activity,
+    gradient: 'from-orange-400 to-red-500',
+    description: 'Courant débité, proportionnel à l\'irradiance',
+    color: '#f97316'
+  },
+  {
+    key: 'pressure',
+    shortLabel: 'Pression',
+    label: 'Pression atmosphérique',
+    unit: 'hPa',
+    min: 800,
+    max: 1100,
+    step: 1,
+    default: 1013,
+    icon: CircleGauge,
+    gradient: 'from-sky-400 to-indigo-500',
+    description: 'Pression de l\'air au niveau du site',
+    color: '#6366f1'
+  },
+  {
+    key: 'maintenance_count',
+    shortLabel: 'Maintenances',
+    label: 'Nombre de maintenances',
+    unit: '',
+    min: 0,
+    max: 10,
+    step: 1,
+    default: 3,
+    icon: Wrench,
+    gradient: 'from-stone-400 to-gray-500',
+    description: 'Interventions depuis l\'installation',
+    color: '#78716c'
+  },
+];
+
+export const ALL_FEATURES = [...FEATURES_CONFIG, ...ADDITIONAL_FEATURES];
+
+/**
+ * Paramètres avancés dont la valeur diffère de la valeur par défaut
+ */
+export const getModifiedAdditionalFeatures = (inputs) =>
+  ADDITIONAL_FEATURES.filter(feature => inputs[feature.key] !== undefined && inputs[feature.key] !== feature.default);
+
+/**
+ * Vecteur d'entrée complet (sliders + variables additionnelles) aux valeurs par défaut
+ */
+export const getDefaultInputs = () => {
+  const initial = {};
+  FEATURES_CONFIG.forEach(f => initial[f.key] = f.default);
+  ADDITIONAL_FEATURES.forEach(f => initial[f.key] = f.default);
+  return initial;
+};
+
+/**
+ * Seuils de qualité (efficacité en %) : mêmes bornes que EfficiencyGauge
+ */
+export const EFFICIENCY_BANDS = [
+  { min: 0, label: 'Faible', color: '#ef4444' },
+  { min: 30, label: 'Modérée', color: '#f59e0b' },
+  { min: 50, label: 'Bonne', color: '#22c55e' },
+  { min: 70, label: 'Excellente', color: '#10b981' },
+];
+
+export const getEfficiencyBand = (percent) =>
+  [...EFFICIENCY_BANDS].reverse().find(band => percent >= band.min) || EFFICIENCY_BANDS[0];
@@ -5,108 +5,239 @@
  */
 
 import axios from 'axios';
+import { predictWithTreeModelInWorker } from './treeModelWorker';
+import { predictLocally } from './localEngine';
+import { loadActiveProfile, getAuthHeaders } from './backends';
+import { ApiError, toApiError, isApiError, isUnreachable } from './apiErrors';
+import { validateResponse } from './apiSchemas';
 
+// Moteurs locaux : réexportés pour les modules qui passent par le service API
+export { simulateLocally, getEngine, summarizeEngines } from './localEngine';
 
-const RENDER_API_URL = 'https://green-ai-solar-backend.onrender.com';
 
-// En production (GitHub Pages) → utiliser Render
-// En développement → utiliser localhost
-const API_BASE_URL = import.meta.env.PROD 
-  ? RENDER_API_URL
-  : 'http://localhost:8000';
-
-console.log('🔗 API URL:', API_BASE_URL);
-console.log('📍 Environment:', import.meta.env.PROD ? 'Production' : 'Development');
+// Profil de backend actif (URL, délai, authentification) : voir services/backends
+let backend = loadActiveProfile();
 
 const api = axios.create({
-  baseURL: API_BASE_URL,
-  timeout: 30000, // 30 secondes (Render free tier peut être lent au réveil)
+  baseURL: backend.url,
+  timeout: backend.timeout,
   headers: {
     'Content-Type': 'application/json',
+    ...getAuthHeaders(backend),
   },
 });
 
-// Intercepteur pour gérer les erreurs
+// Abonnés prévenus quand une requête reste sans réponse (serveur injoignable)
+const networkErrorListeners = new Set();
+
+export const onNetworkError = (listener) => {
+  networkErrorListeners.add(listener);
+  return () => networkErrorListeners.delete(listener);
+};
+
+// Intercepteur : toute erreur devient une ApiError typée (voir services/apiErrors)
 api.interceptors.response.use(
   (response) => response,
   (error) => {
-    console.error('API Error:', error);
-    if (error.response) {
-      throw new Error(error.response.data.detail || 'Erreur serveur');
-    } else if (error.request) {
-      throw new Error('Le serveur ne répond pas. Il se réveille peut-être (30s max)...');
+    const apiError = toApiError(error);
+    // Serveur injoignable : déjà suivi par le gestionnaire de connexion, pas de journal à chaque sondage
+    if (isUnreachable(apiError)) {
+      networkErrorListeners.forEach(listener => listener(apiError));
     } else {
-      throw new Error('Erreur de configuration de la requête');
+      console.error('API Error:', error);
     }
+    throw apiError;
   }
 );
 
+// ============================================
+// Cache et traitement par lots
+// ============================================
+
+const PREDICTION_CACHE_SIZE = 2000;
+const BATCH_CONCURRENCY = 6;
+
+// Résultats de l'API indexés par hash des entrées (les résultats simulés ne sont jamais mis en cache)
+const predictionCache = new Map();
+
+// null = inconnu, false = le backend n'expose pas /predict/batch (ou ne respecte pas son contrat)
+let batchEndpointAvailable = null;
+// Après une erreur serveur sur /predict/batch : pas de nouvel essai avant cette date (ms)
+const BATCH_RETRY_DELAY = 60000;
+let batchRetryAt = 0;
+
+/**
+ * Clé de cache stable : indépendante de l'ordre des clés de l'objet
+ */
+export const hashInputs = (inputs) =>
+  JSON.stringify(Object.keys(inputs).sort().map(key => [key, inputs[key]]));
+
+const cachePrediction = (inputs, result) => {
+  if (predictionCache.size >= PREDICTION_CACHE_SIZE) {
+    predictionCache.delete(predictionCache.keys().next().value);
+  }
+  predictionCache.set(hashInputs(inputs), result);
+};
+
+/**
+ * Change de backend : les résultats en cache et la détection de /predict/batch
+ * concernaient l'ancien serveur
+ */
+export const applyBackendProfile = (profile) => {
+  if (import.meta.env.DEV) console.log('🔗 API URL:', profile.url, `(${profile.name})`);
+  Object.keys(getAuthHeaders(backend)).forEach(name => {
+    delete api.defaults.headers[name];
+  });
+  backend = profile;
+  api.defaults.baseURL = profile.url;
+  api.defaults.timeout = profile.timeout;
+  Object.assign(api.defaults.headers, getAuthHeaders(profile));
+  predictionCache.clear();
+  batchEndpointAvailable = null;
+  batchRetryAt = 0;
+};
+
+export const getBackendProfile = () => backend;
+
+/**
+ * Exécute fn sur chaque élément avec au plus `limit` appels simultanés
+ */
+export const mapWithConcurrency = async (items, limit, fn) => {
+  const results = new Array(items.length);
+  let next = 0;
+
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return results;
+};
+
 /**
  * Service API Solar
  */
 export const solarApi = {
   predict: async (data) => {
     const response = await api.post('/predict', data);
-    return response.data;
+    return validateResponse('/predict', response.data);
+  },
+
+  /**
+   * Prédit une liste d'entrées en une fois.
+   * Utilise /predict/batch si le backend l'expose, sinon une requête /predict
+   * par entrée (concurrence limitée). Une entrée en échec retombe sur la simulation locale.
+   */
+  predictBatch: async (inputsList, { concurrency = BATCH_CONCURRENCY } = {}) => {
+    const results = inputsList.map(inputs => predictionCache.get(hashInputs(inputs)));
+    const missing = [];
+    results.forEach((result, index) => {
+      if (!result) missing.push(index);
+    });
+    if (missing.length === 0) return results;
+
+    if (batchEndpointAvailable !== false && Date.now() >= batchRetryAt) {
+      try {
+        const response = await api.post('/predict/batch', {
+          inputs: missing.map(index => inputsList[index]),
+        });
+        const { predictions } = validateResponse('/predict/batch', response.data);
+        if (predictions.length !== missing.length) {
+          throw new ApiError('schema', 'Réponse /predict/batch invalide : nombre de prédictions incorrect', {
+            endpoint: '/predict/batch',
+          });
+        }
+        batchEndpointAvailable = true;
+        missing.forEach((index, i) => {
+          results[index] = predictions[i];
+          cachePrediction(inputsList[index], predictions[i]);
+        });
+        return results;
+      } catch (err) {
+        if (err.status === 404 || err.status === 405 || isApiError(err, 'schema')) {
+          batchEndpointAvailable = false;
+        } else if (isApiError(err, 'server')) {
+          // Erreur HTTP (5xx...) : l'endpoint existe mais échoue, requêtes unitaires le temps qu'il se rétablisse
+          batchRetryAt = Date.now() + BATCH_RETRY_DELAY;
+        } else if (isUnreachable(err)) {
+          // Serveur injoignable : inutile de relancer une requête par entrée
+          missing.forEach(index => {
+            results[index] = predictOffline(inputsList[index]);
+          });
+          return results;
+        }
+      }
+    }
+
+    await mapWithConcurrency(missing, concurrency, async (index) => {
+      const inputs = inputsList[index];
+      try {
+        const result = await solarApi.predict(inputs);
+        cachePrediction(inputs, result);
+        results[index] = result;
+      } catch {
+        results[index] = predictOffline(inputs);
+      }
+    });
+    return results;
   },
 
   getFeatureImportance: async () => {
     const response = await api.get('/feature-importance');
-    return response.data;
+    return validateResponse('/feature-importance', response.data);
   },
 
   getModelInfo: async () => {
     const response = await api.get('/model-info');
-    return response.data;
+    return validateResponse('/model-info', response.data);
   },
 
   healthCheck: async () => {
     const response = await api.get('/health');
-    return response.data;
+    return validateResponse('/health', response.data);
   },
 };
 
+// ============================================
+// Moteur hors ligne
+// ============================================
+
+// Au-delà, l'inférence du modèle exporté passe par un Web Worker
+const WORKER_MIN_BATCH = 200;
+
+// Modèle GradientBoosting exporté chargé dans le navigateur ; null = simulation heuristique
+let localModel = null;
+
+export const setLocalModel = (model) => {
+  localModel = model;
+};
+
+export const getLocalModel = () => localModel;
+
 /**
- * Simulation locale (fallback si le backend n'est pas disponible)
+ * Prédiction sans le backend : modèle exporté s'il est chargé, sinon simulation
  */
-export const simulateLocally = {
-  predict: (inputs) => {
-    let efficiency = 0.3;
-    
-    // Irradiance (67% d'importance)
-    efficiency += (inputs.irradiance / 1000) * 0.35;
-    
-    // Soiling ratio (23% d'importance)
-    efficiency += inputs.soiling_ratio * 0.15;
-    
-    // Panel age (8% d'importance) - effet négatif
-    efficiency -= (inputs.panel_age / 35) * 0.08;
-    
-    // Effets mineurs
-    if (inputs.temperature > 25) {
-      efficiency -= ((inputs.temperature - 25) / 100) * 0.03;
+export const predictOffline = (inputs) => predictLocally(localModel, inputs);
+
+/**
+ * Prédit une liste d'entrées avec le moteur actif
+ */
+export const predictMany = async (inputsList, { useApi }) => {
+  if (useApi) return solarApi.predictBatch(inputsList);
+
+  // Dans un worker (Monte Carlo), pas de worker imbriqué : calcul direct
+  const canUseWorker = typeof window !== 'undefined' && typeof Worker !== 'undefined';
+  if (localModel && canUseWorker && inputsList.length >= WORKER_MIN_BATCH) {
+    try {
+      return await predictWithTreeModelInWorker(localModel, inputsList);
+    } catch (err) {
+      console.error('Tree Model Worker Error:', err);
     }
-    
-    efficiency -= (inputs.humidity / 100) * 0.02;
-    efficiency -= (inputs.cloud_coverage / 100) * 0.02;
-    
-    // Clamp
-    efficiency = Math.max(0.1, Math.min(0.85, efficiency));
-    
-    return {
-      efficiency: efficiency,
-      efficiency_percent: efficiency * 100,
-      quality_label: getQualityLabel(efficiency),
-      confidence: 'simulated',
-    };
   }
+  return inputsList.map(predictOffline);
 };
 
-function getQualityLabel(efficiency) {
-  if (efficiency < 0.3) return 'Faible';
-  if (efficiency < 0.5) return 'Modérée';
-  if (efficiency < 0.7) return 'Bonne';
-  return 'Excellente';
-}
-
 export default api;
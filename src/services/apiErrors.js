@@ -0,0 +1,85 @@
+/**
+ * Green AI Solar - API Errors
+ * ===========================
+ * Modèle d'erreur typé des appels au backend :
+ * - 'network'    : serveur injoignable (aucune réponse)
+ * - 'timeout'    : délai d'attente du profil dépassé
+ * - 'validation' : 422 FastAPI, messages par champ d'entrée
+ * - 'server'     : autre statut HTTP d'erreur
+ * - 'schema'     : réponse 2xx qui ne respecte pas le contrat attendu
+ * - 'config'     : requête impossible à construire (URL de profil invalide...),
+ *                  jamais envoyée : ni réveil ni bascule hors ligne
+ */
+
+export const API_ERROR_KINDS = {
+  network: 'Serveur injoignable',
+  timeout: 'Délai dépassé',
+  validation: 'Entrées refusées',
+  server: 'Erreur serveur',
+  schema: 'Réponse invalide',
+  config: 'Erreur de configuration',
+};
+
+export class ApiError extends Error {
+  constructor(kind, message, { status = null, fieldErrors = {}, endpoint = null } = {}) {
+    super(message);
+    this.name = 'ApiError';
+    this.kind = kind;
+    this.status = status;
+    this.fieldErrors = fieldErrors;   // { [clé d'entrée]: [messages] } pour les 422
+    this.endpoint = endpoint;
+  }
+}
+
+export const isApiError = (err, kind = null) => err instanceof ApiError && (kind === null || err.kind === kind);
+
+// Serveur absent ou trop lent : les deux justifient une bascule hors ligne
+export const isUnreachable = (err) => isApiError(err, 'network') || isApiError(err, 'timeout');
+
+/**
+ * Détail d'un 422 FastAPI : [{ loc: ['body', 'irradiance'], msg, type }] → { irradiance: [msg] }
+ * (la clé retenue est le dernier élément textuel de loc)
+ */
+export const parseValidationDetail = (detail) => {
+  if (!Array.isArray(detail)) return {};
+  return detail.reduce((fields, item) => {
+    const key = [...(item?.loc || [])].reverse().find(part => typeof part === 'string' && part !== 'body') || '_';
+    fields[key] = [...(fields[key] || []), item?.msg || 'Valeur refusée'];
+    return fields;
+  }, {});
+};
+
+/**
+ * Convertit une erreur axios en ApiError
+ */
+export const toApiError = (error) => {
+  const endpoint = error.config?.url || null;
+
+  if (error.response) {
+    const { status, data } = error.response;
+    const detail = data?.detail;
+
+    if (status === 422) {
+      const fieldErrors = parseValidationDetail(detail);
+      const fields = Object.keys(fieldErrors).filter(key => key !== '_');
+      const message = typeof detail === 'string'
+        ? detail
+        : `Le serveur a refusé ${fields.length > 1 ? 'les entrées' : 'l\'entrée'} ${fields.join(', ') || 'envoyée'}`;
+      return new ApiError('validation', message, { status, fieldErrors, endpoint });
+    }
+
+    const message = typeof detail === 'string' ? detail : `Erreur serveur (HTTP ${status})`;
+    return new ApiError('server', message, { status, endpoint });
+  }
+
+  if (error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT') {
+    const seconds = Math.round((error.config?.timeout || 0) / 1000);
+    return new ApiError('timeout', `Pas de réponse du serveur en ${seconds} s. Il se réveille peut-être...`, { endpoint });
+  }
+
+  if (error.request) {
+    return new ApiError('network', 'Le serveur ne répond pas. Il se réveille peut-être (30s max)...', { endpoint });
+  }
+
+  return new ApiError('config', `Requête invalide : ${error.message}`, { endpoint });
+};
@@ -0,0 +1,76 @@
+/**
+ * Green AI Solar - API Response Schemas
+ * =====================================
+ * Contrat attendu de chaque endpoint : une réponse non conforme lève une
+ * ApiError 'schema' au lieu de casser silencieusement la jauge ou les graphiques
+ */
+
+import { ApiError } from './apiErrors';
+
+const PREDICTION = {
+  type: 'object',
+  fields: {
+    efficiency: { type: 'number', min: 0, max: 1 },
+    efficiency_percent: { type: 'number', min: 0, max: 100 },
+    quality_label: { type: 'string' },
+  },
+};
+
+export const RESPONSE_SCHEMAS = {
+  '/predict': PREDICTION,
+  '/predict/batch': {
+    type: 'object',
+    fields: { predictions: { type: 'array', items: PREDICTION } },
+  },
+  '/health': { type: 'object' },
+  '/model-info': { type: 'object' },
+  // { feature: valeur }, [{ feature, importance }] ou une enveloppe (voir modelInfo)
+  '/feature-importance': { type: ['object', 'array'] },
+};
+
+const typeOf = (value) => {
+  if (Array.isArray(value)) return 'array';
+  if (value === null) return 'null';
+  if (typeof value === 'number') return Number.isFinite(value) ? 'number' : 'NaN';
+  return typeof value;
+};
+
+/**
+ * Liste des écarts au schéma (vide si la valeur est conforme)
+ */
+export const checkSchema = (schema, value, path = 'réponse') => {
+  const types = [].concat(schema.type);
+  const actual = typeOf(value);
+  if (!types.includes(actual)) return [`${path} : ${types.join(' ou ')} attendu, ${actual} reçu`];
+
+  const problems = [];
+  if (actual === 'number') {
+    if (schema.min !== undefined && value < schema.min) problems.push(`${path} : ${value} < ${schema.min}`);
+    if (schema.max !== undefined && value > schema.max) problems.push(`${path} : ${value} > ${schema.max}`);
+  }
+  if (actual === 'object' && schema.fields) {
+    Object.entries(schema.fields).forEach(([key, fieldSchema]) => {
+      problems.push(...checkSchema(fieldSchema, value[key], `${path}.${key}`));
+    });
+  }
+  if (actual === 'array' && schema.items) {
+    value.forEach((item, i) => problems.push(...checkSchema(schema.items, item, `${path}[${i}]`)));
+  }
+  return problems;
+};
+
+/**
+ * Retourne data si la réponse de l'endpoint est conforme, lève une ApiError 'schema' sinon
+ */
+export const validateResponse = (endpoint, data) => {
+  const problems = checkSchema(RESPONSE_SCHEMAS[endpoint], data);
+  if (problems.length > 0) {
+    if (import.meta.env.DEV) console.error(`Schema Error (${endpoint}):`, problems);
+    throw new ApiError(
+      'schema',
+      `Réponse ${endpoint} invalide : ${problems[0]}${problems.length > 1 ? ` (+${problems.length - 1})` : ''}`,
+      { endpoint }
+    );
+  }
+  return data;
+};
@@ -0,0 +1,127 @@
+/**
+ * Green AI Solar - Backend Profiles
+ * =================================
+ * Profils de backend nommés (local, staging, production, instance d'un collègue) :
+ * URL, délai d'attente et en-tête d'authentification optionnel.
+ *
+ * Variables de build (fichier .env, préfixe VITE_) :
+ *   VITE_API_URL          URL du profil « production » (défaut : Render)
+ *   VITE_LOCAL_API_URL    URL du profil « local » (défaut : http://localhost:8000)
+ *   VITE_STAGING_API_URL  ajoute un profil « staging »
+ *   VITE_API_TIMEOUT      délai par défaut en ms (défaut : 30000)
+ *   VITE_API_PROFILE      profil actif par défaut (défaut : production en build, local en dev)
+ */
+
+import axios from 'axios';
+import { readStorage, writeStorage } from '../utils/storage';
+import { toApiError } from './apiErrors';
+import { validateResponse } from './apiSchemas';
+
+const PROFILES_KEY = 'backend-profiles';
+const ACTIVE_KEY = 'backend-profile';
+
+const RENDER_API_URL = 'https://green-ai-solar-backend.onrender.com';
+
+const env = import.meta.env;
+
+// Render free tier peut être lent au réveil
+export const DEFAULT_TIMEOUT = Number(env.VITE_API_TIMEOUT) || 30000;
+
+export const BUILT_IN_PROFILES = [
+  {
+    id: 'local',
+    name: 'Local',
+    url: env.VITE_LOCAL_API_URL || 'http://localhost:8000',
+    timeout: DEFAULT_TIMEOUT,
+    authHeader: null,
+    builtIn: true,
+  },
+  ...(env.VITE_STAGING_API_URL ? [{
+    id: 'staging',
+    name: 'Staging',
+    url: env.VITE_STAGING_API_URL,
+    timeout: DEFAULT_TIMEOUT,
+    authHeader: null,
+    builtIn: true,
+  }] : []),
+  {
+    id: 'production',
+    name: 'Production',
+    url: env.VITE_API_URL || RENDER_API_URL,
+    timeout: DEFAULT_TIMEOUT,
+    authHeader: null,
+    builtIn: true,
+  },
+];
+
+const DEFAULT_PROFILE_ID = env.VITE_API_PROFILE || (env.PROD ? 'production' : 'local');
+
+export const loadCustomProfiles = () => {
+  const profiles = readStorage(PROFILES_KEY, []);
+  return Array.isArray(profiles) ? profiles : [];
+};
+
+export const saveCustomProfiles = (profiles) => writeStorage(PROFILES_KEY, profiles);
+
+export const loadActiveProfileId = () => readStorage(ACTIVE_KEY, DEFAULT_PROFILE_ID);
+
+export const saveActiveProfileId = (id) => writeStorage(ACTIVE_KEY, id);
+
+export const getProfiles = (customProfiles) => [...BUILT_IN_PROFILES, ...customProfiles];
+
+/**
+ * Profil d'identifiant id ; profil par défaut s'il a été supprimé entre-temps
+ */
+export const resolveProfile = (profiles, id) =>
+  profiles.find(profile => profile.id === id)
+  || profiles.find(profile => profile.id === DEFAULT_PROFILE_ID)
+  || profiles[0];
+
+/**
+ * Profil actif au chargement (aussi utilisé par les workers, sans localStorage)
+ */
+export const loadActiveProfile = () => resolveProfile(getProfiles(loadCustomProfiles()), loadActiveProfileId());
+
+/**
+ * Erreurs de saisie par champ ({} si le profil est valide)
+ */
+export const validateProfile = (profile) => {
+  const errors = {};
+  if (!profile.name.trim()) errors.name = 'Nom requis';
+  try {
+    const url = new URL(profile.url);
+    if (!['http:', 'https:'].includes(url.protocol)) errors.url = 'URL http(s) attendue';
+  } catch {
+    errors.url = 'URL invalide';
+  }
+  if (!Number.isFinite(profile.timeout) || profile.timeout < 1000) errors.timeout = '1 s minimum';
+  if (profile.authHeader && !/^[A-Za-z0-9-]+$/.test(profile.authHeader.name)) {
+    errors.authHeader = 'Nom d\'en-tête invalide';
+  }
+  return errors;
+};
+
+export const createProfileId = (name) =>
+  `${name.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'profil'}-${Date.now().toString(36)}`;
+
+export const getAuthHeaders = (profile) =>
+  (profile.authHeader?.name ? { [profile.authHeader.name]: profile.authHeader.value } : {});
+
+/**
+ * Interroge /health avec les réglages du profil, sans changer de profil actif.
+ * Retourne { latency } en ms ; lève une ApiError sinon.
+ */
+export const testBackendProfile = async (profile) => {
+  const start = performance.now();
+  let response;
+  try {
+    response = await axios.get(`${profile.url.replace(/\/+$/, '')}/health`, {
+      timeout: profile.timeout,
+      headers: getAuthHeaders(profile),
+    });
+  } catch (err) {
+    throw toApiError(err);
+  }
+  validateResponse('/health', response.data);
+  return { latency: Math.round(performance.now() - start) };
+};
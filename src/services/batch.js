@@ -0,0 +1,179 @@
+/**
+ * Green AI Solar - Batch Prediction
+ * =================================
+ * Prédiction d'un fichier de configurations (CSV ou JSON) ligne par ligne
+ */
+
+import { solarApi, predictOffline, mapWithConcurrency, getEngine } from './api';
+import { FEATURES_CONFIG, ADDITIONAL_FEATURES } from '../config/features';
+import { parseCsv, toCsv } from '../utils/csv';
+import { checkConsistency } from './consistency';
+
+const BATCH_CONCURRENCY = 4;
+
+export const RESULT_COLUMNS = ['efficiency', 'efficiency_percent', 'quality_label', 'engine'];
+
+// Accepte les décimales à virgule des exports Excel français
+const toNumber = (value) => {
+  if (typeof value === 'number') return value;
+  if (typeof value !== 'string' || value.trim() === '') return NaN;
+  return Number(value.trim().replace(/^(-?\d+),(\d+)$/, '$1.$2'));
+};
+
+// Une ligne JSON peut être null, un nombre ou un tableau : seule une ligne objet est lisible
+const isRowObject = (row) => row !== null && typeof row === 'object' && !Array.isArray(row);
+
+/**
+ * Lit le contenu d'un fichier selon son extension.
+ * Retourne { columns, rows } avec les valeurs brutes du fichier.
+ */
+export const parseBatchFile = (filename, text) => {
+  if (filename.toLowerCase().endsWith('.json')) {
+    const parsed = JSON.parse(text);
+    const rows = Array.isArray(parsed) ? parsed : parsed?.rows;
+    if (!Array.isArray(rows)) {
+      throw new Error('Le JSON doit être un tableau d\'objets (ou { "rows": [...] })');
+    }
+    const columns = [...new Set(rows.flatMap(row => Object.keys(isRowObject(row) ? row : {})))];
+    return { columns, rows };
+  }
+  return parseCsv(text);
+};
+
+/**
+ * Valide une ligne contre les bornes de FEATURES_CONFIG et ADDITIONAL_FEATURES.
+ * Les variables additionnelles absentes prennent leur valeur par défaut.
+ */
+export const validateRow = (row) => {
+  if (!isRowObject(row)) {
+    return { inputs: null, errors: [`Ligne illisible : objet attendu, « ${JSON.stringify(row)} » trouvé`] };
+  }
+
+  const inputs = {};
+  const errors = [];
+
+  FEATURES_CONFIG.forEach(config => {
+    const raw = row[config.key];
+    if (raw === undefined || raw === null || raw === '') {
+      errors.push(`${config.key} : valeur manquante`);
+      return;
+    }
+    const value = toNumber(raw);
+    if (!Number.isFinite(value)) {
+      errors.push(`${config.key} : « ${raw} » n'est pas un nombre`);
+    } else if (value < config.min || value > config.max) {
+      errors.push(`${config.key} : ${value} hors de [${config.min}, ${config.max}]`);
+    } else {
+      inputs[config.key] = value;
+    }
+  });
+
+  ADDITIONAL_FEATURES.forEach(feature => {
+    const raw = row[feature.key];
+    if (raw === undefined || raw === null || raw === '') {
+      inputs[feature.key] = feature.default;
+      return;
+    }
+    const value = toNumber(raw);
+    if (!Number.isFinite(value)) {
+      errors.push(`${feature.key} : « ${raw} » n'est pas un nombre`);
+    } else if (value < feature.min || value > feature.max) {
+      errors.push(`${feature.key} : ${value} hors de [${feature.min}, ${feature.max}]`);
+    } else {
+      inputs[feature.key] = value;
+    }
+  });
+
+  return { inputs: errors.length === 0 ? inputs : null, errors };
+};
+
+/**
+ * Colonnes attendues absentes du fichier (utile pour un message global)
+ */
+export const getMissingColumns = (columns) =>
+  FEATURES_CONFIG.map(config => config.key).filter(key => !columns.includes(key));
+
+/**
+ * Prédit chaque ligne valide (concurrence limitée).
+ * Une ligne dont l'appel API échoue retombe sur le moteur hors ligne.
+ * toModelInputs convertit les entrées du fichier avant prédiction (irradiance dans le plan) ;
+ * thermal et system sont les réglages actifs, utilisés par les règles de cohérence.
+ */
+export const runBatch = async (
+  rows,
+  {
+    useApi,
+    concurrency = BATCH_CONCURRENCY,
+    onProgress,
+    toModelInputs = (inputs) => inputs,
+    thermal,
+    system,
+  } = {}
+) => {
+  let done = 0;
+
+  return mapWithConcurrency(rows, concurrency, async (row, index) => {
+    const { inputs, errors } = validateRow(row);
+    const issues = inputs ? checkConsistency(inputs, { thermal, system }) : [];
+    let entry = { index, source: row, inputs, errors, issues, result: null, error: null };
+
+    if (inputs) {
+      const modelInputs = toModelInputs(inputs);
+      let result;
+      if (useApi) {
+        try {
+          result = await solarApi.predict(modelInputs);
+        } catch (err) {
+          result = predictOffline(modelInputs);
+          entry.error = err.message;
+        }
+      } else {
+        result = predictOffline(modelInputs);
+      }
+      entry = { ...entry, result };
+    }
+
+    done++;
+    onProgress?.(done, rows.length);
+    return entry;
+  });
+};
+
+// Les paramètres avancés absents du fichier sont exportés avec la valeur utilisée
+const toExportRow = (entry) => ({
+  ...Object.fromEntries(ADDITIONAL_FEATURES.map(feature => [feature.key, entry.inputs?.[feature.key] ?? ''])),
+  ...(isRowObject(entry.source) ? entry.source : {}),
+  efficiency: entry.result?.efficiency ?? '',
+  efficiency_percent: entry.result ? Math.round(entry.result.efficiency_percent * 100) / 100 : '',
+  quality_label: entry.result?.quality_label ?? '',
+  engine: entry.result ? getEngine(entry.result) : '',
+  validation_errors: entry.errors.join(' | '),
+  consistency_warnings: entry.issues.map(issue => issue.message).join(' | '),
+});
+
+/**
+ * Fichier enrichi dans le format d'origine (CSV ou JSON)
+ */
+export const exportBatchResults = (format, columns, entries) => {
+  const rows = entries.map(toExportRow);
+  if (format === 'json') {
+    return JSON.stringify(rows, null, 2);
+  }
+  const exportColumns = [
+    ...columns.filter(column => !RESULT_COLUMNS.includes(column)),
+    ...ADDITIONAL_FEATURES.map(feature => feature.key).filter(key => !columns.includes(key)),
+    ...RESULT_COLUMNS,
+    'validation_errors',
+    'consistency_warnings',
+  ];
+  return toCsv(exportColumns, rows);
+};
+
+/**
+ * Statut de validation d'une ligne : 'invalid' (hors schéma), 'flagged'
+ * (combinaison physiquement douteuse) ou 'valid'
+ */
+export const getEntryStatus = (entry) => {
+  if (entry.errors.length > 0) return 'invalid';
+  return entry.issues.length > 0 ? 'flagged' : 'valid';
+};
@@ -0,0 +1,209 @@
+/**
+ * Green AI Solar - Climate Profiles
+ * =================================
+ * Profils climatiques mensuels (sites prédéfinis et profils utilisateur)
+ * et efficacité / production mois par mois
+ */
+
+import { FEATURES_CONFIG } from '../config/features';
+import { readStorage, writeStorage } from '../utils/storage';
+import { predictMany, getEngine, summarizeEngines } from './api';
+import { DEFAULT_SYSTEM_CONFIG, getArrayPeakPower, getSystemDerate } from './system';
+import { DEFAULT_THERMAL_SETTINGS, estimateModuleTemperature } from './thermal';
+import { MONTH_LABELS } from './weather';
+import { DEFAULT_GEOMETRY, toPlaneOfArray } from './transposition';
+import { createId } from '../utils/id';
+
+const STORAGE_KEY = 'climate-profiles';
+
+const CONFIG_BY_KEY = Object.fromEntries(FEATURES_CONFIG.map(config => [config.key, config]));
+
+// Variables d'environnement saisies mois par mois ; la température du module s'en déduit
+export const CLIMATE_VARIABLES = [
+  ...['irradiance', 'temperature', 'humidity', 'cloud_coverage', 'wind_speed'].map(key => ({
+    key,
+    label: CONFIG_BY_KEY[key].label,
+    unit: CONFIG_BY_KEY[key].unit,
+    min: CONFIG_BY_KEY[key].min,
+    max: CONFIG_BY_KEY[key].max,
+    step: CONFIG_BY_KEY[key].step,
+  })),
+  { key: 'insolation', label: 'Irradiation mensuelle', unit: 'kWh/m²', min: 0, max: 300, step: 1 },
+];
+
+export const CLIMATE_PRESETS = [
+  {
+    id: 'paris',
+    name: 'Paris',
+    builtin: true,
+    months: {
+      irradiance: [200, 280, 380, 460, 520, 550, 560, 520, 440, 330, 230, 180],
+      temperature: [5, 6, 10, 13, 17, 20, 22, 22, 18, 14, 9, 6],
+      humidity: [85, 80, 75, 70, 70, 70, 68, 70, 75, 82, 86, 87],
+      cloud_coverage: [75, 70, 62, 58, 55, 50, 45, 45, 52, 63, 73, 77],
+      wind_speed: [4.5, 4.5, 4.3, 4, 3.7, 3.5, 3.4, 3.3, 3.5, 3.9, 4.2, 4.5],
+      insolation: [27, 45, 85, 120, 150, 160, 165, 140, 100, 60, 32, 22],
+    },
+  },
+  {
+    id: 'marseille',
+    name: 'Marseille',
+    builtin: true,
+    months: {
+      irradiance: [330, 420, 520, 600, 660, 700, 720, 680, 590, 460, 360, 300],
+      temperature: [8, 9, 12, 15, 19, 24, 27, 26, 22, 18, 12, 9],
+      humidity: [70, 68, 65, 65, 65, 60, 55, 58, 64, 70, 72, 72],
+      cloud_coverage: [50, 48, 45, 45, 38, 28, 18, 22, 33, 45, 50, 52],
+      wind_speed: [5, 5.2, 5.2, 5, 4.6, 4.4, 4.5, 4.3, 4.2, 4.3, 4.7, 5],
+      insolation: [60, 80, 130, 165, 200, 220, 230, 200, 150, 100, 65, 52],
+    },
+  },
+  {
+    id: 'seville',
+    name: 'Séville',
+    builtin: true,
+    months: {
+      irradiance: [400, 480, 580, 650, 720, 760, 780, 740, 650, 530, 420, 370],
+      temperature: [12, 14, 17, 19, 23, 28, 31, 31, 27, 22, 16, 12],
+      humidity: [75, 70, 63, 60, 55, 48, 43, 46, 55, 64, 73, 77],
+      cloud_coverage: [45, 42, 40, 38, 28, 15, 8, 10, 20, 35, 45, 48],
+      wind_speed: [3.2, 3.5, 3.7, 3.8, 3.7, 3.7, 3.8, 3.6, 3.3, 3.1, 3.1, 3.2],
+      insolation: [80, 100, 150, 180, 220, 240, 250, 225, 170, 125, 85, 70],
+    },
+  },
+  {
+    id: 'dubai',
+    name: 'Dubaï',
+    builtin: true,
+    months: {
+      irradiance: [560, 600, 660, 700, 740, 740, 720, 710, 690, 650, 580, 540],
+      temperature: [20, 21, 24, 28, 32, 34, 36, 36, 33, 30, 26, 22],
+      humidity: [65, 65, 62, 55, 52, 58, 60, 62, 64, 62, 62, 65],
+      cloud_coverage: [20, 22, 20, 15, 8, 5, 8, 10, 8, 8, 12, 18],
+      wind_speed: [3.8, 4, 4.3, 4.3, 4.3, 4.4, 4.3, 4.2, 3.8, 3.5, 3.5, 3.7],
+      insolation: [125, 135, 170, 190, 215, 215, 205, 200, 185, 165, 130, 118],
+    },
+  },
+  {
+    id: 'oslo',
+    name: 'Oslo',
+    builtin: true,
+    months: {
+      irradiance: [80, 170, 300, 420, 500, 520, 520, 450, 340, 210, 100, 50],
+      temperature: [-4, -4, 0, 5, 11, 15, 17, 16, 11, 6, 1, -3],
+      humidity: [85, 82, 75, 65, 62, 65, 70, 75, 80, 84, 86, 87],
+      cloud_coverage: [80, 75, 68, 62, 58, 60, 62, 62, 68, 75, 82, 85],
+      wind_speed: [3.5, 3.4, 3.4, 3.3, 3.3, 3.2, 3, 3, 3.1, 3.3, 3.4, 3.5],
+      insolation: [8, 22, 60, 105, 150, 160, 160, 120, 70, 35, 11, 4],
+    },
+  },
+  {
+    id: 'tropical',
+    name: 'Tropical humide',
+    builtin: true,
+    months: {
+      irradiance: [550, 580, 600, 580, 560, 540, 550, 560, 570, 560, 520, 510],
+      temperature: [27, 27, 28, 28, 28, 28, 28, 28, 27, 27, 27, 27],
+      humidity: [85, 83, 84, 85, 84, 83, 83, 83, 84, 85, 87, 87],
+      cloud_coverage: [75, 70, 72, 75, 75, 72, 72, 72, 72, 75, 80, 80],
+      wind_speed: [2.8, 2.9, 2.5, 2, 2, 2.3, 2.4, 2.4, 2.2, 2, 2, 2.5],
+      insolation: [140, 150, 165, 155, 150, 140, 145, 145, 145, 145, 130, 125],
+    },
+  },
+];
+
+export const loadCustomProfiles = () => {
+  const stored = readStorage(STORAGE_KEY, []);
+  return Array.isArray(stored) ? stored.filter(profile => profile?.id && profile.months) : [];
+};
+
+export const saveCustomProfiles = (profiles) => writeStorage(STORAGE_KEY, profiles);
+
+// Les fonctions suivantes retournent une nouvelle liste, sans effet de bord
+
+export const duplicateProfile = (profiles, source) => [
+  ...profiles,
+  {
+    id: createId(),
+    name: `${source.name} (personnalisé)`,
+    builtin: false,
+    months: Object.fromEntries(Object.entries(source.months).map(([key, values]) => [key, [...values]])),
+  },
+];
+
+export const renameProfile = (profiles, id, name) =>
+  profiles.map(profile => (profile.id === id ? { ...profile, name } : profile));
+
+export const updateProfileValue = (profiles, id, key, month, value) =>
+  profiles.map(profile => {
+    if (profile.id !== id) return profile;
+    const values = [...profile.months[key]];
+    values[month] = value;
+    return { ...profile, months: { ...profile.months, [key]: values } };
+  });
+
+export const deleteProfile = (profiles, id) => profiles.filter(profile => profile.id !== id);
+
+const clampToConfig = (config, value) => Math.min(config.max, Math.max(config.min, value));
+
+/**
+ * Entrées du modèle pour un mois du profil ; les paramètres du panneau
+ * (propreté, âge...) restent ceux des curseurs
+ */
+export const getMonthInputs = (profile, month, baseInputs, thermal = DEFAULT_THERMAL_SETTINGS) => {
+  const inputs = { ...baseInputs };
+  CLIMATE_VARIABLES.forEach(({ key }) => {
+    if (CONFIG_BY_KEY[key]) {
+      inputs[key] = clampToConfig(CONFIG_BY_KEY[key], profile.months[key][month]);
+    }
+  });
+  const moduleTemperature = estimateModuleTemperature(inputs.temperature, inputs.irradiance, inputs.wind_speed, thermal);
+  inputs.module_temperature = clampToConfig(CONFIG_BY_KEY.module_temperature, Math.round(moduleTemperature));
+  return inputs;
+};
+
+// Jour type du mois (le 15), à l'heure et au lieu choisis, pour la transposition
+const getMonthLocation = (location, month) =>
+  ({ ...location, date: `${location.date.slice(0, 4)}-${String(month + 1).padStart(2, '0')}-15` });
+
+/**
+ * Efficacité et production (kWh) de chaque mois du profil.
+ * Avec une géométrie inclinée, l'irradiance de chaque mois est ramenée dans le plan des modules.
+ */
+export const computeMonthlyProfile = async (
+  profile,
+  baseInputs,
+  {
+    useApi,
+    system = DEFAULT_SYSTEM_CONFIG,
+    thermal = DEFAULT_THERMAL_SETTINGS,
+    geometry = DEFAULT_GEOMETRY,
+    location = null,
+  }
+) => {
+  const inputsList = MONTH_LABELS.map((_, month) => {
+    const inputs = getMonthInputs(profile, month, baseInputs, thermal);
+    return location ? toPlaneOfArray(inputs, geometry, getMonthLocation(location, month)) : inputs;
+  });
+  const results = await predictMany(inputsList, { useApi });
+  const energyFactor = getArrayPeakPower(system) * getSystemDerate(system);
+
+  const data = results.map((result, month) => ({
+    month: month + 1,
+    label: MONTH_LABELS[month],
+    efficiency: Math.round(result.efficiency * 1000) / 10,
+    production: Math.round(energyFactor * profile.months.insolation[month] * result.efficiency),
+    engine: getEngine(result),
+  }));
+
+  const annualProduction = data.reduce((total, month) => total + month.production, 0);
+  const annualInsolation = profile.months.insolation.reduce((total, value) => total + value, 0);
+
+  return {
+    data,
+    annualProduction,
+    annualInsolation,
+    efficiency: annualInsolation > 0 ? (annualProduction / (energyFactor * annualInsolation)) * 100 : 0,
+    engine: summarizeEngines(results),
+  };
+};
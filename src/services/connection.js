@@ -0,0 +1,123 @@
+/**
+ * Green AI Solar - Connection Manager
+ * ===================================
+ * Suivi de la disponibilité du backend : /health interrogé périodiquement,
+ * réveil du serveur (Render free tier) avec reprises à délai exponentiel,
+ * et retour automatique à l'API dès qu'elle répond
+ */
+
+import { solarApi, onNetworkError } from './api';
+import { isApiError } from './apiErrors';
+
+// Délai entre deux vérifications quand l'API répond
+const POLL_INTERVAL = 30000;
+// Hors ligne après le réveil : nouvelle tentative à cet intervalle
+const OFFLINE_POLL_INTERVAL = 60000;
+// Reprises pendant le réveil (délai doublé à chaque échec, plafonné)
+const RETRY_BASE_DELAY = 2000;
+const RETRY_MAX_DELAY = 30000;
+export const WAKE_ATTEMPTS = 6;
+
+const retryDelay = (attempt) => Math.min(RETRY_MAX_DELAY, RETRY_BASE_DELAY * 2 ** (attempt - 1));
+
+// Durée totale du réveil, pour afficher une progression
+export const WAKE_BUDGET = Array.from({ length: WAKE_ATTEMPTS }, (_, i) => retryDelay(i + 1))
+  .reduce((total, delay) => total + delay, 0);
+
+/**
+ * État : { status, attempt, since, error }
+ * status : 'checking' (première vérification), 'waking' (réveil en cours),
+ * 'connected' ou 'disconnected' (réveil abandonné, vérification espacée)
+ * error : message d'une erreur de configuration du profil (aucune reprise automatique)
+ */
+export const INITIAL_CONNECTION = { status: 'checking', attempt: 0, since: null, error: null };
+
+/**
+ * Progression du réveil (0-1) d'après le temps écoulé depuis le premier échec
+ */
+export const getWakeProgress = (connection, now = Date.now()) =>
+  (connection.since ? Math.min(0.95, (now - connection.since) / WAKE_BUDGET) : 0);
+
+export const createConnectionManager = ({ onChange, check = solarApi.healthCheck }) => {
+  let state = INITIAL_CONNECTION;
+  let timer = null;
+  let stopped = false;
+  let inFlight = false;
+  let unsubscribe = null;
+
+  const update = (patch) => {
+    if (Object.keys(patch).every(key => state[key] === patch[key])) return;
+    state = { ...state, ...patch };
+    onChange(state);
+  };
+
+  const schedule = (delay) => {
+    clearTimeout(timer);
+    timer = setTimeout(run, delay);
+  };
+
+  const handleSuccess = () => {
+    update({ status: 'connected', attempt: 0, since: null, error: null });
+    schedule(POLL_INTERVAL);
+  };
+
+  const handleFailure = (err) => {
+    // Requête jamais envoyée : le serveur n'est pas en cause, inutile de le réveiller
+    if (isApiError(err, 'config')) {
+      update({ status: 'disconnected', attempt: 0, since: null, error: err.message });
+      return;
+    }
+
+    // Hors ligne : vérification espacée, sans relancer un réveil à chaque échec
+    if (state.status === 'disconnected') {
+      schedule(OFFLINE_POLL_INTERVAL);
+      return;
+    }
+
+    const attempt = state.status === 'waking' ? state.attempt + 1 : 1;
+    if (attempt > WAKE_ATTEMPTS) {
+      update({ status: 'disconnected', attempt: 0, since: null });
+      schedule(OFFLINE_POLL_INTERVAL);
+      return;
+    }
+
+    update({ status: 'waking', attempt, since: state.status === 'waking' ? state.since : Date.now() });
+    schedule(retryDelay(attempt));
+  };
+
+  async function run() {
+    if (stopped || inFlight) return;
+    inFlight = true;
+    clearTimeout(timer);
+    try {
+      await check();
+      if (!stopped) handleSuccess();
+    } catch (err) {
+      if (!stopped) handleFailure(err);
+    } finally {
+      inFlight = false;
+    }
+  }
+
+  return {
+    start: () => {
+      stopped = false;
+      // Une requête sans réponse alors que l'API était connectée : vérification immédiate
+      unsubscribe = onNetworkError(() => {
+        if (state.status === 'connected') run();
+      });
+      run();
+    },
+    stop: () => {
+      stopped = true;
+      clearTimeout(timer);
+      unsubscribe?.();
+    },
+    // Relance manuelle (badge) : repart d'un réveil complet
+    retryNow: () => {
+      if (state.status !== 'disconnected') return;
+      update({ status: 'waking', attempt: 0, since: Date.now() });
+      run();
+    },
+  };
+};
@@ -0,0 +1,152 @@
+/**
+ * Green AI Solar - Physical Consistency
+ * =====================================
+ * Règles de cohérence physique entre les entrées : chaque valeur peut être
+ * dans sa plage alors que la combinaison est impossible (ciel couvert à 100 %
+ * sous 1200 W/m², courant sans ensoleillement...)
+ */
+
+import { ADDITIONAL_FEATURES } from '../config/features';
+import { DEFAULT_THERMAL_SETTINGS, estimateModuleTemperature } from './thermal';
+import { DEFAULT_SYSTEM_CONFIG } from './system';
+
+const DEFAULTS = Object.fromEntries(ADDITIONAL_FEATURES.map(feature => [feature.key, feature.default]));
+
+// Irradiance globale maximale sous ciel clair, et écart toléré avec le modèle thermique
+const CLEAR_SKY_MAX_IRRADIANCE = 1200;
+const MODULE_TEMPERATURE_TOLERANCE = 20;
+
+// Courant de référence : valeurs par défaut (2 A sous 500 W/m²), facteur toléré
+const REFERENCE_CURRENT_RATIO = DEFAULTS.current / 500;
+const CURRENT_RATIO_TOLERANCE = 3;
+
+// Marge au-dessus de la puissance crête ramenée à l'irradiance (effet de bord de nuage, mesure)
+const POWER_TOLERANCE = 1.2;
+
+export const CONSISTENCY_STATUS = {
+  ok: { label: 'Cohérent', className: 'bg-emerald-50 text-emerald-600' },
+  warning: { label: 'Douteux', className: 'bg-amber-50 text-amber-600' },
+  error: { label: 'Incohérent', className: 'bg-red-50 text-red-600' },
+};
+
+/**
+ * Irradiance maximale plausible pour une couverture nuageuse (Kasten-Czeplak)
+ */
+export const getMaxIrradianceForClouds = (cloudCoverage) =>
+  CLEAR_SKY_MAX_IRRADIANCE * (1 - 0.75 * Math.pow(cloudCoverage / 100, 3.4));
+
+/**
+ * Puissance électrique mesurée (W) : tension × courant
+ */
+export const getElectricalPower = (inputs) => inputs.voltage * inputs.current;
+
+/**
+ * Puissance (W) qu'un module de la configuration peut fournir sous une irradiance donnée
+ */
+export const getExpectedModulePower = (irradiance, system = DEFAULT_SYSTEM_CONFIG) =>
+  system.modulePower * (irradiance / 1000);
+
+// Variables électriques laissées à leur valeur par défaut : non mesurées, rien à comparer
+const isMeasured = (inputs, key) => inputs[key] !== undefined && inputs[key] !== DEFAULTS[key];
+
+/**
+ * Chaque règle retourne un message si la combinaison est incohérente, null sinon.
+ * keys : curseurs concernés, à côté desquels l'explication est affichée
+ */
+export const CONSISTENCY_RULES = [
+  {
+    id: 'clouds-irradiance',
+    keys: ['cloud_coverage', 'irradiance'],
+    severity: 'error',
+    check: ({ irradiance, cloud_coverage }) => {
+      const max = getMaxIrradianceForClouds(cloud_coverage);
+      if (irradiance <= max) return null;
+      return `Un ciel couvert à ${cloud_coverage} % laisse passer au plus ~${Math.round(max / 10) * 10} W/m², pas ${irradiance} W/m²`;
+    },
+  },
+  {
+    id: 'module-colder-than-air',
+    keys: ['module_temperature', 'temperature'],
+    severity: 'warning',
+    check: ({ irradiance, temperature, module_temperature }) => {
+      if (irradiance < 200 || module_temperature >= temperature - 5) return null;
+      return `Sous ${irradiance} W/m², le module (${module_temperature} °C) ne peut pas être plus froid que l'air (${temperature} °C)`;
+    },
+  },
+  {
+    id: 'module-overheating',
+    keys: ['module_temperature'],
+    severity: 'warning',
+    check: ({ irradiance, temperature, wind_speed, module_temperature }, { thermal }) => {
+      const expected = estimateModuleTemperature(temperature, irradiance, wind_speed, thermal);
+      if (module_temperature - expected <= MODULE_TEMPERATURE_TOLERANCE) return null;
+      return `${module_temperature} °C, soit ${Math.round(module_temperature - expected)} °C de plus que le modèle thermique (${Math.round(expected)} °C pour ces conditions)`;
+    },
+  },
+  {
+    id: 'current-without-light',
+    keys: ['current', 'irradiance'],
+    severity: 'error',
+    check: (inputs) => {
+      if (!isMeasured(inputs, 'current') || inputs.irradiance >= 50 || inputs.current <= 0.5) return null;
+      return `Un courant de ${inputs.current} A est impossible sans ensoleillement (${inputs.irradiance} W/m²)`;
+    },
+  },
+  {
+    id: 'current-irradiance',
+    keys: ['current', 'irradiance'],
+    severity: 'warning',
+    check: (inputs) => {
+      if (!isMeasured(inputs, 'current') || inputs.irradiance < 100) return null;
+      const expected = REFERENCE_CURRENT_RATIO * inputs.irradiance;
+      const ratio = inputs.current / expected;
+      if (ratio <= CURRENT_RATIO_TOLERANCE && ratio >= 1 / CURRENT_RATIO_TOLERANCE) return null;
+      return `${inputs.current} A sous ${inputs.irradiance} W/m² : le courant suit l'irradiance (~${expected.toFixed(1)} A attendus)`;
+    },
+  },
+  {
+    id: 'power-irradiance',
+    keys: ['voltage', 'current'],
+    severity: 'error',
+    check: (inputs, { system }) => {
+      if (!(isMeasured(inputs, 'voltage') || isMeasured(inputs, 'current')) || inputs.irradiance < 50) return null;
+      const power = getElectricalPower(inputs);
+      const expected = getExpectedModulePower(inputs.irradiance, system);
+      if (power <= expected * POWER_TOLERANCE) return null;
+      return `V×I = ${Math.round(power)} W, plus qu'un module de ${system.modulePower} Wc ne peut fournir sous ${inputs.irradiance} W/m² (~${Math.round(expected)} W)`;
+    },
+  },
+  {
+    id: 'pressure-range',
+    keys: ['pressure'],
+    severity: 'warning',
+    check: (inputs) => {
+      if (!isMeasured(inputs, 'pressure') || (inputs.pressure >= 800 && inputs.pressure <= 1085)) return null;
+      return `${inputs.pressure} hPa est hors des pressions observées au sol (800 à 1085 hPa)`;
+    },
+  },
+];
+
+/**
+ * Problèmes de cohérence d'un vecteur d'entrée : [{ id, keys, severity, message }]
+ */
+export const checkConsistency = (
+  inputs,
+  { thermal = DEFAULT_THERMAL_SETTINGS, system = DEFAULT_SYSTEM_CONFIG } = {}
+) => {
+  const values = { ...DEFAULTS, ...inputs };
+  return CONSISTENCY_RULES.flatMap(rule => {
+    const message = rule.check(values, { thermal, system });
+    return message ? [{ id: rule.id, keys: rule.keys, severity: rule.severity, message }] : [];
+  });
+};
+
+export const getIssuesForKey = (issues, key) => issues.filter(issue => issue.keys.includes(key));
+
+/**
+ * Statut global : 'ok', 'warning' ou 'error' (la règle la plus grave l'emporte)
+ */
+export const getConsistencyStatus = (issues) => {
+  if (issues.length === 0) return 'ok';
+  return issues.some(issue => issue.severity === 'error') ? 'error' : 'warning';
+};
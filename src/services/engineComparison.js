@@ -0,0 +1,152 @@
+/**
+ * Green AI Solar - Engine Comparison
+ * ==================================
+ * Diagnostic de la simulation locale : mêmes entrées envoyées à /predict et à
+ * simulateLocally, distribution des écarts et zones de l'espace des entrées
+ * où le mode hors ligne induit en erreur
+ */
+
+import { FEATURES_CONFIG, getEfficiencyBand } from '../config/features';
+import { solarApi, simulateLocally, getEngine } from './api';
+import { quantile } from './uncertainty';
+import { createRandom, hashSeed } from '../utils/random';
+
+// Au-delà de cet écart absolu (points d'efficacité), la simulation est jugée trompeuse
+export const MISLEADING_ERROR = 5;
+// Part de changements de bande de qualité au-delà de laquelle une zone est signalée
+const MISLEADING_BAND_RATE = 0.25;
+export const HISTOGRAM_BIN = 2;
+
+// levels^n entrées pour n variables : 256 ou 6 561 avec les 8 variables principales
+export const GRID_LEVELS = [2, 3];
+// Au-delà, échantillon de la grille : sans /predict/batch, une requête /predict par entrée
+export const MAX_GRID_SIZE = 256;
+
+export const getGridSize = (levels) => Math.min(MAX_GRID_SIZE, levels ** FEATURES_CONFIG.length);
+
+const levelValues = (config, levels) => {
+  const values = Array.from({ length: levels }, (_, i) => {
+    const raw = config.min + ((config.max - config.min) * i) / (levels - 1);
+    const snapped = Math.round((raw - config.min) / config.step) * config.step + config.min;
+    return Math.round(snapped * 1e6) / 1e6;
+  });
+  return [...new Set(values)];
+};
+
+/**
+ * Grille factorielle sur FEATURES_CONFIG (levels^n entrées), réduite à MAX_GRID_SIZE
+ * entrées tirées sans remise (tirage reproductible) ; les paramètres avancés gardent
+ * leur valeur courante
+ */
+export const buildComparisonGrid = (inputs, levels = GRID_LEVELS[0]) => {
+  const grid = FEATURES_CONFIG.reduce(
+    (list, config) => list.flatMap(entry =>
+      levelValues(config, levels).map(value => ({ ...entry, [config.key]: value }))
+    ),
+    [{ ...inputs }]
+  );
+  if (grid.length <= MAX_GRID_SIZE) return grid;
+
+  // Fisher-Yates partiel, puis ordre de la grille conservé
+  const random = createRandom(hashSeed([inputs, levels]));
+  const indices = grid.map((_, i) => i);
+  for (let i = 0; i < MAX_GRID_SIZE; i++) {
+    const j = i + Math.floor(random() * (indices.length - i));
+    [indices[i], indices[j]] = [indices[j], indices[i]];
+  }
+  return indices.slice(0, MAX_GRID_SIZE).sort((a, b) => a - b).map(i => grid[i]);
+};
+
+const summarizeErrors = (rows) => {
+  const errors = rows.map(row => row.error);
+  const sorted = [...errors].sort((a, b) => a - b);
+  const absolute = errors.map(Math.abs);
+  return {
+    bias: errors.reduce((total, e) => total + e, 0) / errors.length,
+    mae: absolute.reduce((total, e) => total + e, 0) / errors.length,
+    rmse: Math.sqrt(errors.reduce((total, e) => total + e * e, 0) / errors.length),
+    maxAbs: Math.max(...absolute),
+    p10: quantile(sorted, 0.1),
+    p50: quantile(sorted, 0.5),
+    p90: quantile(sorted, 0.9),
+    bandMismatchRate: rows.filter(row => row.bandMismatch).length / rows.length,
+  };
+};
+
+// Histogramme des écarts (simulation − API) par tranches de HISTOGRAM_BIN points
+const buildHistogram = (rows) => {
+  const counts = new Map();
+  rows.forEach(row => {
+    const start = Math.floor(row.error / HISTOGRAM_BIN) * HISTOGRAM_BIN;
+    counts.set(start, (counts.get(start) || 0) + 1);
+  });
+  const starts = [...counts.keys()];
+  const min = Math.min(...starts);
+  const max = Math.max(...starts);
+  const bins = [];
+  for (let start = min; start <= max; start += HISTOGRAM_BIN) {
+    bins.push({ start, end: start + HISTOGRAM_BIN, count: counts.get(start) || 0 });
+  }
+  return bins;
+};
+
+/**
+ * Zones trompeuses : pour chaque variable et chaque niveau, écarts des entrées
+ * partageant ce niveau (effet marginal sur la grille)
+ */
+const findRegions = (rows) => FEATURES_CONFIG.flatMap(config => {
+  const levels = [...new Set(rows.map(row => row.inputs[config.key]))].sort((a, b) => a - b);
+  if (levels.length < 2) return [];
+  return levels.map(value => {
+    const subset = rows.filter(row => row.inputs[config.key] === value);
+    const stats = summarizeErrors(subset);
+    return {
+      key: config.key,
+      label: config.shortLabel,
+      unit: config.unit,
+      value,
+      count: subset.length,
+      ...stats,
+      misleading: stats.mae > MISLEADING_ERROR || stats.bandMismatchRate > MISLEADING_BAND_RATE,
+    };
+  });
+});
+
+/**
+ * Compare l'API et la simulation sur une liste d'entrées.
+ * Retourne { rows, stats, histogram, regions, skipped } ; écarts en points (%), simulation − API
+ */
+export const compareEngines = async (inputsList) => {
+  const apiResults = await solarApi.predictBatch(inputsList);
+
+  // Entrées pour lesquelles l'API n'a pas répondu (repli hors ligne) : écartées
+  const rows = inputsList
+    .map((inputs, i) => ({ inputs, result: apiResults[i] }))
+    .filter(({ result }) => getEngine(result) === 'api')
+    .map(({ inputs, result }) => {
+      const api = result.efficiency_percent;
+      const local = simulateLocally.predict(inputs).efficiency_percent;
+      const error = local - api;
+      const bandMismatch = getEfficiencyBand(api) !== getEfficiencyBand(local);
+      return {
+        inputs,
+        api,
+        local,
+        error,
+        bandMismatch,
+        misleading: Math.abs(error) > MISLEADING_ERROR || bandMismatch,
+      };
+    });
+
+  if (rows.length === 0) {
+    throw new Error('L\'API n\'a répondu pour aucune entrée : comparaison impossible');
+  }
+
+  return {
+    rows,
+    stats: summarizeErrors(rows),
+    histogram: buildHistogram(rows),
+    regions: findRegions(rows),
+    skipped: inputsList.length - rows.length,
+  };
+};
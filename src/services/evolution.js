@@ -0,0 +1,80 @@
+/**
+ * Green AI Solar - Efficiency Evolution
+ * =====================================
+ * Évolution de l'efficacité sur la durée de vie et plans de maintenance,
+ * calculés avec le moteur de prédiction actif
+ */
+
+import { predictMany, getEngine, summarizeEngines } from './api';
+import { DEFAULT_SYSTEM_CONFIG, computeAnnualProduction } from './system';
+import { DEFAULT_HORIZON_YEARS, buildPlanInputs, summarizePlan } from './maintenance';
+
+// ============================================
+// Génération de l'évolution sur les années
+// ============================================
+
+export const generateYearlyEvolution = async (
+  baseInputs,
+  { useApi, system = DEFAULT_SYSTEM_CONFIG },
+  maxYears = 35
+) => {
+  const inputsList = [];
+  for (let year = 0; year <= maxYears; year++) {
+    inputsList.push({
+      ...baseInputs,
+      panel_age: year
+    });
+  }
+  
+  const results = await predictMany(inputsList, { useApi });
+  const data = [];
+  
+  results.forEach((result, year) => {
+    const efficiency = result.efficiency * 100;
+    
+    // Calcul de la production annuelle estimée (kWh pour l'installation configurée)
+    const annualProduction = computeAnnualProduction(result.efficiency, system);
+    
+    // Perte par rapport à l'année 0
+    const initialEfficiency = year === 0 ? efficiency : data[0].efficiency;
+    const degradation = ((initialEfficiency - efficiency) / initialEfficiency) * 100;
+    
+    data.push({
+      year,
+      yearLabel: `Année ${year}`,
+      efficiency: Math.round(efficiency * 10) / 10,
+      production: Math.round(annualProduction),
+      degradation: Math.round(degradation * 10) / 10,
+      engine: getEngine(result),
+      // Pour le tooltip
+      status: efficiency >= 60 ? 'Bon' : efficiency >= 45 ? 'Acceptable' : 'À remplacer'
+    });
+  });
+  
+  return { data, engine: summarizeEngines(results) };
+};
+
+// Générer les prédictions année par année pour chaque plan de maintenance
+export const generateMaintenanceComparison = async (
+  baseInputs,
+  plans,
+  { useApi, system = DEFAULT_SYSTEM_CONFIG, energyValue, horizonYears = DEFAULT_HORIZON_YEARS }
+) => {
+  const built = plans.map(plan => buildPlanInputs(baseInputs, plan, horizonYears));
+  const results = await predictMany(built.flatMap(b => b.inputsList), { useApi });
+  
+  const engines = {};
+  const summaries = {};
+  const data = Array.from({ length: horizonYears }, (_, year) => ({ year, yearLabel: `${year} ans` }));
+  
+  plans.forEach((plan, p) => {
+    const planResults = results.slice(p * horizonYears, (p + 1) * horizonYears);
+    planResults.forEach((result, year) => {
+      data[year][plan.id] = Math.round(result.efficiency * 1000) / 10;
+    });
+    engines[plan.id] = summarizeEngines(planResults);
+    summaries[plan.id] = summarizePlan(plan, planResults, built[p].cleaningsByYear, { system, energyValue });
+  });
+  
+  return { data, engines, summaries };
+};
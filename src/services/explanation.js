@@ -0,0 +1,149 @@
+/**
+ * Green AI Solar - Prediction Explanation
+ * =======================================
+ * Contribution de chaque variable à l'écart entre une prédiction de référence
+ * (entrées par défaut) et la prédiction courante : exacte pour la simulation
+ * additive, valeurs de Shapley échantillonnées pour l'API et le modèle exporté
+ */
+
+import { predictMany, simulateLocally, summarizeEngines, getLocalModel } from './api';
+import { FEATURES_CONFIG, ADDITIONAL_FEATURES, getDefaultInputs } from '../config/features';
+import { createRandom, hashSeed } from '../utils/random';
+
+export const DEFAULT_PERMUTATIONS = 24;
+
+const ADVANCED_PLAYER = {
+  key: 'advanced',
+  label: 'Paramètres avancés',
+  keys: ADDITIONAL_FEATURES.map(feature => feature.key),
+};
+
+// Une variable = un « joueur » ; les paramètres avancés modifiés n'en forment qu'un
+const getPlayers = (inputs, baseline) => {
+  const players = FEATURES_CONFIG.map(config => ({ key: config.key, label: config.shortLabel, keys: [config.key] }));
+  const advancedChanged = ADVANCED_PLAYER.keys.some(key => inputs[key] !== baseline[key]);
+  return advancedChanged ? [...players, ADVANCED_PLAYER] : players;
+};
+
+const withPlayers = (baseline, inputs, players) => {
+  const coalition = { ...baseline };
+  players.forEach(player => player.keys.forEach(key => {
+    coalition[key] = inputs[key];
+  }));
+  return coalition;
+};
+
+const shuffle = (items, random) => {
+  const result = [...items];
+  for (let i = result.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [result[i], result[j]] = [result[j], result[i]];
+  }
+  return result;
+};
+
+const toContributions = (players, values) =>
+  players.map((player, i) => ({ key: player.key, label: player.label, contribution: values[i] }));
+
+/**
+ * Décomposition exacte de la simulation locale : différence des termes additifs.
+ * Le bornage [10 %, 85 %] éventuel apparaît comme une contribution à part.
+ */
+const explainSimulation = (inputs, baseline, players) => {
+  const baseTerms = simulateLocally.terms(baseline);
+  const terms = simulateLocally.terms(inputs);
+  const values = players.map(player => player.keys.reduce(
+    (total, key) => total + ((terms[key] ?? 0) - (baseTerms[key] ?? 0)) * 100,
+    0
+  ));
+
+  const base = simulateLocally.predict(baseline).efficiency * 100;
+  const prediction = simulateLocally.predict(inputs).efficiency * 100;
+  const contributions = toContributions(players, values);
+  const clamp = prediction - base - values.reduce((total, value) => total + value, 0);
+  if (Math.abs(clamp) > 1e-9) {
+    contributions.push({ key: 'clamp', label: 'Bornage du modèle', contribution: clamp });
+  }
+
+  return { base, prediction, contributions, method: 'exact', engine: 'simulated' };
+};
+
+/**
+ * Valeurs de Shapley par échantillonnage de permutations : les joueurs passent un à un
+ * de la référence aux valeurs courantes, chaque gain marginal est attribué au joueur ajouté.
+ * La somme des contributions vaut exactement prédiction − référence.
+ */
+const explainSampled = async (inputs, baseline, players, { useApi, permutations, seed }) => {
+  const random = createRandom(seed);
+  const orders = Array.from({ length: permutations }, () => shuffle(players.map((_, i) => i), random));
+
+  const inputsList = orders.flatMap(order => order.map((_, step) =>
+    withPlayers(baseline, inputs, order.slice(0, step + 1).map(i => players[i]))
+  ));
+  const results = await predictMany([baseline, inputs, ...inputsList], { useApi });
+
+  const base = results[0].efficiency * 100;
+  const prediction = results[1].efficiency * 100;
+  const sums = players.map(() => 0);
+  orders.forEach((order, o) => {
+    let previous = base;
+    order.forEach((playerIndex, step) => {
+      const current = results[2 + o * players.length + step].efficiency * 100;
+      sums[playerIndex] += current - previous;
+      previous = current;
+    });
+  });
+
+  return {
+    base,
+    prediction,
+    contributions: toContributions(players, sums.map(sum => sum / permutations)),
+    method: 'shapley',
+    permutations,
+    engine: summarizeEngines(results),
+  };
+};
+
+/**
+ * Explication d'une prédiction : { base, prediction, contributions, method, engine }
+ * contributions : [{ key, label, contribution }] en points d'efficacité (%)
+ */
+export const explainPrediction = async (inputs, { useApi, permutations = DEFAULT_PERMUTATIONS } = {}) => {
+  const baseline = getDefaultInputs();
+  const players = getPlayers(inputs, baseline);
+
+  if (!useApi && !getLocalModel()) return explainSimulation(inputs, baseline, players);
+  return explainSampled(inputs, baseline, players, { useApi, permutations, seed: hashSeed(inputs) });
+};
+
+/**
+ * Barres du diagramme en cascade : référence, contributions (triées par importance), prédiction
+ */
+export const buildWaterfall = ({ base, prediction, contributions }) => {
+  const sorted = [...contributions]
+    .filter(item => Math.abs(item.contribution) >= 0.05)
+    .sort((a, b) => Math.abs(b.contribution) - Math.abs(a.contribution));
+  const negligible = contributions
+    .filter(item => Math.abs(item.contribution) < 0.05)
+    .reduce((total, item) => total + item.contribution, 0);
+  if (Math.abs(negligible) > 1e-9) {
+    sorted.push({ key: 'other', label: 'Autres', contribution: negligible });
+  }
+
+  let running = base;
+  const steps = sorted.map(item => {
+    const start = running;
+    running += item.contribution;
+    return {
+      ...item,
+      kind: item.contribution >= 0 ? 'positive' : 'negative',
+      range: [Math.min(start, running), Math.max(start, running)],
+    };
+  });
+
+  return [
+    { key: 'base', label: 'Référence', contribution: base, kind: 'total', range: [0, base] },
+    ...steps,
+    { key: 'prediction', label: 'Prédiction', contribution: prediction, kind: 'total', range: [0, prediction] },
+  ];
+};
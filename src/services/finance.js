@@ -0,0 +1,97 @@
+/**
+ * Green AI Solar - Financial Model
+ * ================================
+ * Flux de trésorerie, VAN, TRI, temps de retour et LCOE à partir de la production annuelle
+ */
+
+export const DEFAULT_FINANCE_PARAMS = {
+  installationCost: 8000,     // € TTC, pose comprise (installation par défaut de 4 kWc)
+  tariff: 0.25,               // €/kWh acheté au réseau
+  tariffEscalation: 3,        // %/an
+  feedInTariff: 0.10,         // €/kWh revendu
+  selfConsumptionRate: 70,    // % de la production autoconsommée
+  discountRate: 4,            // %/an
+  maintenanceCost: 100,       // €/an
+};
+
+const npvAt = (cashFlows, rate) =>
+  cashFlows.reduce((total, cashFlow, year) => total + cashFlow / Math.pow(1 + rate, year), 0);
+
+/**
+ * TRI par dichotomie ; null si la VAN ne change pas de signe sur [-99 %, 100 %]
+ */
+export const computeIrr = (cashFlows) => {
+  let low = -0.99;
+  let high = 1;
+  if (npvAt(cashFlows, low) * npvAt(cashFlows, high) > 0) return null;
+
+  for (let i = 0; i < 100; i++) {
+    const mid = (low + high) / 2;
+    if (npvAt(cashFlows, low) * npvAt(cashFlows, mid) <= 0) {
+      high = mid;
+    } else {
+      low = mid;
+    }
+  }
+  return (low + high) / 2;
+};
+
+/**
+ * Modèle financier sur l'horizon de yearlyData (issu de generateYearlyEvolution).
+ * L'année d'exploitation n utilise la production du panneau âgé de n - 1 ans.
+ */
+export const computeFinancials = (yearlyData, params) => {
+  const rate = params.discountRate / 100;
+  const escalation = params.tariffEscalation / 100;
+  const selfShare = params.selfConsumptionRate / 100;
+  const horizon = yearlyData.length - 1;
+
+  const years = [{
+    year: 0,
+    production: 0,
+    revenue: 0,
+    maintenance: 0,
+    cashFlow: -params.installationCost,
+    cumulative: -params.installationCost,
+    discountedCumulative: -params.installationCost,
+  }];
+
+  let discountedCosts = params.installationCost;
+  let discountedEnergy = 0;
+
+  for (let year = 1; year <= horizon; year++) {
+    const production = yearlyData[year - 1].production;
+    const tariff = params.tariff * Math.pow(1 + escalation, year - 1);
+    const revenue = production * (selfShare * tariff + (1 - selfShare) * params.feedInTariff);
+    const cashFlow = revenue - params.maintenanceCost;
+    const discount = Math.pow(1 + rate, year);
+    const previous = years[year - 1];
+
+    discountedCosts += params.maintenanceCost / discount;
+    discountedEnergy += production / discount;
+
+    years.push({
+      year,
+      production,
+      revenue,
+      maintenance: params.maintenanceCost,
+      cashFlow,
+      cumulative: previous.cumulative + cashFlow,
+      discountedCumulative: previous.discountedCumulative + cashFlow / discount,
+    });
+  }
+
+  const cashFlows = years.map(y => y.cashFlow);
+  const paybackYear = years.find(y => y.year > 0 && y.cumulative >= 0)?.year ?? null;
+  const discountedPaybackYear = years.find(y => y.year > 0 && y.discountedCumulative >= 0)?.year ?? null;
+
+  return {
+    years,
+    npv: npvAt(cashFlows, rate),
+    irr: computeIrr(cashFlows),
+    paybackYear,
+    discountedPaybackYear,
+    lcoe: discountedEnergy > 0 ? discountedCosts / discountedEnergy : null,
+    totalRevenue: years.reduce((total, y) => total + y.revenue, 0),
+  };
+};
@@ -0,0 +1,104 @@
+/**
+ * Green AI Solar - Prediction History
+ * ===================================
+ * Journal des prédictions stocké dans IndexedDB (mémoire en secours si indisponible)
+ */
+
+const DB_NAME = 'green-ai-solar';
+const DB_VERSION = 1;
+const STORE = 'predictions';
+
+// Au-delà, les enregistrements les plus anciens sont supprimés
+const MAX_RECORDS = 1000;
+
+let dbPromise = null;
+let memoryRecords = [];
+let memoryId = 0;
+
+const requestToPromise = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+const openDb = () => {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve) => {
+      if (typeof indexedDB === 'undefined') {
+        resolve(null);
+        return;
+      }
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        const store = request.result.createObjectStore(STORE, { keyPath: 'id', autoIncrement: true });
+        store.createIndex('timestamp', 'timestamp');
+      };
+      request.onsuccess = () => resolve(request.result);
+      // Navigation privée ou quota : on se contente de la mémoire
+      request.onerror = () => resolve(null);
+    });
+  }
+  return dbPromise;
+};
+
+const withStore = async (mode, fn) => {
+  const db = await openDb();
+  if (!db) return null;
+  const transaction = db.transaction(STORE, mode);
+  const completed = new Promise((resolve, reject) => {
+    transaction.oncomplete = resolve;
+    transaction.onerror = () => reject(transaction.error);
+  });
+  const result = await fn(transaction.objectStore(STORE));
+  await completed;
+  return result;
+};
+
+/**
+ * Enregistre une prédiction : { inputs, result, engine, error, issues }
+ * (issues : alertes de cohérence affichées au moment de la prédiction)
+ */
+export const addHistoryRecord = async ({ inputs, result, engine, error = null, issues = [] }) => {
+  const record = {
+    timestamp: new Date().toISOString(),
+    inputs: { ...inputs },
+    engine,
+    efficiency: result?.efficiency ?? null,
+    efficiency_percent: result?.efficiency_percent ?? null,
+    quality_label: result?.quality_label ?? null,
+    error,
+    issues,
+  };
+
+  const db = await openDb();
+  if (!db) {
+    memoryRecords = [...memoryRecords, { ...record, id: ++memoryId }].slice(-MAX_RECORDS);
+    return;
+  }
+
+  await withStore('readwrite', async (store) => {
+    await requestToPromise(store.add(record));
+    const count = await requestToPromise(store.count());
+    if (count > MAX_RECORDS) {
+      const oldestKeys = await requestToPromise(store.getAllKeys(null, count - MAX_RECORDS));
+      oldestKeys.forEach(key => store.delete(key));
+    }
+  });
+};
+
+/**
+ * Tous les enregistrements, du plus ancien au plus récent
+ */
+export const listHistoryRecords = async () => {
+  const records = await withStore('readonly', store => requestToPromise(store.index('timestamp').getAll()));
+  return records ?? [...memoryRecords];
+};
+
+export const deleteHistoryRecord = async (id) => {
+  memoryRecords = memoryRecords.filter(record => record.id !== id);
+  await withStore('readwrite', store => requestToPromise(store.delete(id)));
+};
+
+export const clearHistory = async () => {
+  memoryRecords = [];
+  await withStore('readwrite', store => requestToPromise(store.clear()));
+};
@@ -0,0 +1,77 @@
+/**
+ * Green AI Solar - Local Engines
+ * ==============================
+ * Moteurs sans backend : simulation heuristique et modèle exporté.
+ * Aucune dépendance à axios : importable tel quel par les Web Workers.
+ */
+
+import { predictWithTreeModel } from './treeModel';
+
+/**
+ * Moteur ayant produit un résultat : 'api', 'model' (modèle exporté, navigateur) ou 'simulated'
+ */
+export const getEngine = (result) => {
+  if (result?.confidence === 'simulated') return 'simulated';
+  return result?.confidence === 'local-model' ? 'model' : 'api';
+};
+
+/**
+ * Moteur d'une série complète : 'api', 'model', 'simulated' ou 'mixed'
+ */
+export const summarizeEngines = (results) => {
+  const engines = new Set(results.map(getEngine));
+  if (engines.size > 1) return 'mixed';
+  return engines.values().next().value || 'simulated';
+};
+
+/**
+ * Simulation locale (fallback si le backend n'est pas disponible)
+ */
+export const simulateLocally = {
+  intercept: 0.3,
+
+  // Modèle additif : un terme par variable, sommés puis bornés dans predict
+  terms: (inputs) => ({
+    // Irradiance (67% d'importance)
+    irradiance: (inputs.irradiance / 1000) * 0.35,
+
+    // Soiling ratio (23% d'importance)
+    soiling_ratio: inputs.soiling_ratio * 0.15,
+
+    // Panel age (8% d'importance) - effet négatif
+    panel_age: -(inputs.panel_age / 35) * 0.08,
+
+    // Effets mineurs
+    temperature: inputs.temperature > 25 ? -((inputs.temperature - 25) / 100) * 0.03 : 0,
+    humidity: -(inputs.humidity / 100) * 0.02,
+    cloud_coverage: -(inputs.cloud_coverage / 100) * 0.02,
+  }),
+
+  predict: (inputs) => {
+    let efficiency = Object.values(simulateLocally.terms(inputs))
+      .reduce((total, term) => total + term, simulateLocally.intercept);
+    
+    // Clamp
+    efficiency = Math.max(0.1, Math.min(0.85, efficiency));
+    
+    return {
+      efficiency: efficiency,
+      efficiency_percent: efficiency * 100,
+      quality_label: getQualityLabel(efficiency),
+      confidence: 'simulated',
+    };
+  }
+};
+
+/**
+ * Prédiction locale : modèle exporté s'il est fourni, sinon simulation
+ */
+export const predictLocally = (model, inputs) =>
+  (model ? predictWithTreeModel(model, inputs) : simulateLocally.predict(inputs));
+
+function getQualityLabel(efficiency) {
+  if (efficiency < 0.3) return 'Faible';
+  if (efficiency < 0.5) return 'Modérée';
+  if (efficiency < 0.7) return 'Bonne';
+  return 'Excellente';
+}
@@ -0,0 +1,172 @@
+/**
+ * Green AI Solar - Maintenance Plans
+ * ==================================
+ * Plans de nettoyage définis par l'utilisateur : encrassement en dents de scie,
+ * coût des interventions et recherche de la fréquence de nettoyage optimale
+ */
+
+import { predictMany, summarizeEngines } from './api';
+import { DEFAULT_SYSTEM_CONFIG, computeAnnualProduction } from './system';
+import { readStorage, writeStorage } from '../utils/storage';
+import { createId } from '../utils/id';
+
+const STORAGE_KEY = 'maintenance-plans';
+
+// Propreté d'un panneau neuf ou parfaitement nettoyé, et plancher d'encrassement
+export const CLEAN_SOILING_RATIO = 0.85;
+export const MIN_SOILING_RATIO = 0.4;
+
+// maintenance_count reste dans la plage vue à l'entraînement du modèle
+const MAX_MAINTENANCE_COUNT = 10;
+
+export const DEFAULT_HORIZON_YEARS = 30;
+
+// Intervalles testés par l'optimiseur (mois, 0 = jamais)
+export const CANDIDATE_INTERVALS = [0, 24, 12, 6, 4, 3, 2, 1];
+
+export const PLAN_COLORS = ['#ef4444', '#f59e0b', '#22c55e', '#10b981', '#3b82f6', '#8b5cf6', '#ec4899', '#64748b'];
+
+export const DEFAULT_MAINTENANCE_PLANS = [
+  { id: 'none', name: 'Sans entretien', cleaningIntervalMonths: 0, soilingRatePerMonth: 0.01, recoveryPerCleaning: 0.9, costPerIntervention: 0, color: '#ef4444' },
+  { id: 'yearly', name: 'Nettoyage annuel', cleaningIntervalMonths: 12, soilingRatePerMonth: 0.01, recoveryPerCleaning: 0.9, costPerIntervention: 150, color: '#f59e0b' },
+  { id: 'biannual', name: 'Nettoyage semestriel', cleaningIntervalMonths: 6, soilingRatePerMonth: 0.01, recoveryPerCleaning: 0.9, costPerIntervention: 150, color: '#22c55e' },
+  { id: 'quarterly', name: 'Nettoyage trimestriel', cleaningIntervalMonths: 3, soilingRatePerMonth: 0.01, recoveryPerCleaning: 0.95, costPerIntervention: 150, color: '#10b981' },
+];
+
+export const DEFAULT_ENERGY_VALUE = 0.25; // €/kWh
+
+export const loadMaintenanceSettings = () => {
+  const stored = readStorage(STORAGE_KEY, {});
+  return {
+    plans: Array.isArray(stored.plans) && stored.plans.length > 0 ? stored.plans : DEFAULT_MAINTENANCE_PLANS,
+    energyValue: Number.isFinite(stored.energyValue) ? stored.energyValue : DEFAULT_ENERGY_VALUE,
+  };
+};
+
+export const saveMaintenanceSettings = (settings) => writeStorage(STORAGE_KEY, settings);
+
+export const createPlan = (plans) => ({
+  id: createId(),
+  name: `Plan ${plans.length + 1}`,
+  cleaningIntervalMonths: 6,
+  soilingRatePerMonth: 0.01,
+  recoveryPerCleaning: 0.9,
+  costPerIntervention: 150,
+  color: PLAN_COLORS[plans.length % PLAN_COLORS.length],
+});
+
+/**
+ * Propreté mois par mois : perte linéaire entre deux nettoyages, puis récupération
+ * d'une fraction de l'écart à CLEAN_SOILING_RATIO à chaque intervention.
+ * Retourne { months: [{ month, soiling, cleaned }], cleaningsByYear }
+ */
+export const simulateSoiling = (plan, horizonYears = DEFAULT_HORIZON_YEARS) => {
+  const months = [];
+  const cleaningsByYear = new Array(horizonYears).fill(0);
+  let soiling = CLEAN_SOILING_RATIO;
+
+  for (let month = 0; month < horizonYears * 12; month++) {
+    months.push({ month, soiling, cleaned: false });
+    soiling = Math.max(MIN_SOILING_RATIO, soiling - plan.soilingRatePerMonth);
+
+    if (plan.cleaningIntervalMonths > 0 && (month + 1) % plan.cleaningIntervalMonths === 0) {
+      soiling += plan.recoveryPerCleaning * (CLEAN_SOILING_RATIO - soiling);
+      cleaningsByYear[Math.floor(month / 12)]++;
+      months[months.length - 1] = { ...months[months.length - 1], cleaned: true };
+    }
+  }
+
+  return { months, cleaningsByYear };
+};
+
+/**
+ * Courbe en dents de scie pour le graphique : la chute avant nettoyage et la
+ * remontée après sont deux points à la même abscisse
+ */
+export const getSawtoothPoints = (plan, horizonYears = DEFAULT_HORIZON_YEARS) => {
+  const points = [];
+  let soiling = CLEAN_SOILING_RATIO;
+
+  for (let month = 0; month < horizonYears * 12; month++) {
+    soiling = Math.max(MIN_SOILING_RATIO, soiling - plan.soilingRatePerMonth);
+    const time = (month + 1) / 12;
+    if (plan.cleaningIntervalMonths > 0 && (month + 1) % plan.cleaningIntervalMonths === 0) {
+      points.push({ time, soiling });
+      soiling += plan.recoveryPerCleaning * (CLEAN_SOILING_RATIO - soiling);
+    }
+    points.push({ time, soiling });
+  }
+
+  return [{ time: 0, soiling: CLEAN_SOILING_RATIO }, ...points];
+};
+
+/**
+ * Entrées du modèle année par année pour un plan (propreté moyenne de l'année)
+ */
+export const buildPlanInputs = (baseInputs, plan, horizonYears = DEFAULT_HORIZON_YEARS) => {
+  const { months, cleaningsByYear } = simulateSoiling(plan, horizonYears);
+  let cumulativeCleanings = 0;
+
+  const inputsList = cleaningsByYear.map((cleanings, year) => {
+    const yearMonths = months.slice(year * 12, (year + 1) * 12);
+    const averageSoiling = yearMonths.reduce((total, m) => total + m.soiling, 0) / yearMonths.length;
+    cumulativeCleanings += cleanings;
+    return {
+      ...baseInputs,
+      panel_age: year,
+      soiling_ratio: Math.round(averageSoiling * 1000) / 1000,
+      maintenance_count: Math.min(cumulativeCleanings, MAX_MAINTENANCE_COUNT),
+    };
+  });
+
+  return { inputsList, cleaningsByYear };
+};
+
+/**
+ * Bilan d'un plan à partir des prédictions annuelles
+ */
+export const summarizePlan = (plan, results, cleaningsByYear, { system, energyValue }) => {
+  const energy = results.reduce((total, result) => total + computeAnnualProduction(result.efficiency, system), 0);
+  const cleanings = cleaningsByYear.reduce((total, count) => total + count, 0);
+  const cost = cleanings * plan.costPerIntervention;
+  return {
+    energy,
+    cleanings,
+    cost,
+    netValue: energy * energyValue - cost,
+    engine: summarizeEngines(results),
+  };
+};
+
+/**
+ * Teste plusieurs fréquences de nettoyage pour l'encrassement et le coût d'un plan,
+ * et retient celle qui maximise la valeur nette (énergie valorisée - coût des interventions)
+ */
+export const optimizeCleaningInterval = async (baseInputs, plan, {
+  useApi,
+  system = DEFAULT_SYSTEM_CONFIG,
+  energyValue = DEFAULT_ENERGY_VALUE,
+  horizonYears = DEFAULT_HORIZON_YEARS,
+}) => {
+  const variants = CANDIDATE_INTERVALS.map(interval => ({ ...plan, cleaningIntervalMonths: interval }));
+  const built = variants.map(variant => buildPlanInputs(baseInputs, variant, horizonYears));
+  const results = await predictMany(built.flatMap(b => b.inputsList), { useApi });
+
+  const candidates = variants.map((variant, v) => {
+    const variantResults = results.slice(v * horizonYears, (v + 1) * horizonYears);
+    return {
+      interval: variant.cleaningIntervalMonths,
+      ...summarizePlan(variant, variantResults, built[v].cleaningsByYear, { system, energyValue }),
+    };
+  });
+
+  const best = candidates.reduce((top, candidate) => (candidate.netValue > top.netValue ? candidate : top));
+  return { candidates, best, engine: summarizeEngines(results) };
+};
+
+export const formatInterval = (months) => {
+  if (months === 0) return 'Jamais';
+  if (months === 12) return '1 fois/an';
+  if (months % 12 === 0) return `Tous les ${months / 12} ans`;
+  return `Tous les ${months} mois`;
+};
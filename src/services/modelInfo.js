@@ -0,0 +1,110 @@
+/**
+ * Green AI Solar - Model Metadata
+ * ===============================
+ * Métadonnées du modèle (/model-info) et importance des variables (/feature-importance)
+ * avec cache navigateur et valeurs statiques de secours hors ligne
+ */
+
+import { solarApi } from './api';
+import { readStorage, writeStorage } from '../utils/storage';
+
+const STORAGE_KEY = 'model-metadata';
+
+// Valeurs du dernier entraînement connu, utilisées tant que l'API n'a jamais répondu
+export const OFFLINE_MODEL_METADATA = {
+  source: 'offline',
+  fetchedAt: null,
+  info: {
+    modelName: 'GradientBoosting',
+    r2: 0.814,
+    mse: 0.002,
+    version: null,
+    trainedAt: null,
+  },
+  featureImportance: [
+    { key: 'irradiance', value: 0.669 },
+    { key: 'soiling_ratio', value: 0.229 },
+    { key: 'panel_age', value: 0.078 },
+    { key: 'humidity', value: 0.011 },
+    { key: 'module_temperature', value: 0.005 },
+    { key: 'temperature', value: 0.003 },
+  ],
+};
+
+const firstDefined = (obj, keys) => {
+  for (const key of keys) {
+    if (obj?.[key] !== undefined && obj[key] !== null) return obj[key];
+  }
+  return null;
+};
+
+const normalizeModelInfo = (raw) => {
+  const metrics = raw?.metrics || raw?.performance || {};
+  const r2 = firstDefined(raw, ['r2', 'r2_score', 'test_r2']) ?? firstDefined(metrics, ['r2', 'r2_score', 'test_r2']);
+  const mse = firstDefined(raw, ['mse', 'test_mse']) ?? firstDefined(metrics, ['mse', 'test_mse']);
+
+  return {
+    modelName: firstDefined(raw, ['model_type', 'model_name', 'name']) || OFFLINE_MODEL_METADATA.info.modelName,
+    r2: r2 !== null ? Number(r2) : null,
+    mse: mse !== null ? Number(mse) : null,
+    version: firstDefined(raw, ['version', 'model_version']),
+    trainedAt: firstDefined(raw, ['trained_at', 'training_date', 'last_trained']),
+  };
+};
+
+// Accepte { feature: valeur }, [{ feature, importance }] ou une enveloppe { feature_importance: ... }
+const normalizeFeatureImportance = (raw) => {
+  const payload = raw?.feature_importance || raw?.importances || raw?.features || raw;
+
+  const entries = Array.isArray(payload)
+    ? payload.map(item => ({
+      key: item.feature ?? item.name ?? item.key,
+      value: Number(item.importance ?? item.value),
+    }))
+    : Object.entries(payload || {}).map(([key, value]) => ({ key, value: Number(value) }));
+
+  return entries
+    .filter(entry => entry.key && Number.isFinite(entry.value))
+    .sort((a, b) => b.value - a.value);
+};
+
+const readCache = () => {
+  const stored = readStorage(STORAGE_KEY);
+  if (!stored?.info || !Array.isArray(stored.featureImportance)) return null;
+  return { ...stored, source: 'cached' };
+};
+
+/**
+ * Métadonnées disponibles sans réseau : cache navigateur, sinon valeurs statiques
+ */
+export const getCachedModelMetadata = () => readCache() || OFFLINE_MODEL_METADATA;
+
+let pendingRequest = null;
+
+/**
+ * Charge les métadonnées depuis l'API (une seule requête en vol à la fois).
+ * En cas d'échec, retourne la dernière version en cache ou les valeurs statiques.
+ */
+export const loadModelMetadata = () => {
+  if (!pendingRequest) {
+    pendingRequest = Promise.all([solarApi.getModelInfo(), solarApi.getFeatureImportance()])
+      .then(([info, importance]) => {
+        const featureImportance = normalizeFeatureImportance(importance);
+        const metadata = {
+          source: 'live',
+          fetchedAt: new Date().toISOString(),
+          info: normalizeModelInfo(info),
+          featureImportance: featureImportance.length > 0
+            ? featureImportance
+            : getCachedModelMetadata().featureImportance,
+        };
+        writeStorage(STORAGE_KEY, metadata);
+        return metadata;
+      })
+      .catch(() => getCachedModelMetadata())
+      .finally(() => {
+        pendingRequest = null;
+      });
+  }
+  return pendingRequest;
+};
@@ -0,0 +1,65 @@
+/**
+ * Green AI Solar - Model Parity Check
+ * ===================================
+ * Compare le modèle exporté (navigateur) aux réponses de /predict
+ * sur les entrées courantes et un échantillon couvrant les plages des curseurs
+ */
+
+import { ALL_FEATURES, getDefaultInputs } from '../config/features';
+import { createRandom } from '../utils/random';
+import { solarApi, getEngine } from './api';
+import { predictWithTreeModel } from './treeModel';
+
+export const PARITY_SAMPLES = 50;
+
+const snap = (value, config) =>
+  Math.round((Math.round((value - config.min) / config.step) * config.step + config.min) * 1e6) / 1e6;
+
+/**
+ * Entrées tirées uniformément dans les plages (graine fixe : même échantillon à chaque vérification)
+ */
+export const generateParityInputs = (count = PARITY_SAMPLES, seed = 42) => {
+  const random = createRandom(seed);
+  return Array.from({ length: count }, () => {
+    const inputs = getDefaultInputs();
+    ALL_FEATURES.forEach(config => {
+      inputs[config.key] = snap(config.min + (config.max - config.min) * random(), config);
+    });
+    return inputs;
+  });
+};
+
+/**
+ * Écarts (points d'efficacité, %) entre le modèle exporté et l'API.
+ * Retourne { maxDeviation, meanDeviation, count, worst: { inputs, api, local } }
+ */
+export const checkModelParity = async (model, { inputs = null, samples = PARITY_SAMPLES } = {}) => {
+  const inputsList = [...(inputs ? [inputs] : []), ...generateParityInputs(samples)];
+  const apiResults = await solarApi.predictBatch(inputsList);
+
+  // predictBatch retombe sur le moteur hors ligne en cas d'échec : ces lignes ne comptent pas
+  const compared = inputsList
+    .map((entry, i) => ({ inputs: entry, api: apiResults[i] }))
+    .filter(({ api }) => getEngine(api) === 'api')
+    .map(({ inputs: entry, api }) => {
+      const local = predictWithTreeModel(model, entry);
+      return {
+        inputs: entry,
+        api: api.efficiency_percent,
+        local: local.efficiency_percent,
+        deviation: Math.abs(api.efficiency_percent - local.efficiency_percent),
+      };
+    });
+
+  if (compared.length === 0) {
+    throw new Error('L\'API n\'a répondu pour aucune entrée : comparaison impossible');
+  }
+
+  const worst = compared.reduce((max, row) => (row.deviation > max.deviation ? row : max));
+  return {
+    maxDeviation: worst.deviation,
+    meanDeviation: compared.reduce((total, row) => total + row.deviation, 0) / compared.length,
+    count: compared.length,
+    worst,
+  };
+};
@@ -0,0 +1,43 @@
+/**
+ * Green AI Solar - Monte Carlo Runner
+ * ===================================
+ * Lancement de la propagation d'incertitude : moteur local dans un Web Worker,
+ * API depuis le thread principal (module séparé : le worker lui-même importe uncertainty.js)
+ */
+
+import { runMonteCarlo } from './uncertainty';
+import { getLocalModel, predictMany } from './api';
+
+/**
+ * Lance runMonteCarlo dans un Web Worker (repli sur le thread principal si indisponible).
+ * Avec options.useApi, les requêtes partent du thread principal : le worker n'embarque pas axios.
+ * Retourne { promise, cancel } : cancel() arrête le worker et la promesse ne se résout jamais.
+ */
+export const runMonteCarloInWorker = (inputs, uncertainty, options) => {
+  if (options.useApi) {
+    const predictList = (inputsList) => predictMany(inputsList, { useApi: true });
+    return { promise: runMonteCarlo(inputs, uncertainty, { ...options, predictList }), cancel: () => {} };
+  }
+
+  // Le worker a son propre état de module : on lui transmet le modèle exporté actif
+  const workerOptions = { ...options, model: getLocalModel() };
+  if (typeof Worker === 'undefined') {
+    return { promise: runMonteCarlo(inputs, uncertainty, workerOptions), cancel: () => {} };
+  }
+
+  const worker = new Worker(new URL('../workers/monteCarlo.worker.js', import.meta.url), { type: 'module' });
+  const promise = new Promise((resolve, reject) => {
+    worker.onmessage = (event) => {
+      worker.terminate();
+      if (event.data.error) reject(new Error(event.data.error));
+      else resolve(event.data.result);
+    };
+    worker.onerror = (event) => {
+      worker.terminate();
+      reject(new Error(event.message || 'Erreur du worker Monte Carlo'));
+    };
+  });
+  worker.postMessage({ inputs, uncertainty, options: workerOptions });
+
+  return { promise, cancel: () => worker.terminate() };
+};
@@ -0,0 +1,40 @@
+/**
+ * Green AI Solar - Partial Dependence
+ * ===================================
+ * Efficacité sur une grille de deux variables, les autres entrées restant fixées
+ */
+
+import { predictMany, summarizeEngines } from './api';
+import { FEATURES_CONFIG } from '../config/features';
+
+const gridValues = (config, resolution) => {
+  const values = Array.from({ length: resolution }, (_, i) => {
+    const raw = config.min + ((config.max - config.min) * i) / (resolution - 1);
+    const snapped = Math.round((raw - config.min) / config.step) * config.step + config.min;
+    return Math.round(snapped * 1e6) / 1e6;
+  });
+  return [...new Set(values)];
+};
+
+/**
+ * Retourne { xValues, yValues, cells, engine } où cells[j][i] est l'efficacité (%)
+ * pour xValues[i] et yValues[j]
+ */
+export const computeEfficiencyGrid = async (inputs, xKey, yKey, { resolution = 15, useApi }) => {
+  const xConfig = FEATURES_CONFIG.find(c => c.key === xKey);
+  const yConfig = FEATURES_CONFIG.find(c => c.key === yKey);
+  const xValues = gridValues(xConfig, resolution);
+  const yValues = gridValues(yConfig, resolution);
+
+  const inputsList = [];
+  yValues.forEach(y => {
+    xValues.forEach(x => {
+      inputsList.push({ ...inputs, [xKey]: x, [yKey]: y });
+    });
+  });
+
+  const results = await predictMany(inputsList, { useApi });
+  const cells = yValues.map((_, j) => xValues.map((_, i) => results[j * xValues.length + i].efficiency * 100));
+
+  return { xKey, yKey, xValues, yValues, cells, engine: summarizeEngines(results) };
+};
@@ -0,0 +1,44 @@
+/**
+ * Green AI Solar - Scenarios
+ * ==========================
+ * Jeux d'entrées nommés, persistés dans le navigateur
+ */
+
+import { readStorage, writeStorage } from '../utils/storage';
+import { createId } from '../utils/id';
+
+const STORAGE_KEY = 'scenarios';
+
+export const MAX_COMPARED_SCENARIOS = 4;
+
+export const loadScenarios = () => {
+  const stored = readStorage(STORAGE_KEY, []);
+  return Array.isArray(stored) ? stored.filter(scenario => scenario?.id && scenario.inputs) : [];
+};
+
+export const saveScenarios = (scenarios) => writeStorage(STORAGE_KEY, scenarios);
+
+// Les fonctions suivantes retournent une nouvelle liste, sans effet de bord
+
+export const addScenario = (scenarios, name, inputs) => {
+  const now = new Date().toISOString();
+  return [...scenarios, { id: createId(), name, inputs: { ...inputs }, createdAt: now, updatedAt: now }];
+};
+
+export const renameScenario = (scenarios, id, name) =>
+  scenarios.map(scenario => (
+    scenario.id === id ? { ...scenario, name, updatedAt: new Date().toISOString() } : scenario
+  ));
+
+export const updateScenarioInputs = (scenarios, id, inputs) =>
+  scenarios.map(scenario => (
+    scenario.id === id ? { ...scenario, inputs: { ...inputs }, updatedAt: new Date().toISOString() } : scenario
+  ));
+
+export const duplicateScenario = (scenarios, id) => {
+  const source = scenarios.find(scenario => scenario.id === id);
+  if (!source) return scenarios;
+  return addScenario(scenarios, `${source.name} (copie)`, source.inputs);
+};
+
+export const deleteScenario = (scenarios, id) => scenarios.filter(scenario => scenario.id !== id);
@@ -0,0 +1,89 @@
+/**
+ * Green AI Solar - Local Sensitivity
+ * ==================================
+ * Sensibilité locale de l'efficacité autour du point de fonctionnement courant
+ * (diagramme tornado et balayages par variable), via le moteur de prédiction actif
+ */
+
+import { predictMany, summarizeEngines } from './api';
+import { FEATURES_CONFIG } from '../config/features';
+
+const clamp = (value, config) => Math.min(config.max, Math.max(config.min, value));
+
+// Arrondi au pas du slider pour rester sur des valeurs saisissables
+const snap = (value, config) => {
+  const snapped = Math.round((value - config.min) / config.step) * config.step + config.min;
+  return Math.round(clamp(snapped, config) * 1e6) / 1e6;
+};
+
+/**
+ * Bornes basse/haute d'une variable :
+ * - mode 'range'   : min → max de FEATURES_CONFIG
+ * - mode 'percent' : valeur courante ± percent %
+ */
+const getBounds = (config, value, { mode, percent }) => {
+  if (mode === 'range') return [config.min, config.max];
+  const delta = Math.abs(value) * (percent / 100);
+  return [snap(value - delta, config), snap(value + delta, config)];
+};
+
+/**
+ * Calcule pour chaque variable l'efficacité aux bornes basse et haute,
+ * les autres entrées restant fixées. Résultat trié par amplitude décroissante.
+ */
+export const computeTornado = async (inputs, { mode = 'range', percent = 10, useApi }) => {
+  const bounds = FEATURES_CONFIG.map(config => getBounds(config, inputs[config.key], { mode, percent }));
+
+  const inputsList = [inputs];
+  FEATURES_CONFIG.forEach((config, i) => {
+    inputsList.push({ ...inputs, [config.key]: bounds[i][0] });
+    inputsList.push({ ...inputs, [config.key]: bounds[i][1] });
+  });
+
+  const results = await predictMany(inputsList, { useApi });
+  const base = results[0].efficiency * 100;
+
+  const rows = FEATURES_CONFIG.map((config, i) => {
+    const low = results[1 + i * 2].efficiency * 100;
+    const high = results[2 + i * 2].efficiency * 100;
+    return {
+      key: config.key,
+      label: config.shortLabel,
+      unit: config.unit,
+      lowValue: bounds[i][0],
+      highValue: bounds[i][1],
+      low,
+      high,
+      lowDelta: low - base,
+      highDelta: high - base,
+      swing: Math.abs(high - low),
+    };
+  });
+
+  return {
+    base,
+    rows: rows.sort((a, b) => b.swing - a.swing),
+    engine: summarizeEngines(results),
+  };
+};
+
+/**
+ * Balaye une variable sur toute sa plage, les autres entrées restant fixées
+ */
+export const computeSweep = async (inputs, key, { steps = 25, useApi }) => {
+  const config = FEATURES_CONFIG.find(c => c.key === key);
+  const values = [...new Set(
+    Array.from({ length: steps }, (_, i) => snap(config.min + ((config.max - config.min) * i) / (steps - 1), config))
+  )];
+
+  const results = await predictMany(values.map(value => ({ ...inputs, [key]: value })), { useApi });
+
+  return {
+    key,
+    points: values.map((value, i) => ({
+      value,
+      efficiency: Math.round(results[i].efficiency * 1000) / 10,
+    })),
+    engine: summarizeEngines(results),
+  };
+};
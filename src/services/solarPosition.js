@@ -0,0 +1,161 @@
+/**
+ * Green AI Solar - Solar Position & Clear Sky
+ * ===========================================
+ * Position du soleil (formules NOAA) et irradiance par ciel clair (modèle de Meinel,
+ * correction d'altitude de Laue), calculées entièrement dans le navigateur
+ */
+
+import { readStorage, writeStorage } from '../utils/storage';
+
+const STORAGE_KEY = 'location';
+
+const SOLAR_CONSTANT = 1361; // W/m²
+const DEG = Math.PI / 180;
+
+const pad = (n) => String(n).padStart(2, '0');
+
+export const formatDate = (date) => `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+
+export const formatHour = (hour) => {
+  const minutes = Math.round(hour * 60);
+  return `${pad(Math.floor(minutes / 60) % 24)}:${pad(minutes % 60)}`;
+};
+
+// Décalage UTC du navigateur à une date donnée (heure d'été comprise)
+const getBrowserUtcOffset = (dateString) => -new Date(`${dateString}T12:00`).getTimezoneOffset() / 60;
+
+export const getDefaultLocation = () => {
+  const date = formatDate(new Date());
+  return {
+    latitude: 48.86,      // Paris
+    longitude: 2.35,
+    altitude: 35,         // m
+    date,
+    time: '12:00',
+    utcOffset: getBrowserUtcOffset(date),
+  };
+};
+
+export const LOCATION_FIELDS = [
+  { key: 'latitude', label: 'Latitude', unit: '°', min: -90, max: 90, step: 0.01 },
+  { key: 'longitude', label: 'Longitude', unit: '°', min: -180, max: 180, step: 0.01 },
+  { key: 'altitude', label: 'Altitude', unit: 'm', min: 0, max: 5000, step: 10 },
+  { key: 'utcOffset', label: 'Fuseau', unit: 'h UTC', min: -12, max: 14, step: 0.5 },
+];
+
+// La date et l'heure sont mémorisées avec le site : la transposition en dépend
+export const loadLocation = () => ({
+  ...getDefaultLocation(),
+  ...readStorage(STORAGE_KEY, {}),
+});
+
+export const saveLocation = ({ latitude, longitude, altitude, date, time, utcOffset }) =>
+  writeStorage(STORAGE_KEY, { latitude, longitude, altitude, date, time, utcOffset });
+
+const dayOfYear = (dateString) => {
+  const [year, month, day] = dateString.split('-').map(Number);
+  return Math.round((Date.UTC(year, month - 1, day) - Date.UTC(year, 0, 0)) / 86400000);
+};
+
+/**
+ * Éclairement hors atmosphère (W/m²), corrigé de la distance Terre-Soleil
+ */
+export const getExtraterrestrialIrradiance = (dateString) =>
+  SOLAR_CONSTANT * (1 + 0.033 * Math.cos(2 * Math.PI * dayOfYear(dateString) / 365));
+
+/**
+ * Élévation et azimut (degrés, azimut depuis le nord dans le sens horaire)
+ * pour une heure locale décimale
+ */
+export const computeSunPosition = ({ latitude, longitude, utcOffset }, dateString, hour) => {
+  const gamma = (2 * Math.PI / 365) * (dayOfYear(dateString) - 1 + (hour - 12) / 24);
+
+  // Équation du temps (minutes) et déclinaison (radians)
+  const eqTime = 229.18 * (0.000075 + 0.001868 * Math.cos(gamma) - 0.032077 * Math.sin(gamma)
+    - 0.014615 * Math.cos(2 * gamma) - 0.040849 * Math.sin(2 * gamma));
+  const declination = 0.006918 - 0.399912 * Math.cos(gamma) + 0.070257 * Math.sin(gamma)
+    - 0.006758 * Math.cos(2 * gamma) + 0.000907 * Math.sin(2 * gamma)
+    - 0.002697 * Math.cos(3 * gamma) + 0.00148 * Math.sin(3 * gamma);
+
+  const trueSolarTime = hour * 60 + eqTime + 4 * longitude - 60 * utcOffset;
+  const hourAngle = (trueSolarTime / 4 - 180) * DEG;
+  const lat = latitude * DEG;
+
+  const cosZenith = Math.sin(lat) * Math.sin(declination)
+    + Math.cos(lat) * Math.cos(declination) * Math.cos(hourAngle);
+  const zenith = Math.acos(Math.min(1, Math.max(-1, cosZenith)));
+
+  const azimuthFromSouth = Math.atan2(
+    Math.sin(hourAngle),
+    Math.cos(hourAngle) * Math.sin(lat) - Math.tan(declination) * Math.cos(lat)
+  );
+
+  return {
+    elevation: 90 - zenith / DEG,
+    azimuth: (azimuthFromSouth / DEG + 540) % 360,
+    zenith: zenith / DEG,
+    declination: declination / DEG,
+  };
+};
+
+/**
+ * Irradiance par ciel clair (W/m²) pour un angle zénithal donné
+ */
+export const computeClearSky = (zenith, dateString, altitude = 0) => {
+  if (zenith >= 90) return { ghi: 0, dni: 0, dhi: 0 };
+
+  const extraterrestrial = getExtraterrestrialIrradiance(dateString);
+  // Masse d'air de Kasten & Young
+  const airMass = 1 / (Math.cos(zenith * DEG) + 0.50572 * Math.pow(96.07995 - zenith, -1.6364));
+  const h = altitude / 1000;
+
+  const dni = extraterrestrial * ((1 - 0.14 * h) * Math.pow(0.7, Math.pow(airMass, 0.678)) + 0.14 * h);
+  const dhi = 0.1 * dni;
+  const ghi = dni * Math.cos(zenith * DEG) + dhi;
+
+  return { ghi, dni, dhi };
+};
+
+/**
+ * Position du soleil et irradiance au moment choisi
+ */
+export const computeSolarConditions = (location) => {
+  const [hours, minutes] = location.time.split(':').map(Number);
+  const position = computeSunPosition(location, location.date, hours + minutes / 60);
+  return {
+    ...position,
+    ...computeClearSky(position.zenith, location.date, location.altitude),
+  };
+};
+
+/**
+ * Courbe journalière d'irradiance par ciel clair, avec lever/coucher
+ * et irradiation globale du jour (kWh/m²)
+ */
+export const computeDailyIrradiance = (location, stepMinutes = 10) => {
+  const points = [];
+  for (let minutes = 0; minutes <= 24 * 60; minutes += stepMinutes) {
+    const hour = minutes / 60;
+    const position = computeSunPosition(location, location.date, hour);
+    const irradiance = computeClearSky(position.zenith, location.date, location.altitude);
+    points.push({
+      hour,
+      label: formatHour(hour),
+      elevation: Math.round(position.elevation * 10) / 10,
+      ghi: Math.round(irradiance.ghi),
+      dni: Math.round(irradiance.dni),
+      dhi: Math.round(irradiance.dhi),
+    });
+  }
+
+  const daylight = points.filter(p => p.elevation > 0);
+  const dailyInsolation = points.reduce((total, p) => total + p.ghi, 0) * stepMinutes / 60 / 1000;
+
+  return {
+    points,
+    sunrise: daylight.length > 0 ? daylight[0].hour : null,
+    sunset: daylight.length > 0 ? daylight[daylight.length - 1].hour : null,
+    peakGhi: Math.max(...points.map(p => p.ghi)),
+    dailyInsolation,
+  };
+};
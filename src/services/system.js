@@ -0,0 +1,64 @@
+/**
+ * Green AI Solar - System Sizing
+ * ==============================
+ * Dimensionnement de l'installation : puissance crête, onduleur, pertes et ensoleillement
+ */
+
+import { readStorage, writeStorage } from '../utils/storage';
+
+const STORAGE_KEY = 'system-config';
+
+export const DEFAULT_SYSTEM_CONFIG = {
+  modulePower: 400,         // W crête par module
+  moduleCount: 10,
+  inverterEfficiency: 96,   // %
+  cablingLosses: 2,         // %
+  mismatchLosses: 2,        // %
+  sunHoursPerYear: 1500,    // h équivalentes plein soleil, selon le site
+};
+
+export const SYSTEM_FIELDS = [
+  { key: 'modulePower', label: 'Puissance module', unit: 'Wc', min: 50, max: 800, step: 5 },
+  { key: 'moduleCount', label: 'Nombre de modules', unit: '', min: 1, max: 10000, step: 1 },
+  { key: 'inverterEfficiency', label: 'Rendement onduleur', unit: '%', min: 80, max: 100, step: 0.5 },
+  { key: 'cablingLosses', label: 'Pertes câblage', unit: '%', min: 0, max: 20, step: 0.5 },
+  { key: 'mismatchLosses', label: 'Pertes mismatch', unit: '%', min: 0, max: 20, step: 0.5 },
+  { key: 'sunHoursPerYear', label: 'Ensoleillement', unit: 'h/an', min: 500, max: 3500, step: 50 },
+];
+
+export const loadSystemConfig = () => ({
+  ...DEFAULT_SYSTEM_CONFIG,
+  ...readStorage(STORAGE_KEY, {}),
+});
+
+export const saveSystemConfig = (system) => writeStorage(STORAGE_KEY, system);
+
+/**
+ * Puissance crête du champ (kWc)
+ */
+export const getArrayPeakPower = (system) => (system.modulePower * system.moduleCount) / 1000;
+
+/**
+ * Facteur global de l'onduleur et des pertes système (0-1)
+ */
+export const getSystemDerate = (system) =>
+  (system.inverterEfficiency / 100)
+  * (1 - system.cablingLosses / 100)
+  * (1 - system.mismatchLosses / 100);
+
+/**
+ * Production annuelle (kWh) pour une efficacité prédite (0-1)
+ */
+export const computeAnnualProduction = (efficiency, system) =>
+  getArrayPeakPower(system) * system.sunHoursPerYear * efficiency * getSystemDerate(system);
+
+/**
+ * Libellé court, ex. « 4 kWc (10 × 400 Wc) »
+ */
+export const describeSystem = (system) => {
+  const peak = getArrayPeakPower(system);
+  const formatted = peak.toLocaleString('fr-FR', { maximumFractionDigits: 2 });
+  return system.moduleCount === 1
+    ? `module ${system.modulePower} Wc`
+    : `${formatted} kWc (${system.moduleCount} × ${system.modulePower} Wc)`;
+};
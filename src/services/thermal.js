@@ -0,0 +1,70 @@
+/**
+ * Green AI Solar - Module Temperature
+ * ===================================
+ * Température des cellules estimée à partir de la température ambiante,
+ * de l'irradiance dans le plan et du vent (modèles NOCT ou Faiman)
+ */
+
+import { readStorage, writeStorage } from '../utils/storage';
+import { FEATURES_CONFIG } from '../config/features';
+
+const STORAGE_KEY = 'thermal-settings';
+
+export const THERMAL_MODELS = {
+  noct: {
+    label: 'NOCT',
+    description: 'Tm = Ta + G/800 × (NOCT − 20) × 9,5 / (5,7 + 3,8 × v)',
+  },
+  faiman: {
+    label: 'Faiman',
+    description: 'Tm = Ta + G / (U0 + U1 × v)',
+  },
+};
+
+export const DEFAULT_THERMAL_SETTINGS = {
+  auto: false,
+  model: 'faiman',
+  noct: 45,     // °C sous 800 W/m², 20 °C ambiants, vent 1 m/s
+  u0: 25,       // W/m²·K
+  u1: 6.84,     // W·s/m³·K
+};
+
+export const THERMAL_FIELDS = {
+  noct: [
+    { key: 'noct', label: 'NOCT', unit: '°C', min: 30, max: 60, step: 1 },
+  ],
+  faiman: [
+    { key: 'u0', label: 'U0', unit: 'W/m²·K', min: 5, max: 60, step: 0.5 },
+    { key: 'u1', label: 'U1', unit: 'W·s/m³·K', min: 0, max: 20, step: 0.1 },
+  ],
+};
+
+export const loadThermalSettings = () => ({
+  ...DEFAULT_THERMAL_SETTINGS,
+  ...readStorage(STORAGE_KEY, {}),
+});
+
+export const saveThermalSettings = (settings) => writeStorage(STORAGE_KEY, settings);
+
+/**
+ * Température du module (°C) pour une température ambiante, une irradiance
+ * dans le plan (W/m²) et une vitesse de vent (m/s)
+ */
+export const estimateModuleTemperature = (temperature, irradiance, windSpeed = 1, settings = DEFAULT_THERMAL_SETTINGS) => {
+  const wind = Math.max(0, windSpeed);
+  if (settings.model === 'noct') {
+    return temperature + (irradiance / 800) * (settings.noct - 20) * (9.5 / (5.7 + 3.8 * wind));
+  }
+  return temperature + irradiance / (settings.u0 + settings.u1 * wind);
+};
+
+const moduleTemperatureConfig = FEATURES_CONFIG.find(config => config.key === 'module_temperature');
+
+/**
+ * Valeur du curseur module_temperature déduite des autres entrées (arrondie au pas, dans la plage)
+ */
+export const deriveModuleTemperature = (inputs, settings) => {
+  const { min, max, step } = moduleTemperatureConfig;
+  const value = estimateModuleTemperature(inputs.temperature, inputs.irradiance, inputs.wind_speed, settings);
+  return Math.min(max, Math.max(min, Math.round(value / step) * step));
+};
@@ -0,0 +1,187 @@
+/**
+ * Green AI Solar - Plane-of-Array Transposition
+ * =============================================
+ * Géométrie du panneau (inclinaison, orientation, albédo) et conversion de
+ * l'irradiance horizontale en irradiance dans le plan des modules :
+ * décomposition d'Erbs puis modèle de ciel isotrope (Liu & Jordan)
+ */
+
+import { readStorage, writeStorage } from '../utils/storage';
+import { FEATURES_CONFIG } from '../config/features';
+import {
+  computeSunPosition, computeClearSky, computeSolarConditions, getExtraterrestrialIrradiance
+} from './solarPosition';
+
+const STORAGE_KEY = 'panel-geometry';
+const DEG = Math.PI / 180;
+
+export const DEFAULT_GEOMETRY = {
+  tilt: 0,        // ° par rapport à l'horizontale (0 = irradiance du modèle inchangée)
+  azimuth: 180,   // ° depuis le nord, sens horaire (180 = plein sud)
+  albedo: 0.2,    // réflectivité du sol
+};
+
+export const GEOMETRY_FIELDS = [
+  { key: 'tilt', label: 'Inclinaison', unit: '°', min: 0, max: 90, step: 1 },
+  { key: 'azimuth', label: 'Orientation', unit: '°', min: 0, max: 359, step: 1 },
+  { key: 'albedo', label: 'Albédo', unit: '', min: 0, max: 1, step: 0.05 },
+];
+
+export const AZIMUTH_LABELS = [
+  { value: 0, label: 'Nord' },
+  { value: 45, label: 'Nord-Est' },
+  { value: 90, label: 'Est' },
+  { value: 135, label: 'Sud-Est' },
+  { value: 180, label: 'Sud' },
+  { value: 225, label: 'Sud-Ouest' },
+  { value: 270, label: 'Ouest' },
+  { value: 315, label: 'Nord-Ouest' },
+];
+
+export const COMPARED_TILTS = [0, 15, 30, 45, 60, 90];
+
+export const loadGeometry = () => ({
+  ...DEFAULT_GEOMETRY,
+  ...readStorage(STORAGE_KEY, {}),
+});
+
+export const saveGeometry = (geometry) => writeStorage(STORAGE_KEY, geometry);
+
+export const describeAzimuth = (azimuth) => {
+  const closest = AZIMUTH_LABELS.reduce((best, entry) => {
+    const distance = Math.min(Math.abs(entry.value - azimuth), 360 - Math.abs(entry.value - azimuth));
+    return distance < best.distance ? { ...entry, distance } : best;
+  }, { distance: Infinity });
+  return closest.label;
+};
+
+/**
+ * Part diffuse de l'irradiance globale (corrélation d'Erbs)
+ */
+const getDiffuseFraction = (clearnessIndex) => {
+  const kt = clearnessIndex;
+  if (kt <= 0.22) return 1 - 0.09 * kt;
+  if (kt <= 0.8) return 0.9511 - 0.1604 * kt + 4.388 * kt ** 2 - 16.638 * kt ** 3 + 12.336 * kt ** 4;
+  return 0.165;
+};
+
+/**
+ * Sépare une irradiance horizontale globale en composantes directe normale et diffuse
+ */
+export const decomposeGhi = (ghi, zenith, dateString) => {
+  // Au ras de l'horizon, la composante directe n'est plus exploitable
+  const cosZenith = Math.cos(zenith * DEG);
+  if (ghi <= 0 || cosZenith < 0.065) return { dni: 0, dhi: Math.max(0, ghi) };
+
+  const clearnessIndex = Math.min(1, ghi / (getExtraterrestrialIrradiance(dateString) * cosZenith));
+  const dhi = ghi * getDiffuseFraction(clearnessIndex);
+  return { dni: (ghi - dhi) / cosZenith, dhi };
+};
+
+/**
+ * Cosinus de l'angle d'incidence du rayonnement direct sur le panneau
+ */
+export const getIncidenceCosine = (sun, geometry) =>
+  Math.cos(sun.zenith * DEG) * Math.cos(geometry.tilt * DEG)
+  + Math.sin(sun.zenith * DEG) * Math.sin(geometry.tilt * DEG) * Math.cos((sun.azimuth - geometry.azimuth) * DEG);
+
+/**
+ * Irradiance dans le plan (W/m²) à partir des composantes horizontales
+ */
+export const transposeComponents = ({ ghi, dni, dhi }, sun, geometry) => {
+  const tilt = geometry.tilt * DEG;
+  const beam = sun.zenith < 90 ? dni * Math.max(0, getIncidenceCosine(sun, geometry)) : 0;
+  const diffuse = dhi * (1 + Math.cos(tilt)) / 2;
+  const reflected = ghi * geometry.albedo * (1 - Math.cos(tilt)) / 2;
+  return { poa: beam + diffuse + reflected, beam, diffuse, reflected };
+};
+
+/**
+ * Irradiance dans le plan pour une irradiance horizontale mesurée,
+ * au lieu et au moment choisis
+ */
+export const transposeIrradiance = (ghi, geometry, location) => {
+  const sun = computeSolarConditions(location);
+  const { dni, dhi } = decomposeGhi(ghi, sun.zenith, location.date);
+  return { ...transposeComponents({ ghi, dni, dhi }, sun, geometry), sun };
+};
+
+const irradianceConfig = FEATURES_CONFIG.find(config => config.key === 'irradiance');
+
+/**
+ * Entrées envoyées au modèle : irradiance remplacée par l'irradiance dans le plan
+ */
+export const toPlaneOfArray = (inputs, geometry, location) => {
+  if (geometry.tilt === 0) return inputs;
+
+  const { poa } = transposeIrradiance(inputs.irradiance, geometry, location);
+  const irradiance = Math.min(irradianceConfig.max, Math.max(irradianceConfig.min, Math.round(poa)));
+  return { ...inputs, irradiance };
+};
+
+// ============================================
+// Bilan annuel par ciel clair
+// ============================================
+
+// Jour type de chaque mois (15), en heure solaire, par pas d'une demi-heure
+const REFERENCE_YEAR = 2025;
+const DAYS_IN_MONTH = [31, 28, 31, 30, 31, 30, 31, 31, 30, 31, 30, 31];
+const STEP_HOURS = 0.5;
+
+const buildAnnualSamples = (latitude, altitude) => {
+  const site = { latitude, longitude: 0, utcOffset: 0 };
+  const samples = [];
+
+  DAYS_IN_MONTH.forEach((days, month) => {
+    const date = `${REFERENCE_YEAR}-${String(month + 1).padStart(2, '0')}-15`;
+    for (let hour = STEP_HOURS / 2; hour < 24; hour += STEP_HOURS) {
+      const sun = computeSunPosition(site, date, hour);
+      if (sun.zenith >= 90) continue;
+      samples.push({ sun, irradiance: computeClearSky(sun.zenith, date, altitude), weight: days * STEP_HOURS });
+    }
+  });
+
+  return samples;
+};
+
+const annualInsolation = (samples, geometry) =>
+  samples.reduce((total, { sun, irradiance, weight }) =>
+    total + transposeComponents(irradiance, sun, geometry).poa * weight, 0) / 1000;
+
+/**
+ * Irradiation annuelle par ciel clair (kWh/m²) selon l'orientation, inclinaison
+ * optimale face à l'équateur et courbe irradiation / inclinaison pour l'orientation choisie
+ */
+export const computeOrientationStudy = ({ latitude, altitude = 0 }, geometry) => {
+  const samples = buildAnnualSamples(latitude, altitude);
+  const equatorAzimuth = latitude >= 0 ? 180 : 0;
+
+  const tiltCurve = [];
+  let optimal = { tilt: 0, insolation: 0 };
+  for (let tilt = 0; tilt <= 90; tilt++) {
+    const insolation = annualInsolation(samples, { ...geometry, tilt });
+    const equatorInsolation = annualInsolation(samples, { ...geometry, tilt, azimuth: equatorAzimuth });
+    tiltCurve.push({ tilt, insolation: Math.round(insolation), equatorInsolation: Math.round(equatorInsolation) });
+    if (equatorInsolation > optimal.insolation) optimal = { tilt, insolation: equatorInsolation };
+  }
+
+  const grid = AZIMUTH_LABELS.map(({ value, label }) => ({
+    azimuth: value,
+    label,
+    cells: COMPARED_TILTS.map(tilt => {
+      const insolation = annualInsolation(samples, { ...geometry, tilt, azimuth: value });
+      return { tilt, insolation, ratio: insolation / optimal.insolation };
+    }),
+  }));
+
+  const current = annualInsolation(samples, geometry);
+
+  return {
+    optimal: { ...optimal, azimuth: equatorAzimuth },
+    horizontal: tiltCurve[0].insolation,
+    current,
+    currentRatio: current / optimal.insolation,
+    tiltCurve,
+    grid,
+  };
+};
@@ -0,0 +1,186 @@
+/**
+ * Green AI Solar - Browser Tree Model
+ * ===================================
+ * Inférence dans le navigateur d'un ensemble d'arbres GradientBoosting exporté
+ * par le backend (JSON), pour un mode hors ligne fidèle au modèle entraîné
+ *
+ * Format attendu (tableaux de tree_ de scikit-learn, un objet par arbre) :
+ * {
+ *   "features": ["irradiance", ...],      ordre des colonnes à l'entraînement
+ *   "init": 0.52,                         prédiction initiale (init_)
+ *   "learning_rate": 0.1,
+ *   "output": "efficiency",               ou "efficiency_percent"
+ *   "scaler": { "mean": [...], "scale": [...] },   optionnel (StandardScaler)
+ *   "trees": [{ "children_left": [...], "children_right": [...],
+ *               "feature": [...], "threshold": [...], "value": [...] }]
+ * }
+ */
+
+import { getEfficiencyBand } from '../config/features';
+import { readStorage, writeStorage } from '../utils/storage';
+
+const STORAGE_KEY = 'tree-model';
+
+// Nœud feuille dans les exports scikit-learn
+const LEAF = -1;
+
+const TREE_ARRAYS = ['children_left', 'children_right', 'feature', 'threshold', 'value'];
+
+const isNumberArray = (values) => Array.isArray(values) && values.every(value => Number.isFinite(value));
+
+/**
+ * Vérifie la structure d'un arbre : indices d'enfants dans [0, n) ou LEAF,
+ * deux enfants par nœud interne, chaque nœud atteint une seule fois depuis la racine
+ * (un fichier modifié à la main pourrait sinon faire boucler la prédiction)
+ */
+const checkTreeStructure = (tree, featureCount) => {
+  const n = tree.children_left.length;
+  if (n === 0) return 'arbre vide';
+
+  const isChild = (index) => index === LEAF || (Number.isInteger(index) && index >= 0 && index < n);
+  for (let node = 0; node < n; node++) {
+    const left = tree.children_left[node];
+    const right = tree.children_right[node];
+    if (!isChild(left) || !isChild(right)) return `nœud ${node} : indice d'enfant hors de [0, ${n})`;
+    if ((left === LEAF) !== (right === LEAF)) return `nœud ${node} : un seul enfant`;
+    if (left !== LEAF && !(Number.isInteger(tree.feature[node]) && tree.feature[node] >= 0 && tree.feature[node] < featureCount)) {
+      return `nœud ${node} : variable inconnue`;
+    }
+  }
+
+  const visited = new Uint8Array(n);
+  const stack = [0];
+  while (stack.length > 0) {
+    const node = stack.pop();
+    if (visited[node]) return `nœud ${node} atteint plusieurs fois (cycle)`;
+    visited[node] = 1;
+    if (tree.children_left[node] !== LEAF) stack.push(tree.children_left[node], tree.children_right[node]);
+  }
+  return null;
+};
+
+/**
+ * Valide un export JSON et retourne le modèle normalisé ; lève une erreur explicite sinon
+ */
+export const parseTreeModel = (json, name = 'modèle') => {
+  const data = typeof json === 'string' ? JSON.parse(json) : json;
+
+  if (!Array.isArray(data?.features) || data.features.length === 0) {
+    throw new Error('« features » doit lister les variables du modèle');
+  }
+  if (!Number.isFinite(data.init)) throw new Error('« init » manquant ou non numérique');
+  if (!Array.isArray(data.trees) || data.trees.length === 0) throw new Error('« trees » est vide');
+
+  const trees = data.trees.map((tree, t) => {
+    TREE_ARRAYS.forEach(key => {
+      // value peut être [[v]] par nœud (format brut de tree_.value)
+      const values = key === 'value' ? tree.value?.map(v => (Array.isArray(v) ? v.flat(2)[0] : v)) : tree[key];
+      if (!isNumberArray(values) || values.length !== tree.children_left?.length) {
+        throw new Error(`Arbre ${t} : « ${key} » invalide`);
+      }
+    });
+    const structureError = checkTreeStructure(tree, data.features.length);
+    if (structureError) throw new Error(`Arbre ${t} : ${structureError}`);
+    return {
+      left: tree.children_left,
+      right: tree.children_right,
+      feature: tree.feature,
+      threshold: tree.threshold,
+      value: tree.value.map(v => (Array.isArray(v) ? v.flat(2)[0] : v)),
+    };
+  });
+
+  const featureCount = data.features.length;
+  if (data.scaler && !(isNumberArray(data.scaler.mean) && isNumberArray(data.scaler.scale)
+    && data.scaler.mean.length === featureCount && data.scaler.scale.length === featureCount)) {
+    throw new Error('« scaler » doit contenir mean et scale pour chaque variable');
+  }
+
+  return {
+    name,
+    features: data.features,
+    init: data.init,
+    learningRate: Number.isFinite(data.learning_rate) ? data.learning_rate : 0.1,
+    output: data.output === 'efficiency_percent' ? 'efficiency_percent' : 'efficiency',
+    scaler: data.scaler || null,
+    trees,
+    loadedAt: new Date().toISOString(),
+  };
+};
+
+export const loadTreeModel = () => readStorage(STORAGE_KEY, null);
+
+export const saveTreeModel = (model) => writeStorage(STORAGE_KEY, model);
+
+// Parcours itératif : pas de récursion sur la profondeur (arbres très profonds)
+export const getTreeDepth = (tree) => {
+  let maxDepth = 0;
+  const stack = [[0, 0]];
+  while (stack.length > 0) {
+    const [node, depth] = stack.pop();
+    maxDepth = Math.max(maxDepth, depth);
+    if (tree.left[node] !== LEAF) stack.push([tree.left[node], depth + 1], [tree.right[node], depth + 1]);
+  }
+  return maxDepth;
+};
+
+const predictTree = (tree, row) => {
+  // Un chemin valide visite au plus n nœuds : garde-fou contre un modèle stocké corrompu
+  let steps = tree.left.length;
+  let node = 0;
+  while (tree.left[node] !== LEAF) {
+    if (--steps < 0 || node === undefined) throw new Error('Arbre invalide : parcours sans fin');
+    node = row[tree.feature[node]] <= tree.threshold[node] ? tree.left[node] : tree.right[node];
+  }
+  return tree.value[node];
+};
+
+/**
+ * Prédiction au format de /predict ; les variables absentes des entrées valent 0
+ */
+export const predictWithTreeModel = (model, inputs) => {
+  const row = model.features.map((key, i) => {
+    const value = inputs[key] ?? 0;
+    return model.scaler ? (value - model.scaler.mean[i]) / model.scaler.scale[i] : value;
+  });
+
+  const raw = model.trees.reduce((total, tree) => total + model.learningRate * predictTree(tree, row), model.init);
+  const efficiency = Math.max(0, Math.min(1, model.output === 'efficiency_percent' ? raw / 100 : raw));
+
+  return {
+    efficiency,
+    efficiency_percent: efficiency * 100,
+    quality_label: getEfficiencyBand(efficiency * 100).label,
+    confidence: 'local-model',
+  };
+};
+
+// ============================================
+// Choix du moteur
+// ============================================
+
+const ENGINE_MODE_KEY = 'engine-mode';
+
+export const ENGINE_MODES = {
+  api: { label: 'API', description: 'Modèle du backend ; hors ligne, modèle exporté s\'il est chargé, sinon simulation' },
+  model: { label: 'Modèle exporté', description: 'Inférence dans le navigateur, sans appel réseau' },
+  simulated: { label: 'Simulation', description: 'Formule heuristique, indépendante du modèle entraîné' },
+};
+
+export const loadEngineMode = () => {
+  const mode = readStorage(ENGINE_MODE_KEY, 'api');
+  return ENGINE_MODES[mode] ? mode : 'api';
+};
+
+export const saveEngineMode = (mode) => writeStorage(ENGINE_MODE_KEY, mode);
+
+/**
+ * Statut transmis aux vues : 'checking', 'connected' (API), 'model' (modèle exporté)
+ * ou 'disconnected' (simulation). Seul 'connected' déclenche des appels réseau ;
+ * pendant le réveil du serveur, les vues basculent sur le moteur hors ligne.
+ */
+export const resolveEngineStatus = (engineMode, apiStatus, hasModel) => {
+  if (engineMode === 'simulated') return 'disconnected';
+  if (engineMode === 'api' && (apiStatus === 'checking' || apiStatus === 'connected')) return apiStatus;
+  return hasModel ? 'model' : 'disconnected';
+};
@@ -0,0 +1,53 @@
+/**
+ * Green AI Solar - Tree Model Worker Client
+ * =========================================
+ * Worker unique pour l'inférence du modèle exporté : le modèle n'est transmis
+ * qu'une fois, chaque requête est identifiée pour retrouver sa promesse
+ */
+
+let worker = null;
+let loadedModel = null;
+let nextId = 0;
+const pending = new Map();
+
+const rejectAll = (error) => {
+  pending.forEach(({ reject }) => reject(error));
+  pending.clear();
+};
+
+const getWorker = () => {
+  if (!worker) {
+    worker = new Worker(new URL('../workers/treeModel.worker.js', import.meta.url), { type: 'module' });
+    worker.onmessage = (event) => {
+      const { id, results, error } = event.data;
+      const request = pending.get(id);
+      if (!request) return;
+      pending.delete(id);
+      if (error) request.reject(new Error(error));
+      else request.resolve(results);
+    };
+    worker.onerror = (event) => {
+      rejectAll(new Error(event.message || 'Erreur du worker de modèle'));
+      worker.terminate();
+      worker = null;
+      loadedModel = null;
+    };
+  }
+  return worker;
+};
+
+/**
+ * Prédictions d'une liste d'entrées par le modèle exporté, dans le worker
+ */
+export const predictWithTreeModelInWorker = (model, inputsList) => {
+  const instance = getWorker();
+  if (loadedModel !== model) {
+    instance.postMessage({ type: 'load', model });
+    loadedModel = model;
+  }
+  const id = ++nextId;
+  return new Promise((resolve, reject) => {
+    pending.set(id, { resolve, reject });
+    instance.postMessage({ type: 'predict', id, inputsList });
+  });
+};
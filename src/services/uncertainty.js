@@ -0,0 +1,149 @@
+/**
+ * Green AI Solar - Input Uncertainty
+ * ==================================
+ * Distributions d'incertitude sur les entrées (±σ ou min/max) et propagation
+ * Monte Carlo : P10/P50/P90 de l'efficacité, de la courbe sur 35 ans,
+ * de la durée de vie et de la production
+ */
+
+import { ALL_FEATURES } from '../config/features';
+import { readStorage, writeStorage } from '../utils/storage';
+import { createRandom, hashSeed, randomNormal } from '../utils/random';
+import { predictLocally, summarizeEngines } from './localEngine';
+import { DEFAULT_SYSTEM_CONFIG, computeAnnualProduction } from './system';
+
+const STORAGE_KEY = 'input-uncertainty';
+
+// Chaque tirage coûte 36 prédictions (une par année) : budget réduit et plafonné avec l'API
+export const DEFAULT_SAMPLES = { local: 500, api: 20 };
+export const MAX_SAMPLES = 2000;
+export const MAX_API_SAMPLES = 50;
+const MAX_YEARS = 35;
+const END_OF_LIFE_EFFICIENCY = 50;
+
+export const UNCERTAINTY_MODES = {
+  none: 'Aucune',
+  sigma: '± σ (normale)',
+  range: 'Min / max (uniforme)',
+};
+
+export const DEFAULT_UNCERTAINTY = {
+  samples: null,    // null = selon le moteur (DEFAULT_SAMPLES)
+  inputs: {},       // { [key]: { mode, sigma, min, max } }
+};
+
+const CONFIG_BY_KEY = Object.fromEntries(ALL_FEATURES.map(config => [config.key, config]));
+
+export const loadUncertainty = () => ({
+  ...DEFAULT_UNCERTAINTY,
+  ...readStorage(STORAGE_KEY, {}),
+});
+
+export const saveUncertainty = (uncertainty) => writeStorage(STORAGE_KEY, uncertainty);
+
+/**
+ * Distribution d'une entrée ; par défaut ±σ de 5 % de la plage et min/max à ±10 %
+ */
+export const getDistribution = (uncertainty, key, value) => {
+  const config = CONFIG_BY_KEY[key];
+  const span = config.max - config.min;
+  return {
+    mode: 'none',
+    sigma: Math.round((span * 0.05) / config.step) * config.step,
+    min: Math.max(config.min, value - span * 0.1),
+    max: Math.min(config.max, value + span * 0.1),
+    ...uncertainty.inputs[key],
+  };
+};
+
+export const getUncertainKeys = (uncertainty) =>
+  Object.keys(uncertainty.inputs).filter(key => CONFIG_BY_KEY[key] && uncertainty.inputs[key].mode !== 'none');
+
+const clampToConfig = (config, value) => Math.min(config.max, Math.max(config.min, value));
+
+/**
+ * Tirages des entrées : les valeurs restent dans la plage des curseurs
+ */
+export const sampleInputs = (inputs, uncertainty, count, random) => {
+  const keys = getUncertainKeys(uncertainty);
+  return Array.from({ length: count }, () => {
+    const sample = { ...inputs };
+    keys.forEach(key => {
+      const config = CONFIG_BY_KEY[key];
+      const distribution = getDistribution(uncertainty, key, inputs[key]);
+      const value = distribution.mode === 'sigma'
+        ? inputs[key] + distribution.sigma * randomNormal(random)
+        : distribution.min + (distribution.max - distribution.min) * random();
+      sample[key] = clampToConfig(config, value);
+    });
+    return sample;
+  });
+};
+
+/**
+ * Quantile p (0-1) d'une liste triée, par interpolation linéaire
+ */
+export const quantile = (sorted, p) => {
+  if (sorted.length === 0) return null;
+  const position = (sorted.length - 1) * p;
+  const lower = Math.floor(position);
+  const upper = Math.ceil(position);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+};
+
+const summarize = (values) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  return { p10: quantile(sorted, 0.1), p50: quantile(sorted, 0.5), p90: quantile(sorted, 0.9) };
+};
+
+/**
+ * Propagation Monte Carlo avec le moteur actif.
+ * predictList (async, liste → résultats) fournit les prédictions de l'API ; sans lui,
+ * moteur local (model : modèle exporté, sinon simulation), utilisable dans un worker.
+ * useApi fixe le budget de tirages (MAX_API_SAMPLES).
+ * Retourne { efficiency, evolution: [{ year, p10, p50, p90 }], lifetime, production, samples, engine }
+ * (efficacités en %, production en kWh/an à l'âge courant, durée de vie en années)
+ */
+export const runMonteCarlo = async (
+  inputs,
+  uncertainty,
+  { useApi = false, predictList = null, model = null, system = DEFAULT_SYSTEM_CONFIG, samples } = {}
+) => {
+  const requested = samples || uncertainty.samples || (useApi ? DEFAULT_SAMPLES.api : DEFAULT_SAMPLES.local);
+  const count = Math.min(useApi ? MAX_API_SAMPLES : MAX_SAMPLES, requested);
+  const random = createRandom(hashSeed([inputs, uncertainty]));
+  const draws = sampleInputs(inputs, uncertainty, count, random);
+
+  // Courbe complète par tirage ; l'efficacité courante est lue à l'âge tiré
+  const inputsList = draws.flatMap(draw =>
+    Array.from({ length: MAX_YEARS + 1 }, (_, year) => ({ ...draw, panel_age: year }))
+  );
+  const results = predictList
+    ? await predictList(inputsList)
+    : inputsList.map(entry => predictLocally(model, entry));
+  const curves = draws.map((_, d) =>
+    results.slice(d * (MAX_YEARS + 1), (d + 1) * (MAX_YEARS + 1)).map(result => result.efficiency * 100)
+  );
+
+  const currentEfficiencies = draws.map((draw, d) => curves[d][Math.round(draw.panel_age)]);
+
+  // Durée de vie : première année sous le seuil ; 36 (= « 35+ ») si jamais atteint
+  const lifetimes = curves.map(curve => {
+    const year = curve.findIndex(efficiency => efficiency < END_OF_LIFE_EFFICIENCY);
+    return year === -1 ? MAX_YEARS + 1 : year;
+  });
+
+  return {
+    efficiency: summarize(currentEfficiencies),
+    evolution: Array.from({ length: MAX_YEARS + 1 }, (_, year) => ({
+      year,
+      ...summarize(curves.map(curve => curve[year])),
+    })),
+    lifetime: summarize(lifetimes),
+    production: summarize(currentEfficiencies.map(efficiency =>
+      computeAnnualProduction(efficiency / 100, system)
+    )),
+    samples: count,
+    engine: summarizeEngines(results),
+  };
+};
@@ -0,0 +1,127 @@
+/**
+ * Green AI Solar - URL State
+ * ==========================
+ * Sérialisation des entrées et de l'onglet actif dans le hash de l'URL
+ * (#/onglet?irradiance=500&...), compatible avec le base path GitHub Pages.
+ * Avec un panneau incliné, la géométrie, le site, la date et l'heure suivent :
+ * sans eux, le même lien donnerait une autre irradiance dans le plan un autre jour.
+ */
+
+import { ALL_FEATURES, getDefaultInputs } from '../config/features';
+import { GEOMETRY_FIELDS } from './transposition';
+import { LOCATION_FIELDS } from './solarPosition';
+
+// Champs du site utiles à la transposition (l'altitude ne sert qu'au ciel clair)
+const TRANSPOSITION_LOCATION_FIELDS = LOCATION_FIELDS.filter(field => field.key !== 'altitude');
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+const readNumber = (params, key) => {
+  const raw = params.get(key);
+  return raw.trim() === '' ? NaN : Number(raw);
+};
+
+/**
+ * Construit le hash représentant l'état courant
+ * (tilt toujours présent ; le reste de la géométrie et le moment seulement s'il est non nul)
+ */
+export const buildHash = ({ activeTab, inputs, geometry, location }) => {
+  const params = new URLSearchParams();
+  ALL_FEATURES.forEach(({ key }) => {
+    if (inputs[key] !== undefined) params.set(key, String(inputs[key]));
+  });
+  if (geometry) {
+    params.set('tilt', String(geometry.tilt));
+    if (geometry.tilt !== 0) {
+      GEOMETRY_FIELDS.forEach(({ key }) => params.set(key, String(geometry[key])));
+      TRANSPOSITION_LOCATION_FIELDS.forEach(({ key }) => params.set(key, String(location[key])));
+      params.set('date', location.date);
+      params.set('time', location.time);
+    }
+  }
+  return `#/${activeTab}?${params.toString()}`;
+};
+
+// Valeur numérique bornée ; undefined (avec avertissement) si invalide
+const readField = (params, config, warnings) => {
+  if (!params.has(config.key)) return undefined;
+  const value = readNumber(params, config.key);
+  if (!Number.isFinite(value)) {
+    warnings.push(`${config.key} invalide, valeur par défaut utilisée`);
+    return undefined;
+  }
+  if (value < config.min || value > config.max) {
+    const clamped = Math.min(config.max, Math.max(config.min, value));
+    warnings.push(`${config.key} = ${value} hors de [${config.min}, ${config.max}], ramené à ${clamped}`);
+    return clamped;
+  }
+  return value;
+};
+
+// Champs présents et valides seulement ; null si le hash n'en contient aucun
+const readFields = (params, fields, warnings) => {
+  const values = {};
+  fields.forEach(config => {
+    const value = readField(params, config, warnings);
+    if (value !== undefined) values[config.key] = value;
+  });
+  return Object.keys(values).length > 0 ? values : null;
+};
+
+const readMoment = (params, warnings) => {
+  const moment = {};
+  if (params.has('date')) {
+    const date = params.get('date');
+    if (DATE_PATTERN.test(date) && !Number.isNaN(Date.parse(date))) moment.date = date;
+    else warnings.push('date invalide, date enregistrée utilisée');
+  }
+  if (params.has('time')) {
+    const time = params.get('time');
+    if (TIME_PATTERN.test(time)) moment.time = time;
+    else warnings.push('time invalide, heure enregistrée utilisée');
+  }
+  return moment;
+};
+
+/**
+ * Lit un hash et retourne { activeTab, inputs, geometry, location, warnings }.
+ * Les valeurs hors bornes sont ramenées dans [min, max], les valeurs invalides
+ * reprennent leur valeur par défaut. geometry et location ne contiennent que les
+ * champs présents dans le hash (null sinon) : ils complètent l'état enregistré.
+ */
+export const parseHash = (hash, { tabs, defaultTab }) => {
+  const match = /^#\/([^?]*)\??(.*)$/.exec(hash || '');
+  const inputs = getDefaultInputs();
+  const warnings = [];
+
+  if (!match) {
+    return { activeTab: defaultTab, inputs, geometry: null, location: null, warnings };
+  }
+
+  const [, tab, query] = match;
+  const params = new URLSearchParams(query);
+
+  ALL_FEATURES.forEach(config => {
+    const value = readField(params, config, warnings);
+    if (value !== undefined) inputs[config.key] = value;
+  });
+
+  const geometry = readFields(params, GEOMETRY_FIELDS, warnings);
+  const site = readFields(params, TRANSPOSITION_LOCATION_FIELDS, warnings);
+  const moment = readMoment(params, warnings);
+  const location = site || Object.keys(moment).length > 0 ? { ...site, ...moment } : null;
+
+  const activeTab = tabs.includes(tab) ? tab : defaultTab;
+  if (tab && activeTab !== tab) {
+    warnings.push(`Onglet « ${tab} » inconnu`);
+  }
+
+  return { activeTab, inputs, geometry, location, warnings };
+};
+
+/**
+ * URL complète pour un hash donné, en conservant le chemin (ex. /solar-app/)
+ */
+export const urlWithHash = (hash) =>
+  `${window.location.pathname}${window.location.search}${hash}`;
@@ -0,0 +1,244 @@
+/**
+ * Green AI Solar - Weather Files
+ * ==============================
+ * Lecture des années météo types (EPW, TMY3 CSV) et simulation horaire
+ * sur une année complète avec le moteur de prédiction actif
+ */
+
+import { parseCsv } from '../utils/csv';
+import { FEATURES_CONFIG } from '../config/features';
+import { predictMany, summarizeEngines } from './api';
+import { getArrayPeakPower, getSystemDerate } from './system';
+import { computeSunPosition } from './solarPosition';
+import { decomposeGhi, transposeComponents } from './transposition';
+import { DEFAULT_THERMAL_SETTINGS, estimateModuleTemperature } from './thermal';
+
+export const MONTH_LABELS = ['Janv.', 'Févr.', 'Mars', 'Avr.', 'Mai', 'Juin', 'Juil.', 'Août', 'Sept.', 'Oct.', 'Nov.', 'Déc.'];
+
+// Année de référence non bissextile pour la position du soleil (les TMY mélangent les années)
+const REFERENCE_YEAR = 2025;
+
+const toNumber = (value) => {
+  const number = parseFloat(value);
+  return Number.isFinite(number) ? number : null;
+};
+
+// ============================================
+// Lecture des fichiers
+// ============================================
+
+// Les EPW codent les valeurs manquantes par 99.9, 999, 9999...
+const epwValue = (cell, missing) => {
+  const value = toNumber(cell);
+  return value !== null && value < missing ? value : null;
+};
+
+/**
+ * EPW (EnergyPlus) : 8 lignes d'en-tête, puis une ligne par heure sans nom de colonnes.
+ * L'heure 1 couvre 00:00-01:00, heure légale standard du site.
+ */
+const parseEpw = (text) => {
+  const lines = text.replace(/^\uFEFF/, '').split(/\r?\n/).filter(line => line.trim() !== '');
+  const header = lines[0].split(',');
+  if (header[0].trim().toUpperCase() !== 'LOCATION') {
+    throw new Error('en-tête LOCATION introuvable');
+  }
+
+  const site = {
+    name: [header[1], header[3]].filter(Boolean).map(s => s.trim()).join(', '),
+    latitude: toNumber(header[6]),
+    longitude: toNumber(header[7]),
+    utcOffset: toNumber(header[8]),
+    altitude: toNumber(header[9]) ?? 0,
+  };
+
+  const records = lines.slice(8).map(line => {
+    const cells = line.split(',');
+    const totalSkyCover = epwValue(cells[22], 99);
+    return {
+      month: toNumber(cells[1]),
+      day: toNumber(cells[2]),
+      hour: toNumber(cells[3]) - 1,
+      temperature: epwValue(cells[6], 99.9),
+      humidity: epwValue(cells[8], 999),
+      ghi: epwValue(cells[13], 9999),
+      dni: epwValue(cells[14], 9999),
+      dhi: epwValue(cells[15], 9999),
+      windSpeed: epwValue(cells[21], 999),
+      cloudCoverage: totalSkyCover !== null && totalSkyCover <= 10 ? totalSkyCover * 10 : null,
+    };
+  });
+
+  return { site, records };
+};
+
+/**
+ * TMY3 (NSRDB) : une ligne de métadonnées, une ligne d'en-têtes, puis une ligne par heure.
+ * « 01:00 » couvre 00:00-01:00, heure légale standard du site.
+ */
+const parseTmy3 = (text) => {
+  const lines = text.replace(/^\uFEFF/, '').split(/\r?\n/);
+  const meta = lines[0].split(',');
+  const { columns, rows } = parseCsv(lines.slice(1).join('\n'));
+
+  const findColumn = (prefix) => {
+    const column = columns.find(c => c.toLowerCase().startsWith(prefix.toLowerCase()));
+    if (!column) throw new Error(`colonne « ${prefix} » introuvable`);
+    return column;
+  };
+
+  const dateColumn = findColumn('Date');
+  const timeColumn = findColumn('Time');
+  const ghiColumn = findColumn('GHI (');
+  const dniColumn = findColumn('DNI (');
+  const dhiColumn = findColumn('DHI (');
+  const cloudColumn = findColumn('TotCld (');
+  const temperatureColumn = findColumn('Dry-bulb (');
+  const humidityColumn = findColumn('RHum (');
+  const windColumn = findColumn('Wspd (');
+
+  const site = {
+    name: [meta[1], meta[2]].filter(Boolean).map(s => s.trim().replace(/^"|"$/g, '')).join(', '),
+    latitude: toNumber(meta[4]),
+    longitude: toNumber(meta[5]),
+    utcOffset: toNumber(meta[3]),
+    altitude: toNumber(meta[6]) ?? 0,
+  };
+
+  const records = rows.map(row => {
+    const [month, day] = row[dateColumn].split('/').map(Number);
+    const totalSkyCover = toNumber(row[cloudColumn]);
+    return {
+      month,
+      day,
+      hour: parseInt(row[timeColumn], 10) - 1,
+      temperature: toNumber(row[temperatureColumn]),
+      humidity: toNumber(row[humidityColumn]),
+      ghi: toNumber(row[ghiColumn]),
+      dni: toNumber(row[dniColumn]),
+      dhi: toNumber(row[dhiColumn]),
+      windSpeed: toNumber(row[windColumn]),
+      cloudCoverage: totalSkyCover !== null && totalSkyCover <= 10 ? totalSkyCover * 10 : null,
+    };
+  });
+
+  return { site, records };
+};
+
+/**
+ * Retourne { format, site, records } ; lève une erreur explicite si le fichier est inexploitable
+ */
+export const parseWeatherFile = (filename, text) => {
+  const isEpw = filename.toLowerCase().endsWith('.epw') || text.trimStart().toUpperCase().startsWith('LOCATION');
+  const { site, records } = isEpw ? parseEpw(text) : parseTmy3(text);
+
+  if (site.latitude === null || site.longitude === null || site.utcOffset === null) {
+    throw new Error('coordonnées du site manquantes');
+  }
+
+  const valid = records.filter(r => r.month >= 1 && r.month <= 12 && r.day >= 1 && r.hour >= 0 && r.hour < 24 && r.ghi !== null);
+  if (valid.length < 24 * 300) {
+    throw new Error(`${valid.length} heures exploitables, une année complète est attendue`);
+  }
+
+  return { format: isEpw ? 'epw' : 'tmy3', site, records: valid };
+};
+
+// ============================================
+// Simulation horaire
+// ============================================
+
+const clampToConfig = (config, value) => {
+  const rounded = Math.round(value / config.step) * config.step;
+  return Math.min(config.max, Math.max(config.min, Math.round(rounded * 1000) / 1000));
+};
+
+const CONFIG_BY_KEY = Object.fromEntries(FEATURES_CONFIG.map(config => [config.key, config]));
+
+/**
+ * Une entrée de modèle par heure : les variables météo du fichier remplacent les curseurs,
+ * l'irradiance est ramenée dans le plan des modules et la température du module en découle.
+ * Les valeurs manquantes gardent celles des curseurs.
+ */
+export const buildHourlyInputs = (weather, baseInputs, geometry, thermal = DEFAULT_THERMAL_SETTINGS) => {
+  const { site, records } = weather;
+
+  return records.map(record => {
+    const date = `${REFERENCE_YEAR}-${String(record.month).padStart(2, '0')}-${String(record.day).padStart(2, '0')}`;
+    const sun = computeSunPosition(site, date, record.hour + 0.5);
+    const ghi = Math.max(0, record.ghi);
+    const components = record.dni !== null && record.dhi !== null
+      ? { ghi, dni: Math.max(0, record.dni), dhi: Math.max(0, record.dhi) }
+      : { ghi, ...decomposeGhi(ghi, sun.zenith, date) };
+    const poa = ghi > 0 ? transposeComponents(components, sun, geometry).poa : 0;
+
+    const temperature = record.temperature ?? baseInputs.temperature;
+    const windSpeed = record.windSpeed ?? baseInputs.wind_speed;
+    const values = {
+      irradiance: poa,
+      temperature,
+      humidity: record.humidity ?? baseInputs.humidity,
+      cloud_coverage: record.cloudCoverage ?? baseInputs.cloud_coverage,
+      wind_speed: windSpeed,
+      module_temperature: estimateModuleTemperature(temperature, poa, windSpeed, thermal),
+    };
+
+    const inputs = { ...baseInputs };
+    Object.entries(values).forEach(([key, value]) => {
+      inputs[key] = clampToConfig(CONFIG_BY_KEY[key], value);
+    });
+
+    return { month: record.month, day: record.day, hour: record.hour, poa, inputs };
+  });
+};
+
+/**
+ * Irradiation annuelle dans le plan (kWh/m²), soit des heures équivalentes plein soleil
+ */
+export const computeAnnualInsolation = (hours) => hours.reduce((total, h) => total + h.poa, 0) / 1000;
+
+/**
+ * Efficacité heure par heure puis agrégation mensuelle, journalière et annuelle
+ */
+export const simulateWeatherYear = async (hours, { useApi, system }) => {
+  const daylight = hours.filter(h => h.poa > 0);
+  const results = await predictMany(daylight.map(h => h.inputs), { useApi });
+
+  const energyFactor = getArrayPeakPower(system) * getSystemDerate(system) / 1000;
+
+  const monthly = MONTH_LABELS.map((label, index) => ({
+    month: index + 1, label, energy: 0, insolation: 0, efficiency: 0,
+  }));
+  const daily = {};
+
+  daylight.forEach((hour, i) => {
+    const energy = energyFactor * hour.poa * results[i].efficiency; // kWh sur l'heure
+    const month = monthly[hour.month - 1];
+    month.energy += energy;
+    month.insolation += hour.poa / 1000;
+
+    const key = `${hour.month}-${hour.day}`;
+    daily[key] = (daily[key] || 0) + energy;
+  });
+
+  monthly.forEach(month => {
+    // Efficacité moyenne pondérée par l'irradiation
+    const rawEnergy = energyFactor * month.insolation * 1000;
+    month.efficiency = rawEnergy > 0 ? Math.round((month.energy / rawEnergy) * 1000) / 10 : 0;
+    month.energy = Math.round(month.energy);
+    month.insolation = Math.round(month.insolation * 10) / 10;
+  });
+
+  const annualEnergy = monthly.reduce((total, m) => total + m.energy, 0);
+  const annualInsolation = computeAnnualInsolation(hours);
+  const rawAnnual = energyFactor * annualInsolation * 1000;
+
+  return {
+    monthly,
+    daily,
+    annualEnergy,
+    annualInsolation,
+    efficiency: rawAnnual > 0 ? (annualEnergy / rawAnnual) * 100 : 0,
+    engine: summarizeEngines(results),
+  };
+};
@@ -0,0 +1,76 @@
+/**
+ * Green AI Solar - CSV Utilities
+ * ==============================
+ * Lecture et écriture de fichiers CSV (séparateur « , » ou « ; » détecté automatiquement)
+ */
+
+const detectDelimiter = (headerLine) => {
+  const semicolons = (headerLine.match(/;/g) || []).length;
+  const commas = (headerLine.match(/,/g) || []).length;
+  return semicolons > commas ? ';' : ',';
+};
+
+const splitLine = (line, delimiter) => {
+  const cells = [];
+  let current = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+    if (inQuotes) {
+      if (char === '"' && line[i + 1] === '"') {
+        current += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        current += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      cells.push(current.trim());
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+  cells.push(current.trim());
+  return cells;
+};
+
+/**
+ * Parse un texte CSV avec ligne d'en-tête.
+ * Retourne { columns, rows } où chaque ligne est un objet { colonne: texte }.
+ */
+export const parseCsv = (text) => {
+  const lines = text.replace(/^\uFEFF/, '').split(/\r?\n/).filter(line => line.trim() !== '');
+  if (lines.length === 0) return { columns: [], rows: [] };
+
+  const delimiter = detectDelimiter(lines[0]);
+  const columns = splitLine(lines[0], delimiter);
+  const rows = lines.slice(1).map(line => {
+    const cells = splitLine(line, delimiter);
+    const row = {};
+    columns.forEach((column, i) => {
+      row[column] = cells[i] ?? '';
+    });
+    return row;
+  });
+
+  return { columns, rows };
+};
+
+const escapeCell = (value) => {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  return /[",;\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Sérialise une liste d'objets en CSV (séparateur virgule)
+ */
+export const toCsv = (columns, rows) => [
+  columns.map(escapeCell).join(','),
+  ...rows.map(row => columns.map(column => escapeCell(row[column])).join(',')),
+].join('\n');
@@ -0,0 +1,17 @@
+/**
+ * Green AI Solar - Download Utilities
+ * ===================================
+ * Téléchargement de fichiers générés côté navigateur
+ */
+
+export const downloadFile = (filename, content, mimeType = 'text/plain') => {
+  const blob = new Blob([content], { type: `${mimeType};charset=utf-8` });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+};
@@ -0,0 +1,8 @@
+/**
+ * Green AI Solar - Identifiers
+ * ============================
+ * Identifiants uniques des éléments persistés (scénarios, plans, profils climatiques)
+ */
+
+export const createId = () =>
+  globalThis.crypto?.randomUUID?.() || `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
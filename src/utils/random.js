@@ -0,0 +1,31 @@
+/**
+ * Green AI Solar - Seeded Random
+ * ==============================
+ * Générateur pseudo-aléatoire reproductible (mulberry32) et tirages usuels
+ */
+
+export const createRandom = (seed) => {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+/**
+ * Graine dérivée d'une valeur sérialisable (FNV-1a) : mêmes entrées, mêmes tirages
+ */
+export const hashSeed = (value) => JSON.stringify(value).split('')
+  .reduce((hash, char) => Math.imul(hash ^ char.charCodeAt(0), 16777619), 2166136261);
+
+/**
+ * Tirage d'une loi normale centrée réduite (Box-Muller)
+ */
+export const randomNormal = (random) => {
+  const u = 1 - random();
+  const v = random();
+  return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+};
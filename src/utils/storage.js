@@ -0,0 +1,26 @@
+/**
+ * Green AI Solar - Browser Storage
+ * ================================
+ * Lecture/écriture JSON dans localStorage, tolérante au stockage indisponible
+ */
+
+export const STORAGE_PREFIX = 'green-ai-solar:';
+
+export const readStorage = (key, fallback = null) => {
+  try {
+    const raw = localStorage.getItem(STORAGE_PREFIX + key);
+    return raw === null ? fallback : JSON.parse(raw);
+  } catch {
+    return fallback;
+  }
+};
+
+export const writeStorage = (key, value) => {
+  try {
+    localStorage.setItem(STORAGE_PREFIX + key, JSON.stringify(value));
+    return true;
+  } catch {
+    // Stockage plein ou désactivé (navigation privée)
+    return false;
+  }
+};
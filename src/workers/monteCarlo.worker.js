@@ -0,0 +1,18 @@
+/**
+ * Green AI Solar - Monte Carlo Worker
+ * ===================================
+ * Exécute la propagation d'incertitude hors du thread de l'interface
+ */
+
+// Moteurs locaux uniquement : ni axios ni service API dans le bundle du worker
+import { runMonteCarlo } from '../services/uncertainty';
+
+self.onmessage = async (event) => {
+  const { inputs, uncertainty, options } = event.data;
+  try {
+    const result = await runMonteCarlo(inputs, uncertainty, options);
+    self.postMessage({ result });
+  } catch (err) {
+    self.postMessage({ error: err.message });
+  }
+};
@@ -0,0 +1,23 @@
+/**
+ * Green AI Solar - Tree Model Worker
+ * ==================================
+ * Garde le modèle exporté en mémoire et prédit des listes d'entrées hors du thread de l'interface
+ */
+
+import { predictWithTreeModel } from '../services/treeModel';
+
+let model = null;
+
+self.onmessage = (event) => {
+  const { type, id } = event.data;
+  if (type === 'load') {
+    model = event.data.model;
+    return;
+  }
+  try {
+    const results = event.data.inputsList.map(inputs => predictWithTreeModel(model, inputs));
+    self.postMessage({ id, results });
+  } catch (err) {
+    self.postMessage({ id, error: err.message });
+  }
+};